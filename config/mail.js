@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Digilab-NG <no-reply@digilab.local>';
+
+// Every transport exposes send({ from, to, subject, text, html })
+
+// SMTP transport for production
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+// File transport: writes each message as JSON into an outbox folder (for local testing)
+const createFileTransport = () => {
+  const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox');
+
+  return {
+    send: async (message) => {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+      const filePath = path.join(outboxDir, fileName);
+      await fs.promises.writeFile(filePath, JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2));
+      return { path: filePath };
+    }
+  };
+};
+
+// Console transport: prints messages instead of sending them
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    return { logged: true };
+  }
+});
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+// MAIL_TRANSPORT picks the transport; default to SMTP only when a host is configured.
+// Production never falls back to the console, which would print reset and verification
+// links into the logs instead of sending them.
+if (!process.env.MAIL_TRANSPORT && !process.env.SMTP_HOST && process.env.NODE_ENV === 'production') {
+  throw new Error('Email is not configured. Set SMTP_HOST (or MAIL_TRANSPORT) in production.');
+}
+
+const transportName = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+if (!transports[transportName]) {
+  throw new Error(`Unknown MAIL_TRANSPORT "${transportName}". Use smtp, file or console.`);
+}
+
+let transport = transports[transportName]();
+
+// Send an email through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  try {
+    return await transport.send({ from: MAIL_FROM, to, subject, text, html });
+  } catch (error) {
+    console.error('Mail send error:', error);
+    throw new Error('Email delivery failed');
+  }
+};
+
+// Replace the active transport (e.g. with an in-memory one in scripts)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+module.exports = {
+  sendMail,
+  setTransport
+};
@@ -0,0 +1,30 @@
+const { createClient } = require('redis');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const REDIS_URL = process.env.REDIS_URL;
+
+// Initialize Redis client
+const redisClient = createClient({
+  url: REDIS_URL
+});
+
+redisClient.on('error', (err) => {
+  console.error('Redis client error:', err);
+});
+
+const connectRedis = async () => {
+  try {
+    await redisClient.connect();
+    console.log('Connected to Redis');
+  } catch (error) {
+    console.error('Redis connection error:', error);
+  }
+};
+
+connectRedis();
+
+module.exports = {
+  redisClient
+};
@@ -0,0 +1,41 @@
+// Mint an aslab invitation code from the command line.
+// Needed to bootstrap the first aslab account, since codes are otherwise created by aslabs.
+//
+// Usage: node create-invitation.js [--uses <n>] [--expires-in-hours <h>] [--note <text>]
+const db = require('./db');
+const { generateInvitationCode, hashInvitationCode } = require('./utils/invitations');
+
+const readOption = (args, flag) => {
+  const index = args.indexOf(flag);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const maxUses = parseInt(readOption(args, '--uses') || '1', 10);
+  const expiresInHours = parseInt(readOption(args, '--expires-in-hours') || '72', 10);
+  const note = readOption(args, '--note') || 'Created from the command line';
+
+  if (isNaN(maxUses) || maxUses < 1 || isNaN(expiresInHours) || expiresInHours < 1) {
+    throw new Error('--uses and --expires-in-hours must be positive numbers');
+  }
+
+  const code = generateInvitationCode();
+  const expiresAt = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+
+  await db.query(
+    `INSERT INTO invitation_codes (code_hash, code_hint, note, max_uses, expires_at)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [hashInvitationCode(code), code.slice(-4), note, maxUses, expiresAt]
+  );
+
+  console.log(`Invitation code: ${code}`);
+  console.log(`Valid for ${maxUses} registration(s) until ${expiresAt.toISOString()}`);
+};
+
+run()
+  .catch(error => {
+    console.error('Failed to create invitation code:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.pool.end());
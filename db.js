@@ -8,188 +8,7 @@ const pool = new Pool({
   connectionString: process.env.DATABASE_URL
 });
 
-// Initialize database schema (Mager)
-const initializeDatabase = async () => {
-  try {
-    // Create users table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        username VARCHAR(50) UNIQUE NOT NULL,
-        email VARCHAR(100) UNIQUE NOT NULL,
-        password VARCHAR(100) NOT NULL,
-        role VARCHAR(20) NOT NULL CHECK (role IN ('aslab', 'praktikan', 'guest')),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create classes table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS classes (
-        id SERIAL PRIMARY KEY,
-        title VARCHAR(100) NOT NULL,
-        description TEXT,
-        image_url VARCHAR(255),
-        created_by INTEGER REFERENCES users(id),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create class_enrollments table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS class_enrollments (
-        id SERIAL PRIMARY KEY,
-        class_id INTEGER REFERENCES classes(id) ON DELETE CASCADE,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        enrolled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(class_id, user_id)
-      )
-    `);
-
-    // Create module folders table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS module_folders (
-        id SERIAL PRIMARY KEY,
-        class_id INTEGER REFERENCES classes(id) ON DELETE CASCADE,
-        title VARCHAR(100) NOT NULL,
-        order_index INTEGER DEFAULT 0,
-        created_by INTEGER REFERENCES users(id),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create modules table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS modules (
-        id SERIAL PRIMARY KEY,
-        folder_id INTEGER REFERENCES module_folders(id) ON DELETE CASCADE,
-        class_id INTEGER REFERENCES classes(id) ON DELETE CASCADE,
-        title VARCHAR(100) NOT NULL,
-        content TEXT NOT NULL,
-        order_index INTEGER DEFAULT 0,
-        created_by INTEGER REFERENCES users(id),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create module files table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS module_files (
-        id SERIAL PRIMARY KEY,
-        module_id INTEGER REFERENCES modules(id) ON DELETE CASCADE,
-        file_name VARCHAR(255) NOT NULL,
-        file_url VARCHAR(255) NOT NULL,
-        file_type VARCHAR(50),
-        file_size INTEGER,
-        created_by INTEGER REFERENCES users(id),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create assignments table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS assignments (
-        id SERIAL PRIMARY KEY,
-        class_id INTEGER REFERENCES classes(id) ON DELETE CASCADE,
-        title VARCHAR(100) NOT NULL,
-        description TEXT NOT NULL,
-        deadline TIMESTAMP NOT NULL,
-        created_by INTEGER REFERENCES users(id),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create submissions table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS submissions (
-        id SERIAL PRIMARY KEY,
-        assignment_id INTEGER REFERENCES assignments(id) ON DELETE CASCADE,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        content TEXT,
-        file_url VARCHAR(255),
-        submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(assignment_id, user_id)
-      )
-    `);
-
-    // Create posts table (for social media feature)
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS posts (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        content TEXT NOT NULL,
-        image_url VARCHAR(255),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create news_entities table with standard CHECK constraint instead of enum
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS posts_entities (
-        posts_id INTEGER REFERENCES posts(id) ON DELETE CASCADE,
-        entity_type VARCHAR(20) NOT NULL CHECK (entity_type IN ('class', 'module', 'assignment')),
-        entity_id INTEGER NOT NULL,
-        PRIMARY KEY (posts_id)
-      )
-    `);
-
-    // Create comments table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS comments (
-        id SERIAL PRIMARY KEY,
-        post_id INTEGER REFERENCES posts(id) ON DELETE CASCADE,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        content TEXT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create news table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS news (
-        id SERIAL PRIMARY KEY,
-        title VARCHAR(100) NOT NULL,
-        content TEXT NOT NULL,
-        image_url VARCHAR(255),
-        created_by INTEGER REFERENCES users(id),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create news_entities table with standard CHECK constraint instead of enum
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS news_entities (
-        news_id INTEGER REFERENCES news(id) ON DELETE CASCADE,
-        entity_type VARCHAR(20) NOT NULL CHECK (entity_type IN ('class', 'module', 'assignment')),
-        entity_id INTEGER NOT NULL,
-        PRIMARY KEY (news_id)
-      )
-    `);
-
-    // Create index for faster queries
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_news_entities_by_target
-      ON news_entities(entity_type, entity_id)
-    `);
-
-    console.log('Database schema initialized successfully');
-  } catch (error) {
-    console.error('Error initializing database schema:', error);
-    throw error;
-  }
-};
-
 module.exports = {
   pool,
-  initializeDatabase,
   query: (text, params) => pool.query(text, params)
 };
@@ -3,7 +3,14 @@ const cors = require('cors');
 const cookieParser = require('cookie-parser');
 const dotenv = require('dotenv');
 const path = require('path');
-const { initializeDatabase } = require('./db');
+const { migrate } = require('./utils/migrator');
+const { resumePendingRuns } = require('./utils/autograder');
+const { resumePendingReports } = require('./utils/similarity');
+const { registerNotificationListeners } = require('./utils/notifications');
+const { startRealtime, registerRealtimeListeners } = require('./utils/realtime');
+const { startReminderScheduler } = require('./utils/reminders');
+const { startAttemptSweeper } = require('./utils/quizzes');
+const { checkSandbox } = require('./utils/sandbox');
 
 // Import routes
 const userRoutes = require('./routes/users');
@@ -15,6 +22,19 @@ const socialRoutes = require('./routes/social');
 const newsRoutes = require('./routes/news');
 const downloadRoutes = require('./routes/downloads');
 const uploadRoutes = require('./routes/uploads');
+const invitationRoutes = require('./routes/invitations');
+const notificationRoutes = require('./routes/notifications');
+const realtimeRoutes = require('./routes/realtime');
+const rubricRoutes = require('./routes/rubrics');
+const quizRoutes = require('./routes/quizzes');
+const autograderRoutes = require('./routes/autograder');
+const similarityRoutes = require('./routes/similarity');
+const peerReviewRoutes = require('./routes/peerReviews');
+const gradebookRoutes = require('./routes/gradebook');
+const regradeRoutes = require('./routes/regrades');
+const groupRoutes = require('./routes/groups');
+const attendanceRoutes = require('./routes/attendance');
+const calendarRoutes = require('./routes/calendar');
 
 // Import database
 const db = require('./db');
@@ -25,6 +45,15 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Turn application events into notifications and realtime pushes
+registerNotificationListeners();
+registerRealtimeListeners();
+startRealtime().catch(error => console.error('Failed to start realtime updates:', error));
+checkSandbox().catch(error => console.error(
+  'Autograding is unavailable: the sandbox cannot be set up (it needs root or CAP_SYS_ADMIN, see the Dockerfile):',
+  error.message
+));
+
 // Middleware
 const allowedOrigins = [
   'https://digilearn-fe.vercel.app',
@@ -64,19 +93,40 @@ app.get('/', (req, res) => {
 // API Routes
 app.use('/api/users', userRoutes);
 app.use('/api/classes', classRoutes);
+app.use('/api/classes', gradebookRoutes);
+app.use('/api/classes', regradeRoutes);
+app.use('/api/classes', groupRoutes);
+app.use('/api/classes', attendanceRoutes);
 app.use('/api/modules', moduleRoutes);
 app.use('/api/folders', folderRoutes);
 app.use('/api/assignments', assignmentRoutes);
+app.use('/api/assignments', rubricRoutes);
+app.use('/api/assignments', quizRoutes);
+app.use('/api/assignments', autograderRoutes);
+app.use('/api/assignments', similarityRoutes);
+app.use('/api/assignments', peerReviewRoutes);
 app.use('/api/social', socialRoutes);
 app.use('/api/news', newsRoutes);
 app.use('/api/download', downloadRoutes);
 app.use('/api/uploads', uploadRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/realtime', realtimeRoutes);
 
 
 // Get all subjects (legacy)
 app.get('/api/subjects', async (req, res) => {
   try {
-    const result = await db.query('SELECT * FROM modules ORDER BY created_at DESC');
+    // Only modules that are visible to anonymous users
+    const result = await db.query(`
+      SELECT m.*
+      FROM modules m
+      JOIN classes c ON m.class_id = c.id
+      LEFT JOIN module_folders f ON m.folder_id = f.id
+      WHERE COALESCE(m.visibility, f.visibility, c.content_visibility) = 'public'
+      ORDER BY m.created_at DESC
+    `);
     const subjects = result.rows.map(module => ({
       _id: module.id,
       title: module.title,
@@ -94,7 +144,13 @@ app.get('/api/subjects', async (req, res) => {
 // Get a subject by ID (legacy)
 app.get('/api/subjects/:id', async (req, res) => {
   try {
-    const result = await db.query('SELECT * FROM modules WHERE id = $1', [req.params.id]);
+    const result = await db.query(`
+      SELECT m.*
+      FROM modules m
+      JOIN classes c ON m.class_id = c.id
+      LEFT JOIN module_folders f ON m.folder_id = f.id
+      WHERE m.id = $1 AND COALESCE(m.visibility, f.visibility, c.content_visibility) = 'public'
+    `, [req.params.id]);
     if (result.rows.length === 0) {
       return res.status(404).json({ message: 'Subject not found' });
     }
@@ -191,33 +247,25 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', message: 'Digilab-NG API is running' });
 });
 
-// Run migrations (development only)
-app.post('/api/run-migration', async (req, res) => {
-  try {
-    // Read the migration file
-    const fs = require('fs');
-    const path = require('path');
-    const migrationPath = path.join(__dirname, 'migrations', 'create_grades_table.sql');
-    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
-
-    // Execute the migration
-    await db.query(migrationSQL);
-
-    res.json({ status: 'ok', message: 'Migration executed successfully' });
-  } catch (error) {
-    console.error('Error running migration:', error);
-    res.status(500).json({ message: 'Error running migration', error: error.message });
-  }
-});
-
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
   res.status(500).json({ message: 'Something went wrong!' });
 });
 
-// Initialize database schema. Ini akan berjalan saat serverless function pertama kali dijalankan (cold start).
-initializeDatabase().catch(error => console.error('Failed to initialize database:', error));
+// Apply pending schema migrations. Ini akan berjalan saat serverless function pertama kali dijalankan (cold start).
+// Autograde runs and similarity reports that were interrupted by a restart are picked up again afterwards,
+// deadline reminders start being checked and quiz attempts that ran out get graded.
+migrate()
+  .then(() => {
+    startReminderScheduler();
+    startAttemptSweeper();
+    return Promise.all([
+      resumePendingRuns().catch(error => console.error('Failed to resume autograde runs:', error)),
+      resumePendingReports().catch(error => console.error('Failed to resume similarity reports:', error))
+    ]);
+  })
+  .catch(error => console.error('Failed to migrate database:', error));
 
 // Ekspor app untuk lingkungan serverless Vercel
 module.exports = app;
@@ -1,33 +1,6 @@
 const jwt = require('jsonwebtoken');
-const { createClient } = require('redis');
-const dotenv = require('dotenv');
-
-dotenv.config();
-
-const JWT_SECRET = process.env.JWT_SECRET;
-const REDIS_URL = process.env.REDIS_URL;
-
-// Initialize Redis client
-let redisClient;
-
-const connectRedis = async () => {
-  try {
-    redisClient = createClient({
-      url: REDIS_URL
-    });
-
-    redisClient.on('error', (err) => {
-      console.error('Redis client error:', err);
-    });
-
-    await redisClient.connect();
-    console.log('Connected to Redis');
-  } catch (error) {
-    console.error('Redis connection error:', error);
-  }
-};
-
-connectRedis();
+const { redisClient } = require('../config/redis');
+const { JWT_SECRET, getSession } = require('../utils/sessions');
 
 // Authentication middleware
 const authenticate = async (req, res, next) => {
@@ -39,19 +12,20 @@ const authenticate = async (req, res, next) => {
       return res.status(401).json({ message: 'Authentication required' });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, JWT_SECRET);
-    
-    // For logout route, allow the request to proceed without additional checks
+    // For logout route, allow the request to proceed without additional checks.
+    // Expired access tokens are accepted here so a device can still end its session.
     if (req.path === '/logout') {
-      req.user = decoded;
+      req.user = jwt.verify(token, JWT_SECRET, { ignoreExpiration: true });
       req.token = token;
       return next();
     }
-    
-    // For non-logout routes, check if token is still valid for this user
-    const storedToken = await redisClient.get(`user_token:${decoded.id}`);
-    if (!storedToken || storedToken !== token) {
+
+    // Verify token
+    const decoded = jwt.verify(token, JWT_SECRET);
+
+    // Check that the session this token belongs to has not been revoked
+    const session = await getSession(decoded.jti);
+    if (!session || session.user_id !== decoded.id) {
       return res.status(401).json({ message: 'Session invalid, please login again' });
     }
 
@@ -69,6 +43,28 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// Optional authentication: sets req.user when a valid session token is present,
+// otherwise continues anonymously (used by public endpoints that show more to members)
+const optionalAuthenticate = async (req, res, next) => {
+  try {
+    const token = req.cookies.token || req.header('Authorization')?.replace('Bearer ', '');
+
+    if (token) {
+      const decoded = jwt.verify(token, JWT_SECRET);
+      const session = await getSession(decoded.jti);
+
+      if (session && session.user_id === decoded.id) {
+        req.user = decoded;
+        req.token = token;
+      }
+    }
+  } catch (error) {
+    // Invalid or expired tokens are treated as anonymous requests
+  }
+
+  next();
+};
+
 // Role-based authorization middleware
 const authorize = (roles = []) => {
   if (typeof roles === 'string') {
@@ -90,6 +86,7 @@ const authorize = (roles = []) => {
 
 module.exports = {
   authenticate,
+  optionalAuthenticate,
   authorize,
   redisClient,
   JWT_SECRET
@@ -0,0 +1,161 @@
+const db = require('../db');
+
+// Roles a user can hold inside a single class (stored in class_enrollments.role)
+const CLASS_ROLES = ['owner', 'assistant', 'student'];
+const STAFF_ROLES = ['owner', 'assistant'];
+
+// Find the class id of a record that belongs to a class
+const lookupClassId = async (sql, id) => {
+  if (id === undefined || id === null || id === '') {
+    return null;
+  }
+  const result = await db.query(sql, [id]);
+  return result.rows.length > 0 ? result.rows[0].class_id : null;
+};
+
+// Class id of a news/post link target (class, module or assignment)
+const classIdForEntity = (entityType, entityId) => {
+  switch (entityType) {
+    case 'class':
+      return lookupClassId('SELECT id as class_id FROM classes WHERE id = $1', entityId);
+    case 'module':
+      return lookupClassId('SELECT class_id FROM modules WHERE id = $1', entityId);
+    case 'assignment':
+      return lookupClassId('SELECT class_id FROM assignments WHERE id = $1', entityId);
+    default:
+      return Promise.resolve(null);
+  }
+};
+
+// Resolvers tell requireClassRole which class a request is about.
+// resolve(req) returns the class id; missingStatus/missingMessage describe the response
+// when nothing is found. Optional resolvers let unscoped requests (e.g. news that is not
+// linked to any class) fall through to the route's global checks.
+const classIdFrom = {
+  param: (name = 'id') => ({
+    resolve: async (req) => req.params[name],
+    missingStatus: 404,
+    missingMessage: 'Class not found'
+  }),
+  body: (name = 'class_id') => ({
+    resolve: async (req) => req.body?.[name],
+    missingStatus: 400,
+    missingMessage: 'Class ID is required'
+  }),
+  folder: (param = 'id') => ({
+    resolve: (req) => lookupClassId('SELECT class_id FROM module_folders WHERE id = $1', req.params[param]),
+    missingStatus: 404,
+    missingMessage: 'Folder not found'
+  }),
+  module: (param = 'id') => ({
+    resolve: (req) => lookupClassId('SELECT class_id FROM modules WHERE id = $1', req.params[param]),
+    missingStatus: 404,
+    missingMessage: 'Module not found'
+  }),
+  moduleFile: (param = 'fileId') => ({
+    resolve: (req) => lookupClassId(`
+      SELECT m.class_id
+      FROM module_files f
+      JOIN modules m ON f.module_id = m.id
+      WHERE f.id = $1
+    `, req.params[param]),
+    missingStatus: 404,
+    missingMessage: 'File not found'
+  }),
+  assignment: (param = 'id') => ({
+    resolve: (req) => lookupClassId('SELECT class_id FROM assignments WHERE id = $1', req.params[param]),
+    missingStatus: 404,
+    missingMessage: 'Assignment not found'
+  }),
+  // Link target given as route params, e.g. /:id/link/:entityType/:entityId
+  entityParams: (typeParam = 'entityType', idParam = 'entityId') => ({
+    resolve: (req) => classIdForEntity(req.params[typeParam], req.params[idParam]),
+    optional: true
+  }),
+  // Link target given in the request body, e.g. { linkedType, linkedId }
+  entityBody: (typeField = 'linkedType', idField = 'linkedId') => ({
+    resolve: (req) => classIdForEntity(req.body?.[typeField], req.body?.[idField]),
+    optional: true
+  }),
+  // Class of the entity an existing news item is linked to
+  news: (param = 'id') => ({
+    resolve: async (req) => {
+      const result = await db.query(
+        'SELECT entity_type, entity_id FROM news_entities WHERE news_id = $1',
+        [req.params[param]]
+      );
+      if (result.rows.length === 0) {
+        return null;
+      }
+      return classIdForEntity(result.rows[0].entity_type, result.rows[0].entity_id);
+    },
+    optional: true
+  })
+};
+
+// Look up a user's role in a class; null when they are not a member
+const getClassRole = async (classId, userId) => {
+  const result = await db.query(
+    'SELECT role FROM class_enrollments WHERE class_id = $1 AND user_id = $2',
+    [classId, userId]
+  );
+  return result.rows.length > 0 ? result.rows[0].role : null;
+};
+
+// Class-scoped authorization middleware. Must run after authenticate.
+// Sets req.classId and req.classRole for the handler.
+const requireClassRole = (roles, resolver) => {
+  if (typeof roles === 'string') {
+    roles = [roles];
+  }
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ message: 'Authentication required' });
+      }
+
+      const classId = await resolver.resolve(req);
+
+      if (classId === undefined || classId === null || classId === '') {
+        if (resolver.optional) {
+          return next();
+        }
+        return res.status(resolver.missingStatus).json({ message: resolver.missingMessage });
+      }
+
+      const result = await db.query(`
+        SELECT c.id, e.role
+        FROM classes c
+        LEFT JOIN class_enrollments e ON e.class_id = c.id AND e.user_id = $2
+        WHERE c.id = $1
+      `, [classId, req.user.id]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ message: 'Class not found' });
+      }
+
+      const { id, role } = result.rows[0];
+      if (!role || !roles.includes(role)) {
+        return res.status(403).json({ message: 'Insufficient permissions for this class' });
+      }
+
+      req.classId = id;
+      req.classRole = role;
+
+      next();
+    } catch (error) {
+      console.error('Class authorization error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  };
+};
+
+module.exports = {
+  CLASS_ROLES,
+  STAFF_ROLES,
+  classIdFrom,
+  classIdForEntity,
+  getClassRole,
+  requireClassRole
+};
@@ -0,0 +1,14 @@
+DROP INDEX IF EXISTS idx_news_entities_by_target;
+DROP TABLE IF EXISTS news_entities;
+DROP TABLE IF EXISTS news;
+DROP TABLE IF EXISTS comments;
+DROP TABLE IF EXISTS posts_entities;
+DROP TABLE IF EXISTS posts;
+DROP TABLE IF EXISTS submissions;
+DROP TABLE IF EXISTS assignments;
+DROP TABLE IF EXISTS module_files;
+DROP TABLE IF EXISTS modules;
+DROP TABLE IF EXISTS module_folders;
+DROP TABLE IF EXISTS class_enrollments;
+DROP TABLE IF EXISTS classes;
+DROP TABLE IF EXISTS users;
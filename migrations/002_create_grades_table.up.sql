@@ -0,0 +1,9 @@
+-- One grade per submission, written by POST /api/assignments/:id/submissions/:submissionId/grade
+CREATE TABLE IF NOT EXISTS grades (
+  id SERIAL PRIMARY KEY,
+  submission_id INTEGER UNIQUE NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  grade NUMERIC(5, 2) NOT NULL CHECK (grade >= 0 AND grade <= 100),
+  feedback TEXT,
+  graded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  graded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
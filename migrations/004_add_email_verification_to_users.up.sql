@@ -0,0 +1,2 @@
+-- Set when the user confirms their address through POST /api/users/verify-email
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
@@ -0,0 +1,26 @@
+-- Invitation codes gate registration with the aslab role.
+-- Only a hash of each code is stored; code_hint keeps the last characters for identification.
+CREATE TABLE IF NOT EXISTS invitation_codes (
+  id SERIAL PRIMARY KEY,
+  code_hash CHAR(64) UNIQUE NOT NULL,
+  code_hint VARCHAR(8) NOT NULL,
+  note VARCHAR(255),
+  max_uses INTEGER NOT NULL DEFAULT 1 CHECK (max_uses > 0),
+  use_count INTEGER NOT NULL DEFAULT 0 CHECK (use_count >= 0),
+  expires_at TIMESTAMP,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMP
+);
+
+-- Audit trail of who registered with which code (and therefore who invited whom)
+CREATE TABLE IF NOT EXISTS invitation_redemptions (
+  id SERIAL PRIMARY KEY,
+  invitation_id INTEGER NOT NULL REFERENCES invitation_codes(id) ON DELETE CASCADE,
+  user_id INTEGER UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  redeemed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_invitation_redemptions_invitation
+ON invitation_redemptions(invitation_id);
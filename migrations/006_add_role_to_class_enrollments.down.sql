@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_class_enrollments_user;
+DELETE FROM class_enrollments WHERE role <> 'student';
+ALTER TABLE class_enrollments DROP CONSTRAINT IF EXISTS class_enrollments_role_check;
+ALTER TABLE class_enrollments DROP COLUMN IF EXISTS role;
@@ -0,0 +1,13 @@
+-- class_enrollments becomes the class membership table: staff (owner, assistant) and students
+ALTER TABLE class_enrollments ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'student';
+
+ALTER TABLE class_enrollments DROP CONSTRAINT IF EXISTS class_enrollments_role_check;
+ALTER TABLE class_enrollments ADD CONSTRAINT class_enrollments_role_check
+  CHECK (role IN ('owner', 'assistant', 'student'));
+
+-- Class creators own their classes
+INSERT INTO class_enrollments (class_id, user_id, role)
+SELECT id, created_by, 'owner' FROM classes WHERE created_by IS NOT NULL
+ON CONFLICT (class_id, user_id) DO UPDATE SET role = 'owner';
+
+CREATE INDEX IF NOT EXISTS idx_class_enrollments_user ON class_enrollments(user_id);
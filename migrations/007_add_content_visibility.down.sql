@@ -0,0 +1,4 @@
+ALTER TABLE assignments DROP COLUMN IF EXISTS visibility;
+ALTER TABLE modules DROP COLUMN IF EXISTS visibility;
+ALTER TABLE module_folders DROP COLUMN IF EXISTS visibility;
+ALTER TABLE classes DROP COLUMN IF EXISTS content_visibility;
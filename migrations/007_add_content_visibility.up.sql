@@ -0,0 +1,13 @@
+-- Who can see class content: everyone ('public'), class members ('enrolled') or class staff ('staff').
+-- Classes set the default; folders, modules and assignments may override it (NULL inherits).
+ALTER TABLE classes ADD COLUMN IF NOT EXISTS content_visibility VARCHAR(20) NOT NULL DEFAULT 'enrolled'
+  CHECK (content_visibility IN ('public', 'enrolled', 'staff'));
+
+ALTER TABLE module_folders ADD COLUMN IF NOT EXISTS visibility VARCHAR(20)
+  CHECK (visibility IN ('public', 'enrolled', 'staff'));
+
+ALTER TABLE modules ADD COLUMN IF NOT EXISTS visibility VARCHAR(20)
+  CHECK (visibility IN ('public', 'enrolled', 'staff'));
+
+ALTER TABLE assignments ADD COLUMN IF NOT EXISTS visibility VARCHAR(20)
+  CHECK (visibility IN ('public', 'enrolled', 'staff'));
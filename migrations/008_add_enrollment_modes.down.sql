@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS class_enrollment_requests;
+ALTER TABLE classes DROP COLUMN IF EXISTS enrollment_key;
+ALTER TABLE classes DROP COLUMN IF EXISTS enrollment_mode;
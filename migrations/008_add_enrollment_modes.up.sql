@@ -0,0 +1,21 @@
+-- How praktikan join a class: instantly ('open'), with the class enrollment key ('key')
+-- or by requesting a seat that class staff approve ('approval')
+ALTER TABLE classes ADD COLUMN IF NOT EXISTS enrollment_mode VARCHAR(20) NOT NULL DEFAULT 'open'
+  CHECK (enrollment_mode IN ('open', 'key', 'approval'));
+
+ALTER TABLE classes ADD COLUMN IF NOT EXISTS enrollment_key VARCHAR(64);
+
+CREATE TABLE IF NOT EXISTS class_enrollment_requests (
+  id SERIAL PRIMARY KEY,
+  class_id INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  message TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  decided_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  decided_at TIMESTAMP,
+  UNIQUE(class_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_class_enrollment_requests_pending
+  ON class_enrollment_requests(class_id) WHERE status = 'pending';
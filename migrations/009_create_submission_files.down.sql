@@ -0,0 +1,13 @@
+ALTER TABLE submissions ADD COLUMN IF NOT EXISTS file_url VARCHAR(255);
+
+-- Put the URLs back as a JSON array; lists that no longer fit the column are left empty
+UPDATE submissions s
+SET file_url = f.urls
+FROM (
+  SELECT submission_id, json_agg(file_url ORDER BY id)::text as urls
+  FROM submission_files
+  GROUP BY submission_id
+) f
+WHERE f.submission_id = s.id AND LENGTH(f.urls) <= 255;
+
+DROP TABLE IF EXISTS submission_files;
@@ -0,0 +1,38 @@
+-- Submission attachments get their own rows (mirrors module_files)
+CREATE TABLE IF NOT EXISTS submission_files (
+  id SERIAL PRIMARY KEY,
+  submission_id INTEGER NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  file_name VARCHAR(255) NOT NULL,
+  file_url TEXT NOT NULL,
+  file_type VARCHAR(100),
+  file_size INTEGER,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_submission_files_submission ON submission_files(submission_id);
+
+-- Move the URLs stored in submissions.file_url into rows. The column holds either a JSON
+-- array of URLs or a single URL. Arrays may have been cut off at 255 characters, so the
+-- quoted URLs are extracted with a regex instead of casting to JSON; a truncated last
+-- entry has no closing quote and is skipped.
+INSERT INTO submission_files (submission_id, file_name, file_url, created_by, created_at)
+SELECT f.submission_id,
+       LEFT(regexp_replace(split_part(f.url, '?', 1), '^.*/', ''), 255),
+       f.url,
+       f.user_id,
+       f.created_at
+FROM (
+  SELECT s.id as submission_id, s.user_id, s.updated_at as created_at, m.match[1] as url, m.position
+  FROM submissions s
+  CROSS JOIN LATERAL regexp_matches(s.file_url, '"([^"]+)"', 'g') WITH ORDINALITY AS m(match, position)
+  WHERE s.file_url LIKE '[%'
+  UNION ALL
+  SELECT s.id, s.user_id, s.updated_at, TRIM(s.file_url), 1
+  FROM submissions s
+  WHERE s.file_url NOT LIKE '[%' AND TRIM(s.file_url) <> ''
+) f
+WHERE NOT EXISTS (SELECT 1 FROM submission_files sf WHERE sf.submission_id = f.submission_id)
+ORDER BY f.submission_id, f.position;
+
+ALTER TABLE submissions DROP COLUMN IF EXISTS file_url;
@@ -0,0 +1,9 @@
+-- Keep only the files of each submission's latest version
+DELETE FROM submission_files sf
+USING submissions s
+WHERE sf.submission_id = s.id AND sf.version_id IS DISTINCT FROM s.current_version_id;
+
+ALTER TABLE grades DROP COLUMN IF EXISTS version_id;
+ALTER TABLE submission_files DROP COLUMN IF EXISTS version_id;
+ALTER TABLE submissions DROP COLUMN IF EXISTS current_version_id;
+DROP TABLE IF EXISTS submission_versions;
@@ -0,0 +1,45 @@
+-- Every submit creates an immutable version. submissions keeps one row per student and
+-- assignment that points at the latest version; files belong to the version they were part of.
+CREATE TABLE IF NOT EXISTS submission_versions (
+  id SERIAL PRIMARY KEY,
+  submission_id INTEGER NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  version_number INTEGER NOT NULL,
+  content TEXT,
+  submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(submission_id, version_number)
+);
+
+ALTER TABLE submissions ADD COLUMN IF NOT EXISTS current_version_id INTEGER
+  REFERENCES submission_versions(id) ON DELETE SET NULL;
+
+ALTER TABLE submission_files ADD COLUMN IF NOT EXISTS version_id INTEGER
+  REFERENCES submission_versions(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_submission_files_version ON submission_files(version_id);
+
+-- A grade is given to one specific version
+ALTER TABLE grades ADD COLUMN IF NOT EXISTS version_id INTEGER
+  REFERENCES submission_versions(id) ON DELETE SET NULL;
+
+-- Existing submissions become their first version
+INSERT INTO submission_versions (submission_id, version_number, content, submitted_at)
+SELECT s.id, 1, s.content, COALESCE(s.updated_at, s.submitted_at)
+FROM submissions s
+WHERE NOT EXISTS (SELECT 1 FROM submission_versions v WHERE v.submission_id = s.id);
+
+UPDATE submissions s
+SET current_version_id = v.id
+FROM submission_versions v
+WHERE v.submission_id = s.id AND v.version_number = 1 AND s.current_version_id IS NULL;
+
+UPDATE submission_files sf
+SET version_id = s.current_version_id
+FROM submissions s
+WHERE sf.submission_id = s.id AND sf.version_id IS NULL;
+
+UPDATE grades g
+SET version_id = s.current_version_id
+FROM submissions s
+WHERE g.submission_id = s.id AND g.version_id IS NULL;
+
+ALTER TABLE submission_files ALTER COLUMN version_id SET NOT NULL;
@@ -0,0 +1,8 @@
+ALTER TABLE submission_versions DROP COLUMN IF EXISTS penalty_percent;
+ALTER TABLE submission_versions DROP COLUMN IF EXISTS late_days;
+ALTER TABLE submission_versions DROP COLUMN IF EXISTS is_late;
+DROP TABLE IF EXISTS assignment_extensions;
+ALTER TABLE assignments DROP COLUMN IF EXISTS late_cutoff;
+ALTER TABLE assignments DROP COLUMN IF EXISTS late_penalty_percent;
+ALTER TABLE assignments DROP COLUMN IF EXISTS grace_period_minutes;
+ALTER TABLE assignments DROP COLUMN IF EXISTS late_policy;
@@ -0,0 +1,29 @@
+-- What happens to submissions after the deadline:
+--   hard_close  - rejected
+--   accept_late - accepted and flagged as late
+--   penalty     - accepted with late_penalty_percent taken off per started day late
+-- A grace period counts as on time; late_cutoff (if set) closes late submissions.
+ALTER TABLE assignments ADD COLUMN IF NOT EXISTS late_policy VARCHAR(20) NOT NULL DEFAULT 'hard_close'
+  CHECK (late_policy IN ('hard_close', 'accept_late', 'penalty'));
+ALTER TABLE assignments ADD COLUMN IF NOT EXISTS grace_period_minutes INTEGER NOT NULL DEFAULT 0
+  CHECK (grace_period_minutes >= 0);
+ALTER TABLE assignments ADD COLUMN IF NOT EXISTS late_penalty_percent NUMERIC(5,2) NOT NULL DEFAULT 0
+  CHECK (late_penalty_percent >= 0 AND late_penalty_percent <= 100);
+ALTER TABLE assignments ADD COLUMN IF NOT EXISTS late_cutoff TIMESTAMP;
+
+-- Per-student deadlines granted by class staff
+CREATE TABLE IF NOT EXISTS assignment_extensions (
+  id SERIAL PRIMARY KEY,
+  assignment_id INTEGER NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  deadline TIMESTAMP NOT NULL,
+  reason TEXT,
+  granted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  granted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(assignment_id, user_id)
+);
+
+-- Lateness is recorded per version when it is submitted
+ALTER TABLE submission_versions ADD COLUMN IF NOT EXISTS is_late BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE submission_versions ADD COLUMN IF NOT EXISTS late_days INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE submission_versions ADD COLUMN IF NOT EXISTS penalty_percent NUMERIC(5,2) NOT NULL DEFAULT 0;
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS grade_criterion_scores;
+DROP TABLE IF EXISTS rubric_levels;
+DROP TABLE IF EXISTS rubric_criteria;
+DROP TABLE IF EXISTS rubrics;
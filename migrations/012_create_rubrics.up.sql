@@ -0,0 +1,40 @@
+-- One rubric per assignment: criteria, each with point levels
+CREATE TABLE IF NOT EXISTS rubrics (
+  id SERIAL PRIMARY KEY,
+  assignment_id INTEGER NOT NULL UNIQUE REFERENCES assignments(id) ON DELETE CASCADE,
+  title VARCHAR(100),
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS rubric_criteria (
+  id SERIAL PRIMARY KEY,
+  rubric_id INTEGER NOT NULL REFERENCES rubrics(id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  order_index INTEGER DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS rubric_levels (
+  id SERIAL PRIMARY KEY,
+  criterion_id INTEGER NOT NULL REFERENCES rubric_criteria(id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  points NUMERIC(6,2) NOT NULL CHECK (points >= 0),
+  order_index INTEGER DEFAULT 0
+);
+
+-- Per-criterion scores of a grade; the grade itself is the percentage of the maximum points
+CREATE TABLE IF NOT EXISTS grade_criterion_scores (
+  id SERIAL PRIMARY KEY,
+  grade_id INTEGER NOT NULL REFERENCES grades(id) ON DELETE CASCADE,
+  criterion_id INTEGER NOT NULL REFERENCES rubric_criteria(id) ON DELETE CASCADE,
+  level_id INTEGER REFERENCES rubric_levels(id) ON DELETE SET NULL,
+  points NUMERIC(6,2) NOT NULL CHECK (points >= 0),
+  comment TEXT,
+  UNIQUE(grade_id, criterion_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rubric_criteria_rubric ON rubric_criteria(rubric_id);
+CREATE INDEX IF NOT EXISTS idx_rubric_levels_criterion ON rubric_levels(criterion_id);
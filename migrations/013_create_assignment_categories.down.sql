@@ -0,0 +1,2 @@
+ALTER TABLE assignments DROP COLUMN IF EXISTS category_id;
+DROP TABLE IF EXISTS assignment_categories;
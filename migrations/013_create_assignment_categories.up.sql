@@ -0,0 +1,14 @@
+-- Weighted grade categories per class (e.g. Labs 40%, Exam 60%)
+CREATE TABLE IF NOT EXISTS assignment_categories (
+  id SERIAL PRIMARY KEY,
+  class_id INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  weight NUMERIC(5,2) NOT NULL DEFAULT 0 CHECK (weight >= 0 AND weight <= 100),
+  order_index INTEGER DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(class_id, name)
+);
+
+ALTER TABLE assignments ADD COLUMN IF NOT EXISTS category_id INTEGER
+  REFERENCES assignment_categories(id) ON DELETE SET NULL;
@@ -0,0 +1,3 @@
+ALTER TABLE assignments DROP COLUMN IF EXISTS grades_released_by;
+ALTER TABLE assignments DROP COLUMN IF EXISTS grades_released_at;
+ALTER TABLE grades DROP COLUMN IF EXISTS released_at;
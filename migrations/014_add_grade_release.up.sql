@@ -0,0 +1,19 @@
+-- Grades are drafts until class staff release them for an assignment
+ALTER TABLE grades ADD COLUMN IF NOT EXISTS released_at TIMESTAMP;
+
+ALTER TABLE assignments ADD COLUMN IF NOT EXISTS grades_released_at TIMESTAMP;
+ALTER TABLE assignments ADD COLUMN IF NOT EXISTS grades_released_by INTEGER
+  REFERENCES users(id) ON DELETE SET NULL;
+
+-- Grades given before this change were already visible to students
+UPDATE grades SET released_at = COALESCE(graded_at, CURRENT_TIMESTAMP) WHERE released_at IS NULL;
+
+UPDATE assignments a
+SET grades_released_at = g.last_graded_at
+FROM (
+  SELECT s.assignment_id, MAX(g.graded_at) as last_graded_at
+  FROM grades g
+  JOIN submissions s ON g.submission_id = s.id
+  GROUP BY s.assignment_id
+) g
+WHERE g.assignment_id = a.id AND a.grades_released_at IS NULL;
@@ -0,0 +1,20 @@
+-- Students dispute a released grade; class staff accept (with a new grade) or reject.
+-- Requests are never deleted so every grade change stays traceable.
+CREATE TABLE IF NOT EXISTS regrade_requests (
+  id SERIAL PRIMARY KEY,
+  submission_id INTEGER NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  grade_id INTEGER REFERENCES grades(id) ON DELETE SET NULL,
+  requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  reason TEXT NOT NULL,
+  original_grade NUMERIC(5,2),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'rejected')),
+  new_grade NUMERIC(5,2),
+  response TEXT,
+  requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  decided_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  decided_at TIMESTAMP
+);
+
+-- One open request per submission at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_regrade_requests_pending
+  ON regrade_requests(submission_id) WHERE status = 'pending';
@@ -0,0 +1,73 @@
+-- Quizzes are assignments with submission_type 'quiz': students answer auto-graded questions
+-- in timed attempts instead of uploading files, and the kept score becomes their grade
+ALTER TABLE assignments ADD COLUMN IF NOT EXISTS submission_type VARCHAR(20) NOT NULL DEFAULT 'file'
+  CHECK (submission_type IN ('file', 'quiz'));
+
+CREATE TABLE IF NOT EXISTS quizzes (
+  id SERIAL PRIMARY KEY,
+  assignment_id INTEGER NOT NULL UNIQUE REFERENCES assignments(id) ON DELETE CASCADE,
+  time_limit_minutes INTEGER CHECK (time_limit_minutes > 0),
+  max_attempts INTEGER CHECK (max_attempts > 0),
+  shuffle_questions BOOLEAN NOT NULL DEFAULT false,
+  questions_per_attempt INTEGER CHECK (questions_per_attempt > 0),
+  scoring_policy VARCHAR(20) NOT NULL DEFAULT 'highest' CHECK (scoring_policy IN ('highest', 'latest')),
+  auto_release BOOLEAN NOT NULL DEFAULT true,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- The question bank of a quiz. Choice questions list their options (is_correct marks the
+-- right ones), short answer questions list accepted answers as options, numeric questions
+-- use numeric_answer +/- numeric_tolerance.
+CREATE TABLE IF NOT EXISTS quiz_questions (
+  id SERIAL PRIMARY KEY,
+  quiz_id INTEGER NOT NULL REFERENCES quizzes(id) ON DELETE CASCADE,
+  question_type VARCHAR(20) NOT NULL
+    CHECK (question_type IN ('multiple_choice', 'multiple_answer', 'short_answer', 'numeric')),
+  prompt TEXT NOT NULL,
+  points NUMERIC(6,2) NOT NULL DEFAULT 1 CHECK (points > 0),
+  numeric_answer NUMERIC,
+  numeric_tolerance NUMERIC NOT NULL DEFAULT 0 CHECK (numeric_tolerance >= 0),
+  order_index INTEGER DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS quiz_question_options (
+  id SERIAL PRIMARY KEY,
+  question_id INTEGER NOT NULL REFERENCES quiz_questions(id) ON DELETE CASCADE,
+  text TEXT NOT NULL,
+  is_correct BOOLEAN NOT NULL DEFAULT false,
+  order_index INTEGER DEFAULT 0
+);
+
+-- question_ids holds the questions drawn for the attempt, in the order they are shown
+CREATE TABLE IF NOT EXISTS quiz_attempts (
+  id SERIAL PRIMARY KEY,
+  quiz_id INTEGER NOT NULL REFERENCES quizzes(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  attempt_number INTEGER NOT NULL,
+  question_ids INTEGER[] NOT NULL,
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP,
+  submitted_at TIMESTAMP,
+  score NUMERIC(8,2),
+  max_score NUMERIC(8,2),
+  grade NUMERIC(5,2),
+  version_id INTEGER REFERENCES submission_versions(id) ON DELETE SET NULL,
+  UNIQUE(quiz_id, user_id, attempt_number)
+);
+
+CREATE TABLE IF NOT EXISTS quiz_attempt_answers (
+  id SERIAL PRIMARY KEY,
+  attempt_id INTEGER NOT NULL REFERENCES quiz_attempts(id) ON DELETE CASCADE,
+  question_id INTEGER NOT NULL REFERENCES quiz_questions(id) ON DELETE CASCADE,
+  answer JSONB,
+  is_correct BOOLEAN,
+  points NUMERIC(6,2),
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(attempt_id, question_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_quiz_questions_quiz ON quiz_questions(quiz_id);
+CREATE INDEX IF NOT EXISTS idx_quiz_question_options_question ON quiz_question_options(question_id);
+CREATE INDEX IF NOT EXISTS idx_quiz_attempts_user ON quiz_attempts(quiz_id, user_id);
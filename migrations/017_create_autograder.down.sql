@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS autograde_results;
+DROP TABLE IF EXISTS autograde_runs;
+DROP TABLE IF EXISTS assignment_test_cases;
+ALTER TABLE assignments DROP COLUMN IF EXISTS autograde_memory_limit_mb;
+ALTER TABLE assignments DROP COLUMN IF EXISTS autograde_time_limit_ms;
+ALTER TABLE assignments DROP COLUMN IF EXISTS autograde_language;
@@ -0,0 +1,53 @@
+-- Programming assignments: submitted source runs against stdin/expected stdout test cases
+-- in a resource-limited child process. A NULL language means the autograder is off.
+ALTER TABLE assignments ADD COLUMN IF NOT EXISTS autograde_language VARCHAR(20)
+  CHECK (autograde_language IN ('python', 'javascript', 'c', 'cpp'));
+ALTER TABLE assignments ADD COLUMN IF NOT EXISTS autograde_time_limit_ms INTEGER NOT NULL DEFAULT 2000;
+ALTER TABLE assignments ADD COLUMN IF NOT EXISTS autograde_memory_limit_mb INTEGER NOT NULL DEFAULT 256;
+
+-- Hidden test cases count towards the score but students never see their input or output
+CREATE TABLE IF NOT EXISTS assignment_test_cases (
+  id SERIAL PRIMARY KEY,
+  assignment_id INTEGER NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  stdin TEXT NOT NULL DEFAULT '',
+  expected_stdout TEXT NOT NULL,
+  is_hidden BOOLEAN NOT NULL DEFAULT false,
+  points NUMERIC(6,2) NOT NULL DEFAULT 1 CHECK (points > 0),
+  order_index INTEGER DEFAULT 0
+);
+
+-- One run per autograded submission version; reruns add new rows
+CREATE TABLE IF NOT EXISTS autograde_runs (
+  id SERIAL PRIMARY KEY,
+  submission_id INTEGER NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  version_id INTEGER NOT NULL REFERENCES submission_versions(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'error')),
+  score NUMERIC(5,2),
+  passed_count INTEGER,
+  total_count INTEGER,
+  error TEXT,
+  requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP,
+  finished_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS autograde_results (
+  id SERIAL PRIMARY KEY,
+  run_id INTEGER NOT NULL REFERENCES autograde_runs(id) ON DELETE CASCADE,
+  test_case_id INTEGER REFERENCES assignment_test_cases(id) ON DELETE SET NULL,
+  test_name VARCHAR(255) NOT NULL,
+  status VARCHAR(20) NOT NULL
+    CHECK (status IN ('passed', 'failed', 'time_limit', 'memory_limit', 'output_limit', 'runtime_error', 'compile_error')),
+  stdout TEXT,
+  stderr TEXT,
+  exit_code INTEGER,
+  duration_ms INTEGER,
+  points NUMERIC(6,2) NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_assignment_test_cases_assignment ON assignment_test_cases(assignment_id);
+CREATE INDEX IF NOT EXISTS idx_autograde_runs_submission ON autograde_runs(submission_id);
+CREATE INDEX IF NOT EXISTS idx_autograde_runs_pending ON autograde_runs(status) WHERE status IN ('queued', 'running');
+CREATE INDEX IF NOT EXISTS idx_autograde_results_run ON autograde_results(run_id);
@@ -0,0 +1,33 @@
+-- Similarity reports compare the current versions of all submissions of an assignment
+-- pairwise (winnowing fingerprints over submission text and uploaded files)
+CREATE TABLE IF NOT EXISTS similarity_reports (
+  id SERIAL PRIMARY KEY,
+  assignment_id INTEGER NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'error')),
+  submission_count INTEGER,
+  pair_count INTEGER,
+  error TEXT,
+  requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP,
+  finished_at TIMESTAMP
+);
+
+-- Suspicious pairs of a report. regions lists matched line ranges on both sides:
+-- [{ a: { document, start_line, end_line }, b: { document, start_line, end_line } }]
+CREATE TABLE IF NOT EXISTS similarity_pairs (
+  id SERIAL PRIMARY KEY,
+  report_id INTEGER NOT NULL REFERENCES similarity_reports(id) ON DELETE CASCADE,
+  submission_a_id INTEGER NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  submission_b_id INTEGER NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  version_a_id INTEGER REFERENCES submission_versions(id) ON DELETE SET NULL,
+  version_b_id INTEGER REFERENCES submission_versions(id) ON DELETE SET NULL,
+  similarity NUMERIC(5,2) NOT NULL,
+  coverage_a NUMERIC(5,2) NOT NULL,
+  coverage_b NUMERIC(5,2) NOT NULL,
+  shared_fingerprints INTEGER NOT NULL,
+  regions JSONB NOT NULL DEFAULT '[]'
+);
+
+CREATE INDEX IF NOT EXISTS idx_similarity_reports_assignment ON similarity_reports(assignment_id);
+CREATE INDEX IF NOT EXISTS idx_similarity_pairs_report ON similarity_pairs(report_id, similarity DESC);
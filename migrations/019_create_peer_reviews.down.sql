@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS peer_review_scores;
+DROP TABLE IF EXISTS peer_reviews;
+DROP TABLE IF EXISTS peer_review_settings;
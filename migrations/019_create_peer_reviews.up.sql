@@ -0,0 +1,45 @@
+-- Peer review of an assignment: once submissions close, every submitter is given
+-- reviews_per_submitter anonymous submissions of others to score against the rubric
+CREATE TABLE IF NOT EXISTS peer_review_settings (
+  id SERIAL PRIMARY KEY,
+  assignment_id INTEGER NOT NULL UNIQUE REFERENCES assignments(id) ON DELETE CASCADE,
+  reviews_per_submitter INTEGER NOT NULL CHECK (reviews_per_submitter > 0),
+  due_at TIMESTAMP,
+  allocated_at TIMESTAMP,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One review of a submission version by another student. Staff can hide a review,
+-- which leaves it out of the aggregated score and of what the author sees.
+CREATE TABLE IF NOT EXISTS peer_reviews (
+  id SERIAL PRIMARY KEY,
+  assignment_id INTEGER NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+  submission_id INTEGER NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  version_id INTEGER REFERENCES submission_versions(id) ON DELETE SET NULL,
+  reviewer_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'assigned' CHECK (status IN ('assigned', 'submitted')),
+  score NUMERIC(5,2),
+  comment TEXT,
+  assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  submitted_at TIMESTAMP,
+  is_hidden BOOLEAN NOT NULL DEFAULT false,
+  moderation_note TEXT,
+  moderated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  moderated_at TIMESTAMP,
+  UNIQUE(submission_id, reviewer_id)
+);
+
+CREATE TABLE IF NOT EXISTS peer_review_scores (
+  id SERIAL PRIMARY KEY,
+  review_id INTEGER NOT NULL REFERENCES peer_reviews(id) ON DELETE CASCADE,
+  criterion_id INTEGER NOT NULL REFERENCES rubric_criteria(id) ON DELETE CASCADE,
+  level_id INTEGER REFERENCES rubric_levels(id) ON DELETE SET NULL,
+  points NUMERIC(6,2) NOT NULL CHECK (points >= 0),
+  comment TEXT,
+  UNIQUE(review_id, criterion_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_peer_reviews_assignment ON peer_reviews(assignment_id);
+CREATE INDEX IF NOT EXISTS idx_peer_reviews_reviewer ON peer_reviews(reviewer_id);
@@ -0,0 +1,9 @@
+ALTER TABLE submission_versions DROP COLUMN IF EXISTS submitted_by;
+DROP TABLE IF EXISTS submission_members;
+DROP INDEX IF EXISTS idx_submissions_group;
+ALTER TABLE submissions DROP COLUMN IF EXISTS group_id;
+ALTER TABLE assignments DROP COLUMN IF EXISTS is_group;
+DROP TABLE IF EXISTS class_group_members;
+DROP TABLE IF EXISTS class_groups;
+ALTER TABLE classes DROP COLUMN IF EXISTS group_max_size;
+ALTER TABLE classes DROP COLUMN IF EXISTS group_self_select;
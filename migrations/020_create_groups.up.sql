@@ -0,0 +1,65 @@
+-- Class-level groups: staff create them, or students form and join them when the
+-- class allows self-selection. A student is in at most one group per class.
+ALTER TABLE classes ADD COLUMN IF NOT EXISTS group_self_select BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE classes ADD COLUMN IF NOT EXISTS group_max_size INTEGER NOT NULL DEFAULT 4
+  CHECK (group_max_size > 0);
+
+CREATE TABLE IF NOT EXISTS class_groups (
+  id SERIAL PRIMARY KEY,
+  class_id INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  max_size INTEGER NOT NULL CHECK (max_size > 0),
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(class_id, name)
+);
+
+-- Leaving the class also leaves its group
+CREATE TABLE IF NOT EXISTS class_group_members (
+  id SERIAL PRIMARY KEY,
+  group_id INTEGER NOT NULL REFERENCES class_groups(id) ON DELETE CASCADE,
+  class_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(class_id, user_id),
+  FOREIGN KEY (class_id, user_id) REFERENCES class_enrollments(class_id, user_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_class_group_members_group ON class_group_members(group_id);
+
+-- Group assignments take one submission per group; its grade applies to every member
+ALTER TABLE assignments ADD COLUMN IF NOT EXISTS is_group BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE submissions ADD COLUMN IF NOT EXISTS group_id INTEGER REFERENCES class_groups(id) ON DELETE SET NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_submissions_group
+  ON submissions(assignment_id, group_id) WHERE group_id IS NOT NULL;
+
+-- The students a submission belongs to (just the submitter for individual work) with
+-- the contribution each member states. A student belongs to one submission per assignment.
+CREATE TABLE IF NOT EXISTS submission_members (
+  id SERIAL PRIMARY KEY,
+  submission_id INTEGER NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  assignment_id INTEGER NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  contribution TEXT,
+  contribution_percent NUMERIC(5,2) CHECK (contribution_percent >= 0 AND contribution_percent <= 100),
+  contribution_updated_at TIMESTAMP,
+  joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(assignment_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_submission_members_submission ON submission_members(submission_id);
+
+INSERT INTO submission_members (submission_id, assignment_id, user_id, joined_at)
+SELECT s.id, s.assignment_id, s.user_id, s.submitted_at
+FROM submissions s
+WHERE s.user_id IS NOT NULL AND s.assignment_id IS NOT NULL
+ON CONFLICT (assignment_id, user_id) DO NOTHING;
+
+-- Which member handed in each version
+ALTER TABLE submission_versions ADD COLUMN IF NOT EXISTS submitted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+UPDATE submission_versions v
+SET submitted_by = s.user_id
+FROM submissions s
+WHERE v.submission_id = s.id AND v.submitted_by IS NULL;
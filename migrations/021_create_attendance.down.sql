@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS attendance_records;
+DROP TABLE IF EXISTS class_sessions;
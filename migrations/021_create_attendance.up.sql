@@ -0,0 +1,31 @@
+-- Practicum sessions (meetings) of a class
+CREATE TABLE IF NOT EXISTS class_sessions (
+  id SERIAL PRIMARY KEY,
+  class_id INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+  topic VARCHAR(255) NOT NULL,
+  room VARCHAR(100),
+  starts_at TIMESTAMP NOT NULL,
+  ends_at TIMESTAMP,
+  -- Check-ins after this many minutes past the start are recorded as late
+  late_after_minutes INTEGER NOT NULL DEFAULT 15 CHECK (late_after_minutes >= 0),
+  -- Students check in with a rotating code derived from the secret while check-in is open
+  checkin_secret VARCHAR(64),
+  checkin_closes_at TIMESTAMP,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_class_sessions_class ON class_sessions(class_id, starts_at);
+
+CREATE TABLE IF NOT EXISTS attendance_records (
+  id SERIAL PRIMARY KEY,
+  session_id INTEGER NOT NULL REFERENCES class_sessions(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('present', 'late', 'excused', 'absent')),
+  method VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (method IN ('manual', 'code')),
+  note TEXT,
+  recorded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(session_id, user_id)
+);
@@ -0,0 +1,5 @@
+ALTER TABLE quizzes DROP COLUMN IF EXISTS opens_at;
+
+DROP INDEX IF EXISTS idx_users_calendar_token;
+ALTER TABLE users DROP COLUMN IF EXISTS calendar_token_created_at;
+ALTER TABLE users DROP COLUMN IF EXISTS calendar_token_hash;
@@ -0,0 +1,10 @@
+-- Personal calendar feed: the user's .ics URL carries a token; only its hash is stored,
+-- and issuing a new token (or revoking it) stops the old URL from working
+ALTER TABLE users ADD COLUMN IF NOT EXISTS calendar_token_hash VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS calendar_token_created_at TIMESTAMP;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_calendar_token ON users(calendar_token_hash)
+  WHERE calendar_token_hash IS NOT NULL;
+
+-- Quizzes can open at a set time; attempts cannot start before it
+ALTER TABLE quizzes ADD COLUMN IF NOT EXISTS opens_at TIMESTAMP;
@@ -0,0 +1,12 @@
+-- Deadline reminders already sent: one row per student, assignment, reminder offset and
+-- deadline, so each reminder fires once even across restarts and instances. A moved
+-- deadline (or an extension) is reminded about again.
+CREATE TABLE IF NOT EXISTS reminder_deliveries (
+  id SERIAL PRIMARY KEY,
+  assignment_id INTEGER NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  offset_minutes INTEGER NOT NULL CHECK (offset_minutes > 0),
+  deadline TIMESTAMP NOT NULL,
+  sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(assignment_id, user_id, offset_minutes, deadline)
+);
@@ -0,0 +1,5 @@
+ALTER TABLE similarity_reports DROP COLUMN IF EXISTS lease_expires_at;
+ALTER TABLE similarity_reports DROP COLUMN IF EXISTS lease_token;
+
+ALTER TABLE autograde_runs DROP COLUMN IF EXISTS lease_expires_at;
+ALTER TABLE autograde_runs DROP COLUMN IF EXISTS lease_token;
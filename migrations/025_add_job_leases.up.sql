@@ -0,0 +1,7 @@
+-- Autograde runs and similarity reports are claimed with a lease that the worker renews
+-- while it runs; another instance only takes over a job whose lease ran out
+ALTER TABLE autograde_runs ADD COLUMN IF NOT EXISTS lease_token VARCHAR(36);
+ALTER TABLE autograde_runs ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMP;
+
+ALTER TABLE similarity_reports ADD COLUMN IF NOT EXISTS lease_token VARCHAR(36);
+ALTER TABLE similarity_reports ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMP;
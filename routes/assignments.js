@@ -1,6 +1,17 @@
 const express = require('express');
 const multer = require('multer');
-const { authenticate, authorize } = require('../middleware/auth');
+const axios = require('axios');
+const contentDisposition = require('content-disposition');
+const { authenticate, optionalAuthenticate, authorize } = require('../middleware/auth');
+const { STAFF_ROLES, classIdFrom, requireClassRole, getClassRole } = require('../middleware/classRole');
+const { getViewerLevel, applyVisibility, parseVisibility } = require('../utils/contentAccess');
+const { findSubmission, lockSubmission, createVersion, getVersionFiles } = require('../utils/submissions');
+const { diffLines, diffFiles } = require('../utils/diff');
+const { evaluateLateness, applyPenalty, parseLatePolicy } = require('../utils/latePolicy');
+const { parseGrade, saveCriterionScores } = require('../utils/rubrics');
+const { emitEvent } = require('../utils/events');
+const { createRun, enqueueRun } = require('../utils/autograder');
+const { getGroupOf } = require('../utils/groups');
 const { uploadFile } = require('../config/cloudinary');
 const db = require('../db');
 
@@ -12,18 +23,152 @@ const upload = multer({ dest: 'uploads/' });
 // Maximum number of files allowed per upload
 const MAX_FILES = 5;
 
-// Get all assignments for a class
-router.get('/class/:classId', async (req, res) => {
+// How students hand in work: uploaded files/text, or attempts at the assignment's quiz
+const SUBMISSION_TYPES = ['file', 'quiz'];
+
+// Files of the current version of a submission as a JSON array, for use in a SELECT on submissions s
+const SUBMISSION_FILES = `COALESCE((
+  SELECT json_agg(sf.* ORDER BY sf.id)
+  FROM submission_files sf
+  WHERE sf.version_id = s.current_version_id
+), '[]') as files`;
+
+// Version details of a submission, for use in a SELECT on submissions s
+const SUBMISSION_VERSION = `
+  (SELECT version_number FROM submission_versions WHERE id = s.current_version_id) as version_number,
+  (SELECT is_late FROM submission_versions WHERE id = s.current_version_id) as is_late,
+  (SELECT late_days FROM submission_versions WHERE id = s.current_version_id) as late_days,
+  (SELECT COUNT(*)::int FROM submission_versions WHERE submission_id = s.id) as version_count`;
+
+// Students a submission s belongs to with their stated contribution and how many
+// versions each of them handed in, as a JSON array
+const SUBMISSION_MEMBERS = `COALESCE((
+  SELECT json_agg(json_build_object(
+    'user_id', mu.id,
+    'username', mu.username,
+    'contribution', sm.contribution,
+    'contribution_percent', sm.contribution_percent,
+    'contribution_updated_at', sm.contribution_updated_at,
+    'versions_submitted', (SELECT COUNT(*)::int FROM submission_versions WHERE submission_id = s.id AND submitted_by = mu.id)
+  ) ORDER BY mu.username)
+  FROM submission_members sm
+  JOIN users mu ON sm.user_id = mu.id
+  WHERE sm.submission_id = s.id
+), '[]') as members`;
+
+// Raw and late-penalized grade, for use with grades g joined to the graded version gv
+const GRADE_PENALTY = `
+  g.grade as raw_grade,
+  COALESCE(gv.penalty_percent, 0) as penalty_percent,
+  ROUND(g.grade * (1 - COALESCE(gv.penalty_percent, 0) / 100), 2) as penalized_grade`;
+
+// Per-criterion rubric scores of a grade g as a JSON array
+const GRADE_CRITERIA = `COALESCE((
+  SELECT json_agg(json_build_object(
+    'criterion_id', c.id,
+    'criterion', c.title,
+    'level_id', l.id,
+    'level', l.title,
+    'points', gs.points,
+    'max_points', (SELECT MAX(points) FROM rubric_levels WHERE criterion_id = c.id),
+    'comment', gs.comment
+  ) ORDER BY c.order_index, c.id)
+  FROM grade_criterion_scores gs
+  JOIN rubric_criteria c ON gs.criterion_id = c.id
+  LEFT JOIN rubric_levels l ON gs.level_id = l.id
+  WHERE gs.grade_id = g.id
+), '[]') as criteria_scores`;
+
+// Latest autograder run of a submission s (status and auto-score), or null
+const AUTOGRADE = `(
+  SELECT json_build_object(
+    'id', r.id,
+    'status', r.status,
+    'score', r.score,
+    'passed_count', r.passed_count,
+    'total_count', r.total_count,
+    'version_number', rv.version_number
+  )
+  FROM autograde_runs r
+  JOIN submission_versions rv ON r.version_id = rv.id
+  WHERE r.submission_id = s.id
+  ORDER BY r.id DESC
+  LIMIT 1
+) as autograde`;
+
+// Validate a grade category id from a request body; '' and null mean no category
+const parseCategory = async (classId, categoryId) => {
+  if (categoryId === undefined || categoryId === null || categoryId === '') {
+    return { value: null };
+  }
+  const result = await db.query(
+    'SELECT id FROM assignment_categories WHERE id = $1 AND class_id = $2',
+    [categoryId, classId]
+  );
+  if (result.rows.length === 0) {
+    return { error: 'Category not found in this class' };
+  }
+  return { value: result.rows[0].id };
+};
+
+// A student's deadline extension for an assignment, or null
+const getExtension = async (assignmentId, userId) => {
+  const result = await db.query(
+    'SELECT * FROM assignment_extensions WHERE assignment_id = $1 AND user_id = $2',
+    [assignmentId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+// All versions of a submission, newest first, with their files
+const getSubmissionVersions = async (submissionId) => {
+  const result = await db.query(`
+    SELECT v.*, COALESCE((
+      SELECT json_agg(sf.* ORDER BY sf.id)
+      FROM submission_files sf
+      WHERE sf.version_id = v.id
+    ), '[]') as files
+    FROM submission_versions v
+    WHERE v.submission_id = $1
+    ORDER BY v.version_number DESC
+  `, [submissionId]);
+  return result.rows;
+};
+
+// Load a submission file with what is needed to check access to it by a user:
+// is_member is set when the submission belongs to them, extension_deadline is their extension
+const getSubmissionFile = async (fileId, userId) => {
+  const result = await db.query(`
+    SELECT sf.*, s.assignment_id, s.current_version_id, a.class_id,
+      a.deadline, a.late_policy, a.grace_period_minutes, a.late_penalty_percent, a.late_cutoff,
+      x.deadline as extension_deadline,
+      EXISTS (SELECT 1 FROM submission_members WHERE submission_id = s.id AND user_id = $2) as is_member
+    FROM submission_files sf
+    JOIN submissions s ON sf.submission_id = s.id
+    JOIN assignments a ON s.assignment_id = a.id
+    LEFT JOIN assignment_extensions x ON x.assignment_id = a.id AND x.user_id = $2
+    WHERE sf.id = $1
+  `, [fileId, userId]);
+  return result.rows[0] || null;
+};
+
+// Get all assignments for a class (filtered by content visibility).
+// ?type=quiz or ?type=file lists only one kind of assignment.
+router.get('/class/:classId', optionalAuthenticate, async (req, res) => {
   try {
     const result = await db.query(`
-      SELECT a.*, u.username as creator_name
+      SELECT a.*, u.username as creator_name,
+        COALESCE(a.visibility, c.content_visibility) as effective_visibility
       FROM assignments a
       JOIN users u ON a.created_by = u.id
-      WHERE a.class_id = $1
+      JOIN classes c ON a.class_id = c.id
+      WHERE a.class_id = $1 AND ($2::text IS NULL OR a.submission_type = $2)
       ORDER BY a.deadline ASC
-    `, [req.params.classId]);
+    `, [req.params.classId, req.query.type || null]);
 
-    res.json(result.rows);
+    const viewerLevel = await getViewerLevel(req.params.classId, req.user);
+
+    res.json(applyVisibility('assignment', result.rows, viewerLevel));
   } catch (error) {
     console.error('Error fetching assignments:', error);
     res.status(500).json({ message: 'Server error' });
@@ -63,10 +208,12 @@ router.get('/upcoming', authenticate, async (req, res) => {
     if (req.user.role === 'praktikan') {
       // Add LEFT JOIN with submissions to check if the user has already submitted
       query += `
-        LEFT JOIN submissions s ON a.id = s.assignment_id AND s.user_id = $1
+        LEFT JOIN submission_members sm ON a.id = sm.assignment_id AND sm.user_id = $1
+        LEFT JOIN assignment_extensions x ON a.id = x.assignment_id AND x.user_id = $1
         WHERE e.user_id = $1
-        AND a.deadline > NOW()
-        AND s.id IS NULL
+        AND COALESCE(x.deadline, a.deadline) > NOW()
+        AND sm.id IS NULL
+        AND COALESCE(a.visibility, c.content_visibility) <> 'staff'
       `;
     } else {
       query += `
@@ -90,11 +237,12 @@ router.get('/upcoming', authenticate, async (req, res) => {
   }
 });
 
-// Get an assignment by ID
-router.get('/:id', async (req, res) => {
+// Get an assignment by ID (subject to content visibility)
+router.get('/:id', optionalAuthenticate, async (req, res) => {
   try {
     const result = await db.query(`
-      SELECT a.*, u.username as creator_name, c.title as class_title
+      SELECT a.*, u.username as creator_name, c.title as class_title,
+        COALESCE(a.visibility, c.content_visibility) as effective_visibility
       FROM assignments a
       JOIN users u ON a.created_by = u.id
       JOIN classes c ON a.class_id = c.id
@@ -105,63 +253,154 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Assignment not found' });
     }
 
-    res.json(result.rows[0]);
+    const viewerLevel = await getViewerLevel(result.rows[0].class_id, req.user);
+    const [assignment] = applyVisibility('assignment', result.rows, viewerLevel);
+
+    // Staff-only assignments do not exist for everyone else
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    // Students see their own extended deadline
+    if (req.user && !assignment.preview) {
+      const extension = await getExtension(req.params.id, req.user.id);
+      if (extension) {
+        assignment.extended_deadline = extension.deadline;
+      }
+    }
+
+    res.json(assignment);
   } catch (error) {
     console.error('Error fetching assignment:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Create a new assignment (aslab only)
-router.post('/', authenticate, authorize(['aslab']), async (req, res) => {
+// Create a new assignment (class staff only)
+router.post('/', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.body('class_id')), async (req, res) => {
   try {
-    const { class_id, title, description, deadline } = req.body;
+    const { class_id, title, description, deadline, visibility = null, submission_type = 'file', is_group = false } = req.body;
 
     if (!class_id || !title || !description || !deadline) {
       return res.status(400).json({ message: 'Class ID, title, description, and deadline are required' });
     }
 
-    // Check if class exists
-    const classCheck = await db.query('SELECT * FROM classes WHERE id = $1', [class_id]);
-    if (classCheck.rows.length === 0) {
-      return res.status(404).json({ message: 'Class not found' });
+    if (!SUBMISSION_TYPES.includes(submission_type)) {
+      return res.status(400).json({ message: `Submission type must be one of: ${SUBMISSION_TYPES.join(', ')}` });
+    }
+
+    if (typeof is_group !== 'boolean') {
+      return res.status(400).json({ message: 'is_group must be true or false' });
+    }
+    if (is_group && submission_type === 'quiz') {
+      return res.status(400).json({ message: 'Quizzes cannot be group assignments' });
+    }
+
+    const parsedVisibility = parseVisibility(visibility);
+    if (parsedVisibility.error) {
+      return res.status(400).json({ message: parsedVisibility.error });
+    }
+
+    const latePolicy = parseLatePolicy(req.body);
+    if (latePolicy.error) {
+      return res.status(400).json({ message: latePolicy.error });
+    }
+
+    const category = await parseCategory(class_id, req.body.category_id);
+    if (category.error) {
+      return res.status(400).json({ message: category.error });
     }
 
     const result = await db.query(
-      'INSERT INTO assignments (class_id, title, description, deadline, created_by) VALUES ($1, $2, $3, $4, $5) RETURNING *',
-      [class_id, title, description, deadline, req.user.id]
+      `INSERT INTO assignments (class_id, title, description, deadline, visibility,
+         late_policy, grace_period_minutes, late_penalty_percent, late_cutoff, category_id, submission_type, is_group, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING *`,
+      [
+        class_id, title, description, deadline, parsedVisibility.value,
+        latePolicy.value.late_policy, latePolicy.value.grace_period_minutes,
+        latePolicy.value.late_penalty_percent, latePolicy.value.late_cutoff, category.value, submission_type, is_group, req.user.id
+      ]
     );
+    const assignment = result.rows[0];
 
-    res.status(201).json(result.rows[0]);
+    emitEvent('assignment.created', {
+      assignment_id: assignment.id,
+      assignment_title: assignment.title,
+      class_id: assignment.class_id,
+      deadline: assignment.deadline,
+      created_by: req.user.id
+    });
+
+    res.status(201).json(assignment);
   } catch (error) {
     console.error('Error creating assignment:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Update an assignment (aslab only)
-router.put('/:id', authenticate, authorize(['aslab']), async (req, res) => {
+// Update an assignment (class staff only)
+router.put('/:id', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.assignment('id')), async (req, res) => {
   try {
-    const { title, description, deadline } = req.body;
+    const { title, description, deadline, visibility } = req.body;
 
     if (!title || !description || !deadline) {
       return res.status(400).json({ message: 'Title, description, and deadline are required' });
     }
 
-    // Check if assignment exists
     const assignmentCheck = await db.query('SELECT * FROM assignments WHERE id = $1', [req.params.id]);
-    if (assignmentCheck.rows.length === 0) {
-      return res.status(404).json({ message: 'Assignment not found' });
+
+    // Keep the current visibility unless a new one is sent
+    let newVisibility = assignmentCheck.rows[0].visibility;
+    if (visibility !== undefined) {
+      const parsedVisibility = parseVisibility(visibility);
+      if (parsedVisibility.error) {
+        return res.status(400).json({ message: parsedVisibility.error });
+      }
+      newVisibility = parsedVisibility.value;
+    }
+
+    // Late policy fields that are not sent keep their current values
+    const latePolicy = parseLatePolicy(req.body, assignmentCheck.rows[0]);
+    if (latePolicy.error) {
+      return res.status(400).json({ message: latePolicy.error });
+    }
+
+    // Switching between individual and group work is only possible before anyone submits
+    let isGroup = assignmentCheck.rows[0].is_group;
+    if (req.body.is_group !== undefined && req.body.is_group !== isGroup) {
+      if (typeof req.body.is_group !== 'boolean') {
+        return res.status(400).json({ message: 'is_group must be true or false' });
+      }
+      if (req.body.is_group && assignmentCheck.rows[0].submission_type === 'quiz') {
+        return res.status(400).json({ message: 'Quizzes cannot be group assignments' });
+      }
+      const submissionsCheck = await db.query('SELECT 1 FROM submissions WHERE assignment_id = $1 LIMIT 1', [req.params.id]);
+      if (submissionsCheck.rows.length > 0) {
+        return res.status(409).json({ message: 'Assignment already has submissions' });
+      }
+      isGroup = req.body.is_group;
     }
 
-    // Only allow the creator or an aslab to update
-    if (assignmentCheck.rows[0].created_by !== req.user.id && req.user.role !== 'aslab') {
-      return res.status(403).json({ message: 'Not authorized to update this assignment' });
+    let categoryId = assignmentCheck.rows[0].category_id;
+    if (req.body.category_id !== undefined) {
+      const category = await parseCategory(req.classId, req.body.category_id);
+      if (category.error) {
+        return res.status(400).json({ message: category.error });
+      }
+      categoryId = category.value;
     }
 
     const result = await db.query(
-      'UPDATE assignments SET title = $1, description = $2, deadline = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $4 RETURNING *',
-      [title, description, deadline, req.params.id]
+      `UPDATE assignments
+       SET title = $1, description = $2, deadline = $3, visibility = $4,
+           late_policy = $5, grace_period_minutes = $6, late_penalty_percent = $7, late_cutoff = $8,
+           category_id = $9, is_group = $10, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $11 RETURNING *`,
+      [
+        title, description, deadline, newVisibility,
+        latePolicy.value.late_policy, latePolicy.value.grace_period_minutes,
+        latePolicy.value.late_penalty_percent, latePolicy.value.late_cutoff, categoryId, isGroup, req.params.id
+      ]
     );
 
     res.json(result.rows[0]);
@@ -171,20 +410,9 @@ router.put('/:id', authenticate, authorize(['aslab']), async (req, res) => {
   }
 });
 
-// Delete an assignment (aslab only)
-router.delete('/:id', authenticate, authorize(['aslab']), async (req, res) => {
+// Delete an assignment (class staff only)
+router.delete('/:id', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.assignment('id')), async (req, res) => {
   try {
-    // Check if assignment exists
-    const assignmentCheck = await db.query('SELECT * FROM assignments WHERE id = $1', [req.params.id]);
-    if (assignmentCheck.rows.length === 0) {
-      return res.status(404).json({ message: 'Assignment not found' });
-    }
-
-    // Only allow the creator or an aslab to delete
-    if (assignmentCheck.rows[0].created_by !== req.user.id && req.user.role !== 'aslab') {
-      return res.status(403).json({ message: 'Not authorized to delete this assignment' });
-    }
-
     await db.query('DELETE FROM assignments WHERE id = $1', [req.params.id]);
 
     res.json({ message: 'Assignment deleted successfully' });
@@ -194,95 +422,145 @@ router.delete('/:id', authenticate, authorize(['aslab']), async (req, res) => {
   }
 });
 
-// Submit an assignment (praktikan only)
-router.post('/:id/submit', authenticate, authorize(['praktikan']), upload.array('files', MAX_FILES), async (req, res) => {
+// Submit an assignment (students of the class only)
+router.post('/:id/submit', authenticate, authorize(['praktikan']), requireClassRole(['student'], classIdFrom.assignment('id')), upload.array('files', MAX_FILES), async (req, res) => {
   try {
     const { content, existingFiles } = req.body;
     const files = req.files;
 
-    // Check if assignment exists
-    const assignmentCheck = await db.query('SELECT * FROM assignments WHERE id = $1', [req.params.id]);
-    if (assignmentCheck.rows.length === 0) {
+    // Check if assignment exists (staff-only assignments cannot be submitted to)
+    const assignmentCheck = await db.query(`
+      SELECT a.*, COALESCE(a.visibility, c.content_visibility) as effective_visibility
+      FROM assignments a
+      JOIN classes c ON a.class_id = c.id
+      WHERE a.id = $1
+    `, [req.params.id]);
+    if (assignmentCheck.rows.length === 0 || assignmentCheck.rows[0].effective_visibility === 'staff') {
       return res.status(404).json({ message: 'Assignment not found' });
     }
 
-    // Check if deadline has passed
-    const now = new Date();
-    const deadline = new Date(assignmentCheck.rows[0].deadline);
-    if (now > deadline) {
-      return res.status(400).json({ message: 'Deadline has passed' });
+    if (assignmentCheck.rows[0].submission_type === 'quiz') {
+      return res.status(400).json({ message: 'Quiz assignments are answered through quiz attempts' });
     }
 
-    // Process file uploads and store URLs
-    let fileUrls = [];
+    // Check the deadline (or the student's extension) against the assignment's late policy
+    const extension = await getExtension(req.params.id, req.user.id);
+    const lateness = evaluateLateness(assignmentCheck.rows[0], extension);
+    if (!lateness.allowed) {
+      return res.status(400).json({ message: lateness.message });
+    }
 
-    // Add existing files that weren't removed
+    // Files of the previous submission to keep, given as file ids (or URLs from older clients)
+    let keepFiles = [];
     if (existingFiles) {
       try {
         const parsedExistingFiles = JSON.parse(existingFiles);
         if (Array.isArray(parsedExistingFiles)) {
-          fileUrls = [...parsedExistingFiles];
+          keepFiles = parsedExistingFiles.map(String);
         }
       } catch (e) {
         console.error('Error parsing existing files:', e);
       }
     }
 
-    // Add new files
-    if (files && files.length > 0) {
-      // Check if total files would exceed the limit
-      if (fileUrls.length + files.length > MAX_FILES) {
-        return res.status(400).json({
-          message: `Cannot add ${files.length} files. Maximum ${MAX_FILES} files allowed per submission. Current count: ${fileUrls.length}`
-        });
-      }
+    // Group work is handed in once per group; a student who already belongs to a
+    // submission keeps working on it
+    const group = assignmentCheck.rows[0].is_group
+      ? await getGroupOf(assignmentCheck.rows[0].class_id, req.user.id)
+      : null;
+
+    // Check if submission already exists
+    const existingSubmission = await findSubmission(db, req.params.id, req.user.id, group ? group.id : null);
+
+    if (assignmentCheck.rows[0].is_group && !group && !existingSubmission) {
+      return res.status(400).json({ message: 'Join a group to submit this group assignment' });
+    }
 
-      // Upload each file to Cloudinary
-      for (const file of files) {
-        const uploadResult = await uploadFile(file, 'submissions');
-        fileUrls.push(uploadResult.url);
+    let keepFileIds = [];
+    if (existingSubmission && existingSubmission.current_version_id) {
+      const currentFiles = await getVersionFiles(db, existingSubmission.current_version_id);
+      keepFileIds = currentFiles
+        .filter(file => keepFiles.includes(String(file.id)) || keepFiles.includes(file.file_url))
+        .map(file => file.id);
+    }
+
+    // Check if total files would exceed the limit
+    if (files && keepFileIds.length + files.length > MAX_FILES) {
+      return res.status(400).json({
+        message: `Cannot add ${files.length} files. Maximum ${MAX_FILES} files allowed per submission. Current count: ${keepFileIds.length}`
+      });
+    }
+
+    // Upload each new file to Cloudinary before touching the database
+    const uploads = [];
+    for (const file of files || []) {
+      const uploadResult = await uploadFile(file, 'submissions');
+      uploads.push({ file, url: uploadResult.url });
+    }
+
+    // Every submit is stored as a new version
+    const client = await db.pool.connect();
+    let submission;
+    let version;
+    let autogradeRun = null;
+    try {
+      await client.query('BEGIN');
+
+      submission = await lockSubmission(client, req.params.id, req.user.id, group ? group.id : null);
+      version = await createVersion(client, submission, { content, keepFileIds, uploads, userId: req.user.id, lateness });
+
+      // Programming assignments run the new version against their test cases
+      if (assignmentCheck.rows[0].autograde_language) {
+        autogradeRun = await createRun(client, submission.id, version.id, req.user.id);
       }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
 
-    // Convert array of URLs to JSON string for storage
-    const fileUrlsJson = JSON.stringify(fileUrls);
+    const result = await db.query(`SELECT s.*, ${SUBMISSION_MEMBERS} FROM submissions s WHERE s.id = $1`, [submission.id]);
+    const updatedSubmission = {
+      ...result.rows[0],
+      version_number: version.version_number,
+      is_late: version.is_late,
+      late_days: version.late_days,
+      penalty_percent: version.penalty_percent,
+      files: await getVersionFiles(db, version.id),
+      autograde: autogradeRun ? { id: autogradeRun.id, status: autogradeRun.status } : null
+    };
 
-    // Check if submission already exists
-    const submissionCheck = await db.query(
-      'SELECT * FROM submissions WHERE assignment_id = $1 AND user_id = $2',
-      [req.params.id, req.user.id]
-    );
+    if (autogradeRun) {
+      enqueueRun(autogradeRun.id);
+    }
 
-    if (submissionCheck.rows.length > 0) {
-      // Update existing submission
-      const result = await db.query(
-        'UPDATE submissions SET content = $1, file_url = $2, updated_at = CURRENT_TIMESTAMP WHERE assignment_id = $3 AND user_id = $4 RETURNING *',
-        [content, fileUrlsJson, req.params.id, req.user.id]
-      );
-      return res.json({ message: 'Submission updated', submission: result.rows[0] });
-    } else {
-      // Create new submission
-      const result = await db.query(
-        'INSERT INTO submissions (assignment_id, user_id, content, file_url) VALUES ($1, $2, $3, $4) RETURNING *',
-        [req.params.id, req.user.id, content, fileUrlsJson]
-      );
-      return res.status(201).json({ message: 'Submission created', submission: result.rows[0] });
+    if (submission.created) {
+      return res.status(201).json({ message: 'Submission created', submission: updatedSubmission });
     }
+    res.json({ message: 'Submission updated', submission: updatedSubmission });
   } catch (error) {
     console.error('Error submitting assignment:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get submissions for an assignment (aslab only)
-router.get('/:id/submissions', authenticate, authorize(['aslab']), async (req, res) => {
+// Get submissions for an assignment (class staff only)
+router.get('/:id/submissions', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.assignment('id')), async (req, res) => {
   try {
     const result = await db.query(`
-      SELECT s.*, u.username, g.grade, g.feedback, g.graded_at, gu.username as graded_by
+      SELECT s.*, u.username, cg.name as group_name, g.grade, g.feedback, g.graded_at, g.released_at as grade_released_at,
+        gu.username as graded_by, gv.version_number as graded_version_number, ${GRADE_PENALTY}, ${GRADE_CRITERIA},
+        ${SUBMISSION_VERSION}, ${SUBMISSION_FILES}, ${AUTOGRADE}, ${SUBMISSION_MEMBERS},
+        (SELECT id FROM regrade_requests WHERE submission_id = s.id AND status = 'pending') as pending_regrade_id
       FROM submissions s
       JOIN users u ON s.user_id = u.id
+      LEFT JOIN class_groups cg ON s.group_id = cg.id
       LEFT JOIN grades g ON s.id = g.submission_id
       LEFT JOIN users gu ON g.graded_by = gu.id
+      LEFT JOIN submission_versions gv ON g.version_id = gv.id
       WHERE s.assignment_id = $1
       ORDER BY s.submitted_at DESC
     `, [req.params.id]);
@@ -294,17 +572,21 @@ router.get('/:id/submissions', authenticate, authorize(['aslab']), async (req, r
   }
 });
 
-// Grade a submission (aslab only)
-router.post('/:id/submissions/:submissionId/grade', authenticate, authorize(['aslab']), async (req, res) => {
+// Grade a submission (class staff only). Grades are drafts until released, and
+// changing a released grade turns it back into a draft.
+// Send { criteria: [{ criterion_id, level_id, points, comment }] } to score the assignment's
+// rubric (the grade is then the percentage of the rubric's maximum points), or a plain { grade }.
+router.post('/:id/submissions/:submissionId/grade', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.assignment('id')), async (req, res) => {
   try {
-    const { grade, feedback } = req.body;
+    const { feedback, version_id } = req.body;
     const { submissionId } = req.params;
 
     // Validate grade
-    const numericGrade = parseFloat(grade);
-    if (isNaN(numericGrade) || numericGrade < 0 || numericGrade > 100) {
-      return res.status(400).json({ message: 'Grade must be a number between 0 and 100' });
+    const parsedGrade = await parseGrade(req.params.id, req.body);
+    if (parsedGrade.error) {
+      return res.status(400).json({ message: parsedGrade.error });
     }
+    const { grade: numericGrade, rubricScore } = parsedGrade.value;
 
     // Check if submission exists
     const submissionCheck = await db.query(
@@ -316,31 +598,51 @@ router.post('/:id/submissions/:submissionId/grade', authenticate, authorize(['as
       return res.status(404).json({ message: 'Submission not found' });
     }
 
-    // Check if grade already exists
-    const gradeCheck = await db.query(
-      'SELECT * FROM grades WHERE submission_id = $1',
-      [submissionId]
+    // Grades attach to a version, the latest one unless another is given
+    let versionId = submissionCheck.rows[0].current_version_id;
+    if (version_id !== undefined && version_id !== null) {
+      versionId = Number(version_id);
+      if (!Number.isInteger(versionId) || versionId < 1) {
+        return res.status(400).json({ message: 'Version ID must be a positive integer' });
+      }
+    }
+
+    const versionCheck = await db.query(
+      'SELECT id, version_number, penalty_percent FROM submission_versions WHERE id = $1 AND submission_id = $2',
+      [versionId, submissionId]
     );
 
+    if (versionCheck.rows.length === 0) {
+      return version_id !== undefined && version_id !== null
+        ? res.status(400).json({ message: 'Version does not belong to this submission' })
+        : res.status(404).json({ message: 'Submission version not found' });
+    }
+
+    // Save the grade and its criterion scores together
+    const client = await db.pool.connect();
     let result;
+    try {
+      await client.query('BEGIN');
 
-    if (gradeCheck.rows.length > 0) {
-      // Update existing grade
-      result = await db.query(
-        `UPDATE grades
-         SET grade = $1, feedback = $2, graded_at = CURRENT_TIMESTAMP, graded_by = $3
-         WHERE submission_id = $4
-         RETURNING *`,
-        [numericGrade, feedback, req.user.id, submissionId]
-      );
-    } else {
-      // Create new grade
-      result = await db.query(
-        `INSERT INTO grades (submission_id, grade, feedback, graded_by)
-         VALUES ($1, $2, $3, $4)
+      result = await client.query(
+        `INSERT INTO grades (submission_id, version_id, grade, feedback, graded_by)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (submission_id) DO UPDATE
+         SET grade = EXCLUDED.grade, feedback = EXCLUDED.feedback, version_id = EXCLUDED.version_id,
+             graded_at = CURRENT_TIMESTAMP, graded_by = EXCLUDED.graded_by, released_at = NULL
          RETURNING *`,
-        [submissionId, numericGrade, feedback, req.user.id]
+        [submissionId, versionCheck.rows[0].id, numericGrade, feedback, req.user.id]
       );
+
+      // A plain grade replaces any earlier rubric scoring
+      await saveCriterionScores(client, result.rows[0].id, rubricScore ? rubricScore.scores : []);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
 
     // Get username of grader
@@ -351,9 +653,19 @@ router.post('/:id/submissions/:submissionId/grade', authenticate, authorize(['as
 
     const gradeData = {
       ...result.rows[0],
-      graded_by: graderInfo.rows[0].username
+      graded_by: graderInfo.rows[0].username,
+      graded_version_number: versionCheck.rows[0].version_number,
+      raw_grade: result.rows[0].grade,
+      penalty_percent: versionCheck.rows[0].penalty_percent,
+      penalized_grade: applyPenalty(result.rows[0].grade, versionCheck.rows[0].penalty_percent).toFixed(2)
     };
 
+    if (rubricScore) {
+      gradeData.criteria_scores = rubricScore.scores;
+      gradeData.total_points = rubricScore.total_points;
+      gradeData.max_points = rubricScore.max_points;
+    }
+
     res.json({ message: 'Grade saved successfully', grade: gradeData });
   } catch (error) {
     console.error('Error grading submission:', error);
@@ -361,15 +673,198 @@ router.post('/:id/submissions/:submissionId/grade', authenticate, authorize(['as
   }
 });
 
-// Get user's submission for an assignment (including grade and feedback)
+// Release the draft grades of an assignment to students (class staff only)
+router.post('/:id/grades/release', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const client = await db.pool.connect();
+    let releasedResult;
+    let membersResult;
+    let assignment;
+    try {
+      await client.query('BEGIN');
+
+      releasedResult = await client.query(`
+        UPDATE grades g
+        SET released_at = CURRENT_TIMESTAMP
+        FROM submissions s
+        WHERE g.submission_id = s.id AND s.assignment_id = $1 AND g.released_at IS NULL
+        RETURNING s.id
+      `, [req.params.id]);
+
+      // A group grade is released to every member of the submission
+      membersResult = await client.query(
+        'SELECT user_id FROM submission_members WHERE submission_id = ANY($1::int[]) ORDER BY user_id',
+        [releasedResult.rows.map(row => row.id)]
+      );
+
+      const assignmentResult = await client.query(`
+        UPDATE assignments
+        SET grades_released_at = CURRENT_TIMESTAMP, grades_released_by = $2
+        WHERE id = $1
+        RETURNING id, class_id, title, grades_released_at
+      `, [req.params.id, req.user.id]);
+      assignment = assignmentResult.rows[0];
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const userIds = membersResult.rows.map(row => row.user_id);
+    if (userIds.length > 0) {
+      emitEvent('grade.released', {
+        assignment_id: assignment.id,
+        assignment_title: assignment.title,
+        class_id: assignment.class_id,
+        user_ids: userIds,
+        released_by: req.user.id,
+        released_at: assignment.grades_released_at
+      });
+    }
+
+    res.json({
+      message: 'Grades released successfully',
+      released_count: releasedResult.rows.length,
+      grades_released_at: assignment.grades_released_at
+    });
+  } catch (error) {
+    console.error('Error releasing grades:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Hide all grades of an assignment from students again (class staff only)
+router.delete('/:id/grades/release', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const client = await db.pool.connect();
+    let retractedResult;
+    try {
+      await client.query('BEGIN');
+
+      retractedResult = await client.query(`
+        UPDATE grades g
+        SET released_at = NULL
+        FROM submissions s
+        WHERE g.submission_id = s.id AND s.assignment_id = $1 AND g.released_at IS NOT NULL
+        RETURNING g.id
+      `, [req.params.id]);
+
+      await client.query(
+        'UPDATE assignments SET grades_released_at = NULL, grades_released_by = NULL WHERE id = $1',
+        [req.params.id]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    res.json({ message: 'Grades hidden from students', retracted_count: retractedResult.rows.length });
+  } catch (error) {
+    console.error('Error retracting grades:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the deadline extensions of an assignment (class staff only)
+router.get('/:id/extensions', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT x.*, u.username, gu.username as granted_by_name
+      FROM assignment_extensions x
+      JOIN users u ON x.user_id = u.id
+      LEFT JOIN users gu ON x.granted_by = gu.id
+      WHERE x.assignment_id = $1
+      ORDER BY u.username ASC
+    `, [req.params.id]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching extensions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Grant or change a student's deadline extension (class staff only); it must end after
+// the assignment's own deadline
+router.put('/:id/extensions/:userId', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const { deadline, reason } = req.body;
+
+    const newDeadline = new Date(deadline);
+    if (!deadline || isNaN(newDeadline.getTime())) {
+      return res.status(400).json({ message: 'A valid deadline is required' });
+    }
+
+    const assignmentResult = await db.query('SELECT deadline FROM assignments WHERE id = $1', [req.params.id]);
+    if (newDeadline <= new Date(assignmentResult.rows[0].deadline)) {
+      return res.status(400).json({ message: 'An extension must be later than the assignment deadline' });
+    }
+
+    const studentCheck = await db.query(
+      "SELECT 1 FROM class_enrollments WHERE class_id = $1 AND user_id = $2 AND role = 'student'",
+      [req.classId, req.params.userId]
+    );
+
+    if (studentCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Student not found in this class' });
+    }
+
+    const result = await db.query(`
+      INSERT INTO assignment_extensions (assignment_id, user_id, deadline, reason, granted_by)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (assignment_id, user_id) DO UPDATE
+      SET deadline = EXCLUDED.deadline, reason = EXCLUDED.reason,
+          granted_by = EXCLUDED.granted_by, granted_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [req.params.id, req.params.userId, newDeadline, reason || null, req.user.id]);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error granting extension:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke a student's deadline extension (class staff only)
+router.delete('/:id/extensions/:userId', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM assignment_extensions WHERE assignment_id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.params.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Extension not found' });
+    }
+
+    res.json({ message: 'Extension revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking extension:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get user's submission for an assignment (including grade and feedback once released)
 router.get('/:id/my-submission', authenticate, async (req, res) => {
   try {
     const result = await db.query(`
-      SELECT s.*, g.grade, g.feedback, g.graded_at, u.username as graded_by
+      SELECT s.*, cg.name as group_name, g.grade, g.feedback, g.graded_at, g.released_at as grade_released_at,
+        u.username as graded_by, gv.version_number as graded_version_number, ${GRADE_PENALTY}, ${GRADE_CRITERIA},
+        ${SUBMISSION_VERSION}, ${SUBMISSION_FILES}, ${AUTOGRADE}, ${SUBMISSION_MEMBERS}
       FROM submissions s
-      LEFT JOIN grades g ON s.id = g.submission_id
+      JOIN submission_members me ON me.submission_id = s.id AND me.user_id = $2
+      LEFT JOIN class_groups cg ON s.group_id = cg.id
+      LEFT JOIN grades g ON s.id = g.submission_id AND g.released_at IS NOT NULL
       LEFT JOIN users u ON g.graded_by = u.id
-      WHERE s.assignment_id = $1 AND s.user_id = $2
+      LEFT JOIN submission_versions gv ON g.version_id = gv.id
+      WHERE s.assignment_id = $1
     `, [req.params.id, req.user.id]);
 
     if (result.rows.length === 0) {
@@ -383,10 +878,296 @@ router.get('/:id/my-submission', authenticate, async (req, res) => {
   }
 });
 
+// Get all versions of your own submission, newest first
+router.get('/:id/my-submission/history', authenticate, async (req, res) => {
+  try {
+    const submissionResult = await db.query(
+      'SELECT submission_id as id FROM submission_members WHERE assignment_id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+
+    if (submissionResult.rows.length === 0) {
+      return res.status(404).json({ message: 'No submission found' });
+    }
+
+    res.json(await getSubmissionVersions(submissionResult.rows[0].id));
+  } catch (error) {
+    console.error('Error fetching submission history:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Record your contribution to your (group) submission: { contribution, contribution_percent }
+router.put('/:id/my-submission/contribution', authenticate, async (req, res) => {
+  try {
+    const { contribution = null, contribution_percent = null } = req.body || {};
+
+    if (contribution !== null && typeof contribution !== 'string') {
+      return res.status(400).json({ message: 'Contribution must be text' });
+    }
+
+    let percent = null;
+    if (contribution_percent !== null && contribution_percent !== '') {
+      percent = parseFloat(contribution_percent);
+      if (isNaN(percent) || percent < 0 || percent > 100) {
+        return res.status(400).json({ message: 'Contribution percentage must be between 0 and 100' });
+      }
+    }
+
+    const result = await db.query(`
+      UPDATE submission_members
+      SET contribution = $3, contribution_percent = $4, contribution_updated_at = CURRENT_TIMESTAMP
+      WHERE assignment_id = $1 AND user_id = $2
+      RETURNING submission_id, user_id, contribution, contribution_percent, contribution_updated_at
+    `, [req.params.id, req.user.id, contribution ? contribution.trim() : null, percent]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'No submission found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error saving contribution:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get your regrade requests for an assignment, newest first
+router.get('/:id/my-submission/regrade', authenticate, async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT r.*, d.username as decided_by_name
+      FROM regrade_requests r
+      JOIN submission_members me ON me.submission_id = r.submission_id
+      LEFT JOIN users d ON r.decided_by = d.id
+      WHERE me.assignment_id = $1 AND me.user_id = $2
+      ORDER BY r.requested_at DESC, r.id DESC
+    `, [req.params.id, req.user.id]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching regrade requests:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Ask class staff to review the released grade of your submission
+router.post('/:id/my-submission/regrade', authenticate, async (req, res) => {
+  try {
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({ message: 'A reason is required' });
+    }
+
+    const submissionResult = await db.query(`
+      SELECT s.id, a.class_id, a.title, g.id as grade_id, g.grade
+      FROM submissions s
+      JOIN submission_members me ON me.submission_id = s.id AND me.user_id = $2
+      JOIN assignments a ON s.assignment_id = a.id
+      LEFT JOIN grades g ON s.id = g.submission_id AND g.released_at IS NOT NULL
+      WHERE s.assignment_id = $1
+    `, [req.params.id, req.user.id]);
+
+    if (submissionResult.rows.length === 0) {
+      return res.status(404).json({ message: 'No submission found' });
+    }
+
+    const submission = submissionResult.rows[0];
+    if (!submission.grade_id) {
+      return res.status(400).json({ message: 'Only released grades can be disputed' });
+    }
+
+    const result = await db.query(`
+      INSERT INTO regrade_requests (submission_id, grade_id, requested_by, reason, original_grade)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (submission_id) WHERE status = 'pending' DO NOTHING
+      RETURNING *
+    `, [submission.id, submission.grade_id, req.user.id, reason, submission.grade]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ message: 'A regrade request for this submission is already pending' });
+    }
+
+    emitEvent('regrade.requested', {
+      request_id: result.rows[0].id,
+      assignment_id: parseInt(req.params.id, 10),
+      assignment_title: submission.title,
+      class_id: submission.class_id,
+      user_id: req.user.id
+    });
+
+    res.status(201).json({ message: 'Regrade request submitted', request: result.rows[0] });
+  } catch (error) {
+    console.error('Error requesting regrade:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get all versions of a submission, newest first (class staff only)
+router.get('/:id/submissions/:submissionId/versions', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const submissionResult = await db.query(
+      'SELECT id FROM submissions WHERE id = $1 AND assignment_id = $2',
+      [req.params.submissionId, req.params.id]
+    );
+
+    if (submissionResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    res.json(await getSubmissionVersions(req.params.submissionId));
+  } catch (error) {
+    console.error('Error fetching submission versions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Diff two versions of a submission (class staff only).
+// ?from=<version number>&to=<version number>; defaults to the latest version against the one before it.
+// from=0 (the default for the first version) diffs against an empty submission; from is then null.
+router.get('/:id/submissions/:submissionId/diff', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const versionsResult = await db.query(`
+      SELECT v.*
+      FROM submission_versions v
+      JOIN submissions s ON v.submission_id = s.id
+      WHERE s.id = $1 AND s.assignment_id = $2
+      ORDER BY v.version_number ASC
+    `, [req.params.submissionId, req.params.id]);
+
+    const versions = versionsResult.rows;
+    if (versions.length === 0) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    const latest = versions[versions.length - 1].version_number;
+    const to = req.query.to ? parseInt(req.query.to, 10) : latest;
+    const from = req.query.from ? parseInt(req.query.from, 10) : to - 1;
+
+    const fromVersion = from === 0 ? null : versions.find(v => v.version_number === from);
+    const toVersion = versions.find(v => v.version_number === to);
+
+    if ((from !== 0 && !fromVersion) || !toVersion) {
+      return res.status(404).json({ message: 'Submission version not found' });
+    }
+
+    const [fromFiles, toFiles] = await Promise.all([
+      fromVersion ? getVersionFiles(db, fromVersion.id) : [],
+      getVersionFiles(db, toVersion.id)
+    ]);
+
+    res.json({
+      from: fromVersion
+        ? { id: fromVersion.id, version_number: from, submitted_at: fromVersion.submitted_at }
+        : null,
+      to: { id: toVersion.id, version_number: to, submitted_at: toVersion.submitted_at },
+      content: diffLines(fromVersion ? fromVersion.content : '', toVersion.content),
+      files: diffFiles(fromFiles, toFiles)
+    });
+  } catch (error) {
+    console.error('Error diffing submission versions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download a submission file with its original name (the students it belongs to,
+// class staff, or a peer reviewer of the version the file belongs to)
+router.get('/submission-files/:fileId/download', authenticate, async (req, res) => {
+  try {
+    const file = await getSubmissionFile(req.params.fileId, req.user.id);
+    if (!file) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    if (!file.is_member) {
+      const classRole = await getClassRole(file.class_id, req.user.id);
+      if (!STAFF_ROLES.includes(classRole)) {
+        const reviewResult = await db.query(
+          'SELECT 1 FROM peer_reviews WHERE version_id = $1 AND reviewer_id = $2',
+          [file.version_id, req.user.id]
+        );
+        if (reviewResult.rows.length === 0) {
+          return res.status(403).json({ message: 'Access denied' });
+        }
+      }
+    }
+
+    // Fetch the file from Cloudinary
+    const response = await axios({
+      method: 'GET',
+      url: file.file_url,
+      responseType: 'stream'
+    });
+
+    res.setHeader('Content-Disposition', contentDisposition(file.file_name));
+    res.setHeader('Content-Type', file.file_type || response.headers['content-type'] || 'application/octet-stream');
+    if (response.headers['content-length']) {
+      res.setHeader('Content-Length', response.headers['content-length']);
+    }
+
+    // Stream the file to the client
+    response.data.pipe(res);
+  } catch (error) {
+    console.error('Error downloading submission file:', error);
+    res.status(500).json({ message: 'Failed to download file' });
+  }
+});
+
+// Remove a file from your own submission (before the deadline).
+// Earlier versions are immutable, so this stores a new version without the file.
+router.delete('/submission-files/:fileId', authenticate, async (req, res) => {
+  try {
+    const file = await getSubmissionFile(req.params.fileId, req.user.id);
+    if (!file || !file.is_member || file.version_id !== file.current_version_id) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    const lateness = evaluateLateness(file, file.extension_deadline ? { deadline: file.extension_deadline } : null);
+    if (!lateness.allowed) {
+      return res.status(400).json({ message: lateness.message });
+    }
+
+    const client = await db.pool.connect();
+    let version;
+    try {
+      await client.query('BEGIN');
+
+      const submission = await lockSubmission(client, file.assignment_id, req.user.id);
+
+      // Another request may have created a version in the meantime
+      if (submission.current_version_id !== file.version_id) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ message: 'Submission changed, reload and try again' });
+      }
+
+      const currentFiles = await getVersionFiles(client, submission.current_version_id);
+      version = await createVersion(client, submission, {
+        content: submission.content,
+        keepFileIds: currentFiles.filter(f => f.id !== file.id).map(f => f.id),
+        userId: req.user.id,
+        lateness
+      });
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    res.json({ message: 'File deleted successfully', version_number: version.version_number });
+  } catch (error) {
+    console.error('Error deleting submission file:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get all assignments (for assignment listing page)
 router.get('/', authenticate, async (req, res) => {
   try {
-    // For aslab, get all assignments
+    // For aslab, get assignments of the classes they are staff in
     // For praktikan, get assignments from enrolled classes
     let result;
 
@@ -396,8 +1177,10 @@ router.get('/', authenticate, async (req, res) => {
         FROM assignments a
         JOIN classes c ON a.class_id = c.id
         JOIN users u ON a.created_by = u.id
+        JOIN class_enrollments e ON c.id = e.class_id
+        WHERE e.user_id = $1 AND e.role IN ('owner', 'assistant')
         ORDER BY a.deadline ASC
-      `);
+      `, [req.user.id]);
     } else {
       // For praktikan, exclude assignments that have already been submitted
       result = await db.query(`
@@ -406,9 +1189,10 @@ router.get('/', authenticate, async (req, res) => {
         JOIN classes c ON a.class_id = c.id
         JOIN users u ON a.created_by = u.id
         JOIN class_enrollments e ON c.id = e.class_id
-        LEFT JOIN submissions s ON a.id = s.assignment_id AND s.user_id = $1
+        LEFT JOIN submission_members sm ON a.id = sm.assignment_id AND sm.user_id = $1
         WHERE e.user_id = $1
-        AND (s.id IS NULL OR $2 = false)
+        AND (sm.id IS NULL OR $2 = false)
+        AND COALESCE(a.visibility, c.content_visibility) <> 'staff'
         ORDER BY a.deadline ASC
       `, [req.user.id, req.user.role === 'praktikan']);
     }
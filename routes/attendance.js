@@ -0,0 +1,380 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { CLASS_ROLES, STAFF_ROLES, classIdFrom, requireClassRole } = require('../middleware/classRole');
+const {
+  ATTENDANCE_STATUSES,
+  MAX_CHECKIN_MINUTES,
+  generateCheckinSecret,
+  currentCheckinCode,
+  checkinCodeMatches,
+  isCheckinOpen,
+  checkinStatus,
+  parseSession,
+  buildAttendanceSummary,
+  attendanceTable
+} = require('../utils/attendance');
+const { toCsv } = require('../utils/csv');
+const { redisClient } = require('../config/redis');
+const db = require('../db');
+
+// Mounted on /api/classes
+const router = express.Router();
+
+// Wrong codes a student may enter per session before check-in is refused
+const MAX_FAILED_CHECKINS = 5;
+
+const failedCheckinsKey = (sessionId, userId) => `checkin_failures:${sessionId}:${userId}`;
+
+// Find a session of the class the request is about, or null
+const getSession = async (classId, sessionId) => {
+  const result = await db.query('SELECT * FROM class_sessions WHERE id = $1 AND class_id = $2', [sessionId, classId]);
+  return result.rows[0] || null;
+};
+
+// The check-in secret never leaves the server
+const withoutSecret = ({ checkin_secret, ...session }) => ({ ...session, checkin_open: isCheckinOpen({ checkin_secret, ...session }) });
+
+// Get the sessions of a class, earliest first (class members).
+// Students also get their own attendance status for every session.
+router.get('/:id/sessions', authenticate, requireClassRole(CLASS_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT cs.*, r.status as my_status,
+        (SELECT COUNT(*)::int FROM attendance_records WHERE session_id = cs.id AND status IN ('present', 'late')) as attended_count
+      FROM class_sessions cs
+      LEFT JOIN attendance_records r ON r.session_id = cs.id AND r.user_id = $2
+      WHERE cs.class_id = $1
+      ORDER BY cs.starts_at ASC, cs.id ASC
+    `, [req.params.id, req.user.id]);
+
+    const staff = STAFF_ROLES.includes(req.classRole);
+    res.json(result.rows.map(row => {
+      const { my_status, attended_count, ...session } = withoutSecret(row);
+      return staff ? { ...session, attended_count } : { ...session, my_status };
+    }));
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a session (class staff only): { topic, room, starts_at, ends_at, late_after_minutes }
+router.post('/:id/sessions', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const parsed = parseSession(req.body || {});
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    const { topic, room, starts_at, ends_at, late_after_minutes } = parsed.value;
+    const result = await db.query(`
+      INSERT INTO class_sessions (class_id, topic, room, starts_at, ends_at, late_after_minutes, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [req.params.id, topic, room, starts_at, ends_at, late_after_minutes, req.user.id]);
+
+    res.status(201).json(withoutSecret(result.rows[0]));
+  } catch (error) {
+    console.error('Error creating session:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a session; fields that are not sent keep their values (class staff only)
+router.put('/:id/sessions/:sessionId', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const session = await getSession(req.params.id, req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const parsed = parseSession(req.body || {}, session);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    const { topic, room, starts_at, ends_at, late_after_minutes } = parsed.value;
+    const result = await db.query(`
+      UPDATE class_sessions
+      SET topic = $1, room = $2, starts_at = $3, ends_at = $4, late_after_minutes = $5, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $6
+      RETURNING *
+    `, [topic, room, starts_at, ends_at, late_after_minutes, session.id]);
+
+    res.json(withoutSecret(result.rows[0]));
+  } catch (error) {
+    console.error('Error updating session:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a session with its attendance (class staff only)
+router.delete('/:id/sessions/:sessionId', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM class_sessions WHERE id = $1 AND class_id = $2 RETURNING id',
+      [req.params.sessionId, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Session deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting session:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the attendance of a session: every student of the class with their status,
+// null when nothing has been recorded yet (class staff only)
+router.get('/:id/sessions/:sessionId/attendance', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const session = await getSession(req.params.id, req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const result = await db.query(`
+      SELECT u.id as user_id, u.username, u.email, r.status, r.method, r.note, r.recorded_at,
+        ru.username as recorded_by_name
+      FROM class_enrollments e
+      JOIN users u ON e.user_id = u.id
+      LEFT JOIN attendance_records r ON r.session_id = $2 AND r.user_id = u.id
+      LEFT JOIN users ru ON r.recorded_by = ru.id
+      WHERE e.class_id = $1 AND e.role = 'student'
+      ORDER BY u.username ASC
+    `, [req.params.id, session.id]);
+
+    res.json({ session: withoutSecret(session), students: result.rows });
+  } catch (error) {
+    console.error('Error fetching session attendance:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Record attendance by hand (class staff only): { records: [{ user_id, status, note }] }.
+// Existing records of the listed students are overwritten; status null removes a record.
+router.put('/:id/sessions/:sessionId/attendance', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const { records } = req.body || {};
+
+    const session = await getSession(req.params.id, req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    if (!Array.isArray(records) || records.length === 0) {
+      return res.status(400).json({ message: 'At least one attendance record is required' });
+    }
+
+    const studentsResult = await db.query(
+      "SELECT user_id FROM class_enrollments WHERE class_id = $1 AND role = 'student'",
+      [req.params.id]
+    );
+    const studentIds = new Set(studentsResult.rows.map(row => row.user_id));
+
+    for (const record of records) {
+      if (!studentIds.has(parseInt(record?.user_id, 10))) {
+        return res.status(404).json({ message: 'Student not found in this class' });
+      }
+      if (record.status !== null && !ATTENDANCE_STATUSES.includes(record.status)) {
+        return res.status(400).json({ message: `Status must be one of: ${ATTENDANCE_STATUSES.join(', ')}` });
+      }
+    }
+
+    // Start a transaction
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      for (const record of records) {
+        if (record.status === null) {
+          await client.query(
+            'DELETE FROM attendance_records WHERE session_id = $1 AND user_id = $2',
+            [session.id, record.user_id]
+          );
+          continue;
+        }
+
+        await client.query(`
+          INSERT INTO attendance_records (session_id, user_id, status, method, note, recorded_by)
+          VALUES ($1, $2, $3, 'manual', $4, $5)
+          ON CONFLICT (session_id, user_id) DO UPDATE
+          SET status = EXCLUDED.status, method = 'manual', note = EXCLUDED.note,
+              recorded_by = EXCLUDED.recorded_by, recorded_at = CURRENT_TIMESTAMP
+        `, [session.id, record.user_id, record.status, record.note || null, req.user.id]);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    res.json({ message: 'Attendance saved successfully', recorded_count: records.length });
+  } catch (error) {
+    console.error('Error saving attendance:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Open check-in for a session for { duration_minutes } (default 15) and get the first code
+// (class staff only). Opening again starts a new secret, so earlier codes stop working.
+router.post('/:id/sessions/:sessionId/check-in/open', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const duration = parseInt(req.body?.duration_minutes ?? 15, 10);
+    if (isNaN(duration) || duration < 1 || duration > MAX_CHECKIN_MINUTES) {
+      return res.status(400).json({ message: `Duration must be between 1 and ${MAX_CHECKIN_MINUTES} minutes` });
+    }
+
+    const result = await db.query(`
+      UPDATE class_sessions
+      SET checkin_secret = $3, checkin_closes_at = CURRENT_TIMESTAMP + make_interval(mins => $4)
+      WHERE id = $1 AND class_id = $2
+      RETURNING *
+    `, [req.params.sessionId, req.params.id, generateCheckinSecret(), duration]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const session = result.rows[0];
+    res.json({ ...currentCheckinCode(session), checkin_closes_at: session.checkin_closes_at });
+  } catch (error) {
+    console.error('Error opening check-in:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Close check-in for a session (class staff only)
+router.delete('/:id/sessions/:sessionId/check-in', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const result = await db.query(`
+      UPDATE class_sessions SET checkin_secret = NULL, checkin_closes_at = NULL
+      WHERE id = $1 AND class_id = $2
+      RETURNING id
+    `, [req.params.sessionId, req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Check-in closed' });
+  } catch (error) {
+    console.error('Error closing check-in:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the current check-in code to show in the room; it rotates every period (class staff only)
+router.get('/:id/sessions/:sessionId/check-in/code', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const session = await getSession(req.params.id, req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    if (!isCheckinOpen(session)) {
+      return res.status(400).json({ message: 'Check-in is not open' });
+    }
+
+    res.json({ ...currentCheckinCode(session), checkin_closes_at: session.checkin_closes_at });
+  } catch (error) {
+    console.error('Error fetching check-in code:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Check in to a session with the code shown in the room (students of the class): { code }.
+// Recorded as present, or late once the session's late threshold has passed.
+router.post('/:id/sessions/:sessionId/check-in', authenticate, requireClassRole(['student'], classIdFrom.param('id')), async (req, res) => {
+  try {
+    const session = await getSession(req.params.id, req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    if (!isCheckinOpen(session)) {
+      return res.status(400).json({ message: 'Check-in is not open' });
+    }
+
+    const failuresKey = failedCheckinsKey(session.id, req.user.id);
+    const failures = parseInt(await redisClient.get(failuresKey) || '0', 10);
+    if (failures >= MAX_FAILED_CHECKINS) {
+      return res.status(429).json({ message: 'Too many wrong codes, ask class staff to record your attendance' });
+    }
+
+    if (!checkinCodeMatches(session, req.body?.code)) {
+      await redisClient.incr(failuresKey);
+      await redisClient.expire(failuresKey, MAX_CHECKIN_MINUTES * 60);
+      return res.status(400).json({ message: 'Invalid or expired code' });
+    }
+
+    // A record staff already made is left alone
+    const result = await db.query(`
+      INSERT INTO attendance_records (session_id, user_id, status, method, recorded_by)
+      VALUES ($1, $2, $3, 'code', $2)
+      ON CONFLICT (session_id, user_id) DO NOTHING
+      RETURNING status, recorded_at
+    `, [session.id, req.user.id, checkinStatus(session)]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ message: 'Attendance already recorded for this session' });
+    }
+
+    res.status(201).json({ message: 'Checked in successfully', ...result.rows[0] });
+  } catch (error) {
+    console.error('Error checking in:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the attendance summary of a class: every student x session with counts and rate
+// (class staff only). ?format=csv downloads it as a file.
+router.get('/:id/attendance', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const { format } = req.query;
+
+    if (format && !['json', 'csv'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be json or csv' });
+    }
+
+    const summary = await buildAttendanceSummary(req.params.id);
+
+    if (format === 'csv') {
+      const { header, rows } = attendanceTable(summary);
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="class-${req.params.id}-attendance.csv"`);
+      return res.send(toCsv(header, rows));
+    }
+
+    res.json(summary);
+  } catch (error) {
+    console.error('Error building attendance summary:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get your own attendance summary in a class (students of the class)
+router.get('/:id/attendance/me', authenticate, requireClassRole(['student'], classIdFrom.param('id')), async (req, res) => {
+  try {
+    const summary = await buildAttendanceSummary(req.params.id, { userId: req.user.id });
+    const [me] = summary.students;
+
+    res.json({
+      sessions: summary.sessions.map(session => ({ ...session, status: me.statuses[session.id] })),
+      counts: me.counts,
+      attendance_rate: me.attendance_rate
+    });
+  } catch (error) {
+    console.error('Error fetching attendance:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
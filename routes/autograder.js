@@ -0,0 +1,229 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { CLASS_ROLES, STAFF_ROLES, classIdFrom, requireClassRole } = require('../middleware/classRole');
+const {
+  parseAutograderSettings,
+  parseTestCases,
+  saveTestCases,
+  getTestCases,
+  createRun,
+  enqueueRun,
+  getLatestRun
+} = require('../utils/autograder');
+const db = require('../db');
+
+// Mounted on /api/assignments
+const router = express.Router();
+
+// Autograder settings of an assignment with its effective visibility
+const getAssignment = async (assignmentId) => {
+  const result = await db.query(`
+    SELECT a.id, a.submission_type, a.autograde_language, a.autograde_time_limit_ms, a.autograde_memory_limit_mb,
+      COALESCE(a.visibility, c.content_visibility) as effective_visibility
+    FROM assignments a
+    JOIN classes c ON a.class_id = c.id
+    WHERE a.id = $1
+  `, [assignmentId]);
+  return result.rows[0];
+};
+
+const settingsOf = (assignment) => ({
+  language: assignment.autograde_language,
+  time_limit_ms: assignment.autograde_time_limit_ms,
+  memory_limit_mb: assignment.autograde_memory_limit_mb
+});
+
+// Get the autograder of an assignment (class members).
+// Students see the visible test cases and how many hidden ones there are.
+router.get('/:id/autograder', authenticate, requireClassRole(CLASS_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const assignment = await getAssignment(req.params.id);
+    const staff = STAFF_ROLES.includes(req.classRole);
+
+    if (!assignment.autograde_language || (!staff && assignment.effective_visibility === 'staff')) {
+      return res.status(404).json({ message: 'Autograder not configured' });
+    }
+
+    const testCases = await getTestCases(req.params.id);
+
+    if (staff) {
+      return res.json({ ...settingsOf(assignment), test_cases: testCases });
+    }
+
+    res.json({
+      ...settingsOf(assignment),
+      test_cases: testCases.filter(testCase => !testCase.is_hidden),
+      hidden_count: testCases.filter(testCase => testCase.is_hidden).length
+    });
+  } catch (error) {
+    console.error('Error fetching autograder:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set up or update the autograder of an assignment (class staff only).
+// { language, time_limit_ms, memory_limit_mb, test_cases: [{ name, stdin, expected_stdout, is_hidden, points }] }
+// Settings that are not sent keep their current values; test_cases replaces all test cases.
+router.put('/:id/autograder', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const assignment = await getAssignment(req.params.id);
+
+    if (assignment.submission_type === 'quiz') {
+      return res.status(400).json({ message: 'Quiz assignments cannot be autograded with test cases' });
+    }
+
+    const settings = parseAutograderSettings(body, assignment);
+    if (settings.error) {
+      return res.status(400).json({ message: settings.error });
+    }
+
+    let testCases = null;
+    if (body.test_cases !== undefined || !assignment.autograde_language) {
+      const parsedTestCases = parseTestCases(body.test_cases);
+      if (parsedTestCases.error) {
+        return res.status(400).json({ message: parsedTestCases.error });
+      }
+      testCases = parsedTestCases.value;
+    }
+
+    // Start a transaction
+    const client = await db.pool.connect();
+    let updated;
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        UPDATE assignments
+        SET autograde_language = $1, autograde_time_limit_ms = $2, autograde_memory_limit_mb = $3,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $4
+        RETURNING autograde_language, autograde_time_limit_ms, autograde_memory_limit_mb
+      `, [
+        settings.value.autograde_language, settings.value.autograde_time_limit_ms,
+        settings.value.autograde_memory_limit_mb, req.params.id
+      ]);
+      updated = result.rows[0];
+
+      if (testCases) {
+        await saveTestCases(client, req.params.id, testCases);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    res.json({ ...settingsOf(updated), test_cases: await getTestCases(req.params.id) });
+  } catch (error) {
+    console.error('Error saving autograder:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Turn the autograder of an assignment off and remove its test cases (class staff only).
+// Earlier runs and their results are kept.
+router.delete('/:id/autograder', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    // Start a transaction
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      await client.query('UPDATE assignments SET autograde_language = NULL WHERE id = $1', [req.params.id]);
+      await client.query('DELETE FROM assignment_test_cases WHERE assignment_id = $1', [req.params.id]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    res.json({ message: 'Autograder removed successfully' });
+  } catch (error) {
+    console.error('Error removing autograder:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Run the autograder again on the current version of a submission (class staff only)
+router.post('/:id/submissions/:submissionId/autograde', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const assignment = await getAssignment(req.params.id);
+    if (!assignment.autograde_language) {
+      return res.status(400).json({ message: 'Autograder not configured' });
+    }
+
+    const submissionResult = await db.query(
+      'SELECT id, current_version_id FROM submissions WHERE id = $1 AND assignment_id = $2',
+      [req.params.submissionId, req.params.id]
+    );
+
+    if (submissionResult.rows.length === 0 || !submissionResult.rows[0].current_version_id) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    const run = await createRun(db, submissionResult.rows[0].id, submissionResult.rows[0].current_version_id, req.user.id);
+    enqueueRun(run.id);
+
+    res.status(202).json({ message: 'Autograder run queued', run });
+  } catch (error) {
+    console.error('Error queueing autograder run:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the latest autograder run of a submission with all results (class staff only)
+router.get('/:id/submissions/:submissionId/autograde', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const submissionResult = await db.query(
+      'SELECT id FROM submissions WHERE id = $1 AND assignment_id = $2',
+      [req.params.submissionId, req.params.id]
+    );
+
+    if (submissionResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    const run = await getLatestRun(submissionResult.rows[0].id, { includeHidden: true });
+    if (!run) {
+      return res.status(404).json({ message: 'No autograder run found' });
+    }
+
+    res.json(run);
+  } catch (error) {
+    console.error('Error fetching autograder run:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the latest autograder run of your own submission; hidden tests only show pass/fail
+router.get('/:id/my-submission/autograde', authenticate, async (req, res) => {
+  try {
+    const submissionResult = await db.query(
+      'SELECT submission_id as id FROM submission_members WHERE assignment_id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+
+    if (submissionResult.rows.length === 0) {
+      return res.status(404).json({ message: 'No submission found' });
+    }
+
+    const run = await getLatestRun(submissionResult.rows[0].id, { includeHidden: false });
+    if (!run) {
+      return res.status(404).json({ message: 'No autograder run found' });
+    }
+
+    res.json(run);
+  } catch (error) {
+    console.error('Error fetching autograder run:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
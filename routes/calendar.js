@@ -0,0 +1,105 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const {
+  issueCalendarToken,
+  revokeCalendarToken,
+  findCalendarUser,
+  getCalendarEvents,
+  buildCalendar
+} = require('../utils/calendar');
+const db = require('../db');
+
+const router = express.Router();
+
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}${req.baseUrl}/feed/${token}.ics`;
+
+// Parse an optional date query parameter; returns { value } or { error }
+const parseDateParam = (value, name) => {
+  if (value === undefined || value === '') {
+    return { value: null };
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return { error: `${name} must be a valid date` };
+  }
+  return { value: date };
+};
+
+// Get your schedule: assignment deadlines, quiz windows and class sessions (?from=&to=)
+router.get('/events', authenticate, async (req, res) => {
+  try {
+    const from = parseDateParam(req.query.from, 'from');
+    const to = parseDateParam(req.query.to, 'to');
+    if (from.error || to.error) {
+      return res.status(400).json({ message: from.error || to.error });
+    }
+
+    res.json(await getCalendarEvents(req.user.id, { from: from.value, to: to.value }));
+  } catch (error) {
+    console.error('Error fetching calendar events:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Check whether you have a calendar feed
+router.get('/feed-token', authenticate, async (req, res) => {
+  try {
+    const result = await db.query(
+      'SELECT calendar_token_created_at as created_at FROM users WHERE id = $1 AND calendar_token_hash IS NOT NULL',
+      [req.user.id]
+    );
+
+    res.json({ active: result.rows.length > 0, created_at: result.rows[0]?.created_at || null });
+  } catch (error) {
+    console.error('Error fetching calendar feed token:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create your calendar feed URL. The token is only shown now; creating a new one
+// replaces the old URL.
+router.post('/feed-token', authenticate, async (req, res) => {
+  try {
+    const { token, created_at } = await issueCalendarToken(req.user.id);
+
+    res.status(201).json({ token, feed_url: feedUrl(req, token), created_at });
+  } catch (error) {
+    console.error('Error creating calendar feed token:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke your calendar feed URL
+router.delete('/feed-token', authenticate, async (req, res) => {
+  try {
+    if (!await revokeCalendarToken(req.user.id)) {
+      return res.status(404).json({ message: 'No calendar feed to revoke' });
+    }
+
+    res.json({ message: 'Calendar feed revoked' });
+  } catch (error) {
+    console.error('Error revoking calendar feed token:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// The iCalendar feed calendar apps subscribe to; the token in the URL is the only credential
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const user = await findCalendarUser(req.params.token);
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+
+    const events = await getCalendarEvents(user.id);
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="digilab-ng.ics"');
+    res.send(buildCalendar(events, { name: `Digilab-NG (${user.username})` }));
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
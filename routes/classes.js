@@ -1,6 +1,17 @@
 const express = require('express');
 const multer = require('multer');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, optionalAuthenticate, authorize } = require('../middleware/auth');
+const { STAFF_ROLES, classIdFrom, requireClassRole, getClassRole } = require('../middleware/classRole');
+const { parseVisibility } = require('../utils/contentAccess');
+const {
+  ENROLLMENT_MODES,
+  MAX_BULK_STUDENTS,
+  generateEnrollmentKey,
+  enrollmentKeyMatches,
+  addStudent,
+  addStudents
+} = require('../utils/enrollments');
+const { parseCsv, isBlankRow, toCsv } = require('../utils/csv');
 const { uploadFile } = require('../config/cloudinary');
 const db = require('../db');
 
@@ -9,6 +20,36 @@ const router = express.Router();
 // Configure multer for file uploads
 const upload = multer({ dest: 'uploads/' });
 
+// Roster CSVs are small, so they are parsed straight from memory
+const csvUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 1024 * 1024 } });
+
+// Column names recognised in the header row of a roster CSV
+const ROSTER_ID_COLUMNS = ['email', 'username', 'identifier'];
+
+// The enrollment key is only ever shown to class staff
+const withoutEnrollmentKey = ({ enrollment_key, ...rest }) => rest;
+
+// Validate enrollment settings from a request body against the class's current settings.
+// Key-protected classes always have a key; one is generated when none is given.
+const parseEnrollmentSettings = (body, current = { enrollment_mode: 'open', enrollment_key: null }) => {
+  const mode = body.enrollment_mode !== undefined ? body.enrollment_mode : current.enrollment_mode;
+
+  if (!ENROLLMENT_MODES.includes(mode)) {
+    return { error: `Enrollment mode must be one of: ${ENROLLMENT_MODES.join(', ')}` };
+  }
+
+  if (mode !== 'key') {
+    return { mode, key: null };
+  }
+
+  const requestedKey = typeof body.enrollment_key === 'string' ? body.enrollment_key.trim() : '';
+  if (requestedKey && (requestedKey.length < 4 || requestedKey.length > 64)) {
+    return { error: 'Enrollment key must be between 4 and 64 characters' };
+  }
+
+  return { mode, key: requestedKey || current.enrollment_key || generateEnrollmentKey() };
+};
+
 // Get all classes
 router.get('/', async (req, res) => {
   try {
@@ -19,15 +60,15 @@ router.get('/', async (req, res) => {
       ORDER BY c.created_at DESC
     `);
 
-    res.json(result.rows);
+    res.json(result.rows.map(withoutEnrollmentKey));
   } catch (error) {
     console.error('Error fetching classes:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get a class by ID
-router.get('/:id', async (req, res) => {
+// Get a class by ID (class staff also get the enrollment key)
+router.get('/:id', optionalAuthenticate, async (req, res) => {
   try {
     const result = await db.query(`
       SELECT c.*, u.username as creator_name
@@ -40,7 +81,9 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Class not found' });
     }
 
-    res.json(result.rows[0]);
+    const classRole = req.user ? await getClassRole(req.params.id, req.user.id) : null;
+
+    res.json(STAFF_ROLES.includes(classRole) ? result.rows[0] : withoutEnrollmentKey(result.rows[0]));
   } catch (error) {
     console.error('Error fetching class:', error);
     res.status(500).json({ message: 'Server error' });
@@ -50,54 +93,88 @@ router.get('/:id', async (req, res) => {
 // Create a new class (aslab only)
 router.post('/', authenticate, authorize(['aslab']), upload.single('image'), async (req, res) => {
   try {
-    const { title, description } = req.body;
+    const { title, description, content_visibility = 'enrolled' } = req.body;
     const file = req.file;
 
     if (!title) {
       return res.status(400).json({ message: 'Title is required' });
     }
 
+    // Default visibility for the class's folders, modules and assignments
+    const parsedVisibility = parseVisibility(content_visibility, { allowInherit: false });
+    if (parsedVisibility.error) {
+      return res.status(400).json({ message: parsedVisibility.error });
+    }
+
+    const enrollment = parseEnrollmentSettings(req.body);
+    if (enrollment.error) {
+      return res.status(400).json({ message: enrollment.error });
+    }
+
     let imageUrl = null;
     if (file) {
       const uploadResult = await uploadFile(file, 'classes');
       imageUrl = uploadResult.url;
     }
 
-    const result = await db.query(
-      'INSERT INTO classes (title, description, image_url, created_by) VALUES ($1, $2, $3, $4) RETURNING *',
-      [title, description, imageUrl, req.user.id]
-    );
-
-    res.status(201).json(result.rows[0]);
+    // Start a transaction
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        'INSERT INTO classes (title, description, image_url, content_visibility, enrollment_mode, enrollment_key, created_by) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *',
+        [title, description, imageUrl, parsedVisibility.value, enrollment.mode, enrollment.key, req.user.id]
+      );
+
+      // The creator owns the class
+      await client.query(
+        "INSERT INTO class_enrollments (class_id, user_id, role) VALUES ($1, $2, 'owner')",
+        [result.rows[0].id, req.user.id]
+      );
+
+      await client.query('COMMIT');
+
+      res.status(201).json(result.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
   } catch (error) {
     console.error('Error creating class:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Update a class (aslab only)
-router.put('/:id', authenticate, authorize(['aslab']), upload.single('image'), async (req, res) => {
+// Update a class (class staff only)
+router.put('/:id', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), upload.single('image'), async (req, res) => {
   try {
-    const { title, description } = req.body;
+    const { title, description, content_visibility } = req.body;
     const file = req.file;
 
     if (!title) {
       return res.status(400).json({ message: 'Title is required' });
     }
 
-    // Check if class exists and user is the creator
     const classCheck = await db.query(
       'SELECT * FROM classes WHERE id = $1',
       [req.params.id]
     );
 
-    if (classCheck.rows.length === 0) {
-      return res.status(404).json({ message: 'Class not found' });
+    let contentVisibility = classCheck.rows[0].content_visibility;
+    if (content_visibility !== undefined) {
+      const parsedVisibility = parseVisibility(content_visibility, { allowInherit: false });
+      if (parsedVisibility.error) {
+        return res.status(400).json({ message: parsedVisibility.error });
+      }
+      contentVisibility = parsedVisibility.value;
     }
 
-    // Only allow the creator or an aslab to update
-    if (classCheck.rows[0].created_by !== req.user.id && req.user.role !== 'aslab') {
-      return res.status(403).json({ message: 'Not authorized to update this class' });
+    const enrollment = parseEnrollmentSettings(req.body, classCheck.rows[0]);
+    if (enrollment.error) {
+      return res.status(400).json({ message: enrollment.error });
     }
 
     let imageUrl = classCheck.rows[0].image_url;
@@ -107,8 +184,8 @@ router.put('/:id', authenticate, authorize(['aslab']), upload.single('image'), a
     }
 
     const result = await db.query(
-      'UPDATE classes SET title = $1, description = $2, image_url = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $4 RETURNING *',
-      [title, description, imageUrl, req.params.id]
+      'UPDATE classes SET title = $1, description = $2, image_url = $3, content_visibility = $4, enrollment_mode = $5, enrollment_key = $6, updated_at = CURRENT_TIMESTAMP WHERE id = $7 RETURNING *',
+      [title, description, imageUrl, contentVisibility, enrollment.mode, enrollment.key, req.params.id]
     );
 
     res.json(result.rows[0]);
@@ -118,24 +195,9 @@ router.put('/:id', authenticate, authorize(['aslab']), upload.single('image'), a
   }
 });
 
-// Delete a class (aslab only)
-router.delete('/:id', authenticate, authorize(['aslab']), async (req, res) => {
+// Delete a class (class owner only)
+router.delete('/:id', authenticate, requireClassRole(['owner'], classIdFrom.param('id')), async (req, res) => {
   try {
-    // Check if class exists and user is the creator
-    const classCheck = await db.query(
-      'SELECT * FROM classes WHERE id = $1',
-      [req.params.id]
-    );
-
-    if (classCheck.rows.length === 0) {
-      return res.status(404).json({ message: 'Class not found' });
-    }
-
-    // Only allow the creator or an aslab to delete
-    if (classCheck.rows[0].created_by !== req.user.id && req.user.role !== 'aslab') {
-      return res.status(403).json({ message: 'Not authorized to delete this class' });
-    }
-
     await db.query('DELETE FROM classes WHERE id = $1', [req.params.id]);
 
     res.json({ message: 'Class deleted successfully' });
@@ -145,7 +207,9 @@ router.delete('/:id', authenticate, authorize(['aslab']), async (req, res) => {
   }
 });
 
-// Enroll in a class (praktikan only)
+// Enroll in a class (praktikan only).
+// Open classes enroll instantly, key-protected classes need { enrollment_key }
+// and approval classes queue a request ({ message } is optional) for class staff.
 router.post('/:id/enroll', authenticate, authorize(['praktikan']), async (req, res) => {
   try {
     // Check if class exists
@@ -168,9 +232,37 @@ router.post('/:id/enroll', authenticate, authorize(['praktikan']), async (req, r
       return res.status(400).json({ message: 'Already enrolled in this class' });
     }
 
+    const classData = classCheck.rows[0];
+
+    if (classData.enrollment_mode === 'approval') {
+      // Queue a request; rejected students may ask again
+      const requestResult = await db.query(`
+        INSERT INTO class_enrollment_requests (class_id, user_id, message)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (class_id, user_id) DO UPDATE
+        SET status = 'pending', message = EXCLUDED.message, requested_at = CURRENT_TIMESTAMP,
+            decided_by = NULL, decided_at = NULL
+        WHERE class_enrollment_requests.status <> 'pending'
+        RETURNING *
+      `, [req.params.id, req.user.id, req.body?.message || null]);
+
+      if (requestResult.rows.length === 0) {
+        return res.status(400).json({ message: 'Enrollment request already pending' });
+      }
+
+      return res.status(202).json({
+        message: 'Enrollment request submitted',
+        request: requestResult.rows[0]
+      });
+    }
+
+    if (classData.enrollment_mode === 'key' && !enrollmentKeyMatches(classData.enrollment_key, req.body?.enrollment_key)) {
+      return res.status(403).json({ message: 'Invalid enrollment key' });
+    }
+
     // Create enrollment
     await db.query(
-      'INSERT INTO class_enrollments (class_id, user_id) VALUES ($1, $2)',
+      "INSERT INTO class_enrollments (class_id, user_id, role) VALUES ($1, $2, 'student')",
       [req.params.id, req.user.id]
     );
 
@@ -181,11 +273,49 @@ router.post('/:id/enroll', authenticate, authorize(['praktikan']), async (req, r
   }
 });
 
+// Leave a class, or withdraw a pending enrollment request
+router.delete('/:id/enroll', authenticate, async (req, res) => {
+  try {
+    const enrollmentCheck = await db.query(
+      'SELECT role FROM class_enrollments WHERE class_id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+
+    if (enrollmentCheck.rows.length > 0) {
+      // Staff leave through the staff endpoints so a class never loses its last owner
+      if (enrollmentCheck.rows[0].role !== 'student') {
+        return res.status(400).json({ message: 'Class staff cannot unenroll; ask a class owner to remove you from the staff' });
+      }
+
+      await db.query(
+        'DELETE FROM class_enrollments WHERE class_id = $1 AND user_id = $2',
+        [req.params.id, req.user.id]
+      );
+
+      return res.json({ message: 'Unenrolled successfully' });
+    }
+
+    const requestResult = await db.query(
+      "DELETE FROM class_enrollment_requests WHERE class_id = $1 AND user_id = $2 AND status = 'pending' RETURNING id",
+      [req.params.id, req.user.id]
+    );
+
+    if (requestResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Not enrolled in this class' });
+    }
+
+    res.json({ message: 'Enrollment request withdrawn' });
+  } catch (error) {
+    console.error('Error unenrolling from class:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get enrolled classes for current user
 router.get('/enrolled/me', authenticate, async (req, res) => {
   try {
     const result = await db.query(`
-      SELECT c.*, u.username as creator_name, e.enrolled_at
+      SELECT c.*, u.username as creator_name, e.enrolled_at, e.role as class_role
       FROM classes c
       JOIN users u ON c.created_by = u.id
       JOIN class_enrollments e ON c.id = e.class_id
@@ -193,11 +323,408 @@ router.get('/enrolled/me', authenticate, async (req, res) => {
       ORDER BY e.enrolled_at DESC
     `, [req.user.id]);
 
-    res.json(result.rows);
+    res.json(result.rows.map(row => (STAFF_ROLES.includes(row.class_role) ? row : withoutEnrollmentKey(row))));
   } catch (error) {
     console.error('Error fetching enrolled classes:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Get the current user's enrollment requests
+router.get('/enrollment-requests/me', authenticate, async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT r.id, r.class_id, c.title as class_title, r.message, r.status, r.requested_at, r.decided_at
+      FROM class_enrollment_requests r
+      JOIN classes c ON r.class_id = c.id
+      WHERE r.user_id = $1
+      ORDER BY r.requested_at DESC
+    `, [req.user.id]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching enrollment requests:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the staff (owners and assistants) of a class
+router.get('/:id/staff', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT u.id, u.username, u.email, u.profile_image, e.role, e.enrolled_at as added_at
+      FROM class_enrollments e
+      JOIN users u ON e.user_id = u.id
+      WHERE e.class_id = $1 AND e.role IN ('owner', 'assistant')
+      ORDER BY e.role DESC, u.username ASC
+    `, [req.params.id]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching class staff:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a staff member to a class or change their role (class owner only)
+router.post('/:id/staff', authenticate, requireClassRole(['owner'], classIdFrom.param('id')), async (req, res) => {
+  try {
+    const { username, role = 'assistant' } = req.body;
+
+    if (!username) {
+      return res.status(400).json({ message: 'Username is required' });
+    }
+
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({ message: 'Role must be owner or assistant' });
+    }
+
+    const userCheck = await db.query('SELECT id, username, role FROM users WHERE username = $1', [username]);
+    if (userCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Only aslab accounts can be class staff
+    const staffUser = userCheck.rows[0];
+    if (staffUser.role !== 'aslab') {
+      return res.status(400).json({ message: 'Only aslab accounts can be added as class staff' });
+    }
+
+    // A class must always keep at least one owner
+    if (role !== 'owner') {
+      const ownerCheck = await db.query(
+        "SELECT user_id FROM class_enrollments WHERE class_id = $1 AND role = 'owner'",
+        [req.params.id]
+      );
+
+      if (ownerCheck.rows.length === 1 && ownerCheck.rows[0].user_id === staffUser.id) {
+        return res.status(400).json({ message: 'Cannot demote the last owner of a class' });
+      }
+    }
+
+    const result = await db.query(`
+      INSERT INTO class_enrollments (class_id, user_id, role)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (class_id, user_id) DO UPDATE SET role = EXCLUDED.role
+      RETURNING class_id, user_id, role, enrolled_at as added_at
+    `, [req.params.id, staffUser.id, role]);
+
+    res.status(201).json({ ...result.rows[0], username: staffUser.username });
+  } catch (error) {
+    console.error('Error adding class staff:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a staff member from a class (class owner only)
+router.delete('/:id/staff/:userId', authenticate, requireClassRole(['owner'], classIdFrom.param('id')), async (req, res) => {
+  try {
+    const staffCheck = await db.query(
+      "SELECT role FROM class_enrollments WHERE class_id = $1 AND user_id = $2 AND role IN ('owner', 'assistant')",
+      [req.params.id, req.params.userId]
+    );
+
+    if (staffCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Staff member not found' });
+    }
+
+    // A class must always keep at least one owner
+    if (staffCheck.rows[0].role === 'owner') {
+      const ownerCount = await db.query(
+        "SELECT COUNT(*) FROM class_enrollments WHERE class_id = $1 AND role = 'owner'",
+        [req.params.id]
+      );
+
+      if (parseInt(ownerCount.rows[0].count, 10) <= 1) {
+        return res.status(400).json({ message: 'Cannot remove the last owner of a class' });
+      }
+    }
+
+    await db.query(
+      'DELETE FROM class_enrollments WHERE class_id = $1 AND user_id = $2',
+      [req.params.id, req.params.userId]
+    );
+
+    res.json({ message: 'Staff member removed successfully' });
+  } catch (error) {
+    console.error('Error removing class staff:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the students of a class (class staff only)
+router.get('/:id/students', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT u.id, u.username, u.email, u.profile_image, e.enrolled_at
+      FROM class_enrollments e
+      JOIN users u ON e.user_id = u.id
+      WHERE e.class_id = $1 AND e.role = 'student'
+      ORDER BY u.username ASC
+    `, [req.params.id]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching class students:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add students to a class by username or email (class staff only)
+router.post('/:id/students', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const { students } = req.body || {};
+
+    if (!Array.isArray(students) || students.length === 0) {
+      return res.status(400).json({ message: 'Students must be a non-empty list of usernames or emails' });
+    }
+
+    if (students.length > MAX_BULK_STUDENTS) {
+      return res.status(400).json({ message: `At most ${MAX_BULK_STUDENTS} students can be added at once` });
+    }
+
+    // Start a transaction
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const report = await addStudents(client, req.params.id, students, req.user.id);
+
+      await client.query('COMMIT');
+
+      res.status(201).json(report);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Error adding class students:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a student from a class (class staff only)
+router.delete('/:id/students/:userId', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const result = await db.query(
+      "DELETE FROM class_enrollments WHERE class_id = $1 AND user_id = $2 AND role = 'student' RETURNING user_id",
+      [req.params.id, req.params.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Student not found in this class' });
+    }
+
+    res.json({ message: 'Student removed successfully' });
+  } catch (error) {
+    console.error('Error removing class student:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get everyone in a class with their class role (class staff only).
+// ?format=csv downloads the roster as a CSV file.
+router.get('/:id/roster', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT u.id, u.username, u.email, e.role, e.enrolled_at
+      FROM class_enrollments e
+      JOIN users u ON e.user_id = u.id
+      WHERE e.class_id = $1
+      ORDER BY CASE e.role WHEN 'owner' THEN 0 WHEN 'assistant' THEN 1 ELSE 2 END, u.username ASC
+    `, [req.params.id]);
+
+    if (req.query.format === 'csv') {
+      const csv = toCsv(
+        ['username', 'email', 'role', 'enrolled_at'],
+        result.rows.map(row => [row.username, row.email, row.role, row.enrolled_at])
+      );
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="class-${req.params.id}-roster.csv"`);
+      return res.send(csv);
+    }
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching class roster:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Import students from a CSV of emails or usernames (class staff only).
+// Accepts an uploaded 'file' or the CSV text as 'csv'. A header row naming an
+// email, username or identifier column selects that column; otherwise the first
+// column is used. Reports the outcome of every row.
+router.post('/:id/roster/import', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), csvUpload.single('file'), async (req, res) => {
+  try {
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body?.csv;
+
+    if (!text) {
+      return res.status(400).json({ message: 'A CSV file or csv text is required' });
+    }
+
+    const rows = parseCsv(text);
+    let column = 0;
+    let firstRow = 1;
+
+    const header = (rows[0] || []).map(cell => cell.trim().toLowerCase());
+    const headerColumn = header.findIndex(cell => ROSTER_ID_COLUMNS.includes(cell));
+    if (headerColumn !== -1) {
+      column = headerColumn;
+      firstRow = 2;
+      rows.shift();
+    }
+
+    const rowCount = rows.filter(cells => !isBlankRow(cells)).length;
+    if (rowCount === 0) {
+      return res.status(400).json({ message: 'The CSV has no rows to import' });
+    }
+
+    if (rowCount > MAX_BULK_STUDENTS) {
+      return res.status(400).json({ message: `At most ${MAX_BULK_STUDENTS} students can be imported at once` });
+    }
+
+    const results = [];
+    const seen = new Map();
+
+    // Start a transaction
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      for (let i = 0; i < rows.length; i++) {
+        const row = firstRow + i;
+        if (isBlankRow(rows[i])) {
+          continue;
+        }
+
+        const identifier = (rows[i][column] || '').trim();
+
+        if (!identifier) {
+          results.push({ row, identifier, status: 'empty' });
+          continue;
+        }
+
+        const key = identifier.toLowerCase();
+        if (seen.has(key)) {
+          results.push({ row, identifier, status: 'duplicate', duplicate_of_row: seen.get(key) });
+          continue;
+        }
+        seen.set(key, row);
+
+        const { status, username } = await addStudent(client, req.params.id, identifier, req.user.id);
+        results.push({ row, identifier, status, username });
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const summary = {};
+    for (const result of results) {
+      summary[result.status] = (summary[result.status] || 0) + 1;
+    }
+
+    res.json({ summary, results });
+  } catch (error) {
+    console.error('Error importing class roster:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get enrollment requests of a class, pending ones by default (class staff only)
+router.get('/:id/enrollment-requests', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+
+    if (!['pending', 'approved', 'rejected', 'all'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be pending, approved, rejected or all' });
+    }
+
+    const result = await db.query(`
+      SELECT r.*, u.username, u.email, d.username as decided_by_name
+      FROM class_enrollment_requests r
+      JOIN users u ON r.user_id = u.id
+      LEFT JOIN users d ON r.decided_by = d.id
+      WHERE r.class_id = $1 AND ($2 = 'all' OR r.status = $2)
+      ORDER BY r.requested_at ASC
+    `, [req.params.id, status]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching enrollment requests:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve a pending enrollment request (class staff only)
+router.post('/:id/enrollment-requests/:requestId/approve', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    // Start a transaction
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const requestResult = await client.query(`
+        UPDATE class_enrollment_requests
+        SET status = 'approved', decided_by = $3, decided_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND class_id = $2 AND status = 'pending'
+        RETURNING *
+      `, [req.params.requestId, req.params.id, req.user.id]);
+
+      if (requestResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ message: 'Pending enrollment request not found' });
+      }
+
+      await client.query(
+        `INSERT INTO class_enrollments (class_id, user_id, role)
+         VALUES ($1, $2, 'student')
+         ON CONFLICT (class_id, user_id) DO NOTHING`,
+        [req.params.id, requestResult.rows[0].user_id]
+      );
+
+      await client.query('COMMIT');
+
+      res.json({ message: 'Enrollment request approved', request: requestResult.rows[0] });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Error approving enrollment request:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reject a pending enrollment request (class staff only)
+router.post('/:id/enrollment-requests/:requestId/reject', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const result = await db.query(`
+      UPDATE class_enrollment_requests
+      SET status = 'rejected', decided_by = $3, decided_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND class_id = $2 AND status = 'pending'
+      RETURNING *
+    `, [req.params.requestId, req.params.id, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Pending enrollment request not found' });
+    }
+
+    res.json({ message: 'Enrollment request rejected', request: result.rows[0] });
+  } catch (error) {
+    console.error('Error rejecting enrollment request:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
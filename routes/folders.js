@@ -1,33 +1,40 @@
 const express = require('express');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, optionalAuthenticate } = require('../middleware/auth');
+const { STAFF_ROLES, classIdFrom, requireClassRole } = require('../middleware/classRole');
+const { getViewerLevel, applyVisibility, parseVisibility } = require('../utils/contentAccess');
 const db = require('../db');
 
 const router = express.Router();
 
-// Get all folders for a class
-router.get('/class/:classId', async (req, res) => {
+// Get all folders for a class (filtered by content visibility)
+router.get('/class/:classId', optionalAuthenticate, async (req, res) => {
   try {
     const result = await db.query(`
       SELECT f.*, u.username as creator_name,
-        (SELECT COUNT(*) FROM modules WHERE folder_id = f.id) as module_count
+        (SELECT COUNT(*) FROM modules WHERE folder_id = f.id) as module_count,
+        COALESCE(f.visibility, c.content_visibility) as effective_visibility
       FROM module_folders f
       JOIN users u ON f.created_by = u.id
+      JOIN classes c ON f.class_id = c.id
       WHERE f.class_id = $1
       ORDER BY f.order_index ASC, f.created_at ASC
     `, [req.params.classId]);
 
-    res.json(result.rows);
+    const viewerLevel = await getViewerLevel(req.params.classId, req.user);
+
+    res.json(applyVisibility('folder', result.rows, viewerLevel));
   } catch (error) {
     console.error('Error fetching folders:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get a folder by ID
-router.get('/:id', async (req, res) => {
+// Get a folder by ID (subject to content visibility)
+router.get('/:id', optionalAuthenticate, async (req, res) => {
   try {
     const result = await db.query(`
-      SELECT f.*, u.username as creator_name, c.title as class_title
+      SELECT f.*, u.username as creator_name, c.title as class_title,
+        COALESCE(f.visibility, c.content_visibility) as effective_visibility
       FROM module_folders f
       JOIN users u ON f.created_by = u.id
       JOIN classes c ON f.class_id = c.id
@@ -38,31 +45,38 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Folder not found' });
     }
 
-    res.json(result.rows[0]);
+    const viewerLevel = await getViewerLevel(result.rows[0].class_id, req.user);
+    const [folder] = applyVisibility('folder', result.rows, viewerLevel);
+
+    // Staff-only folders do not exist for everyone else
+    if (!folder) {
+      return res.status(404).json({ message: 'Folder not found' });
+    }
+
+    res.json(folder);
   } catch (error) {
     console.error('Error fetching folder:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Create a new folder (aslab only)
-router.post('/', authenticate, authorize(['aslab']), async (req, res) => {
+// Create a new folder (class staff only)
+router.post('/', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.body('class_id')), async (req, res) => {
   try {
-    const { class_id, title, order_index = 0 } = req.body;
+    const { class_id, title, order_index = 0, visibility = null } = req.body;
 
     if (!class_id || !title) {
       return res.status(400).json({ message: 'Class ID and title are required' });
     }
 
-    // Check if class exists
-    const classCheck = await db.query('SELECT * FROM classes WHERE id = $1', [class_id]);
-    if (classCheck.rows.length === 0) {
-      return res.status(404).json({ message: 'Class not found' });
+    const parsedVisibility = parseVisibility(visibility);
+    if (parsedVisibility.error) {
+      return res.status(400).json({ message: parsedVisibility.error });
     }
 
     const result = await db.query(
-      'INSERT INTO module_folders (class_id, title, order_index, created_by) VALUES ($1, $2, $3, $4) RETURNING *',
-      [class_id, title, order_index, req.user.id]
+      'INSERT INTO module_folders (class_id, title, order_index, visibility, created_by) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+      [class_id, title, order_index, parsedVisibility.value, req.user.id]
     );
 
     res.status(201).json(result.rows[0]);
@@ -72,29 +86,30 @@ router.post('/', authenticate, authorize(['aslab']), async (req, res) => {
   }
 });
 
-// Update a folder (aslab only)
-router.put('/:id', authenticate, authorize(['aslab']), async (req, res) => {
+// Update a folder (class staff only)
+router.put('/:id', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.folder('id')), async (req, res) => {
   try {
-    const { title, order_index } = req.body;
+    const { title, order_index, visibility } = req.body;
 
     if (!title) {
       return res.status(400).json({ message: 'Title is required' });
     }
 
-    // Check if folder exists
     const folderCheck = await db.query('SELECT * FROM module_folders WHERE id = $1', [req.params.id]);
-    if (folderCheck.rows.length === 0) {
-      return res.status(404).json({ message: 'Folder not found' });
-    }
 
-    // Only allow the creator or an aslab to update
-    if (folderCheck.rows[0].created_by !== req.user.id && req.user.role !== 'aslab') {
-      return res.status(403).json({ message: 'Not authorized to update this folder' });
+    // Keep the current visibility unless a new one is sent
+    let newVisibility = folderCheck.rows[0].visibility;
+    if (visibility !== undefined) {
+      const parsedVisibility = parseVisibility(visibility);
+      if (parsedVisibility.error) {
+        return res.status(400).json({ message: parsedVisibility.error });
+      }
+      newVisibility = parsedVisibility.value;
     }
 
     const result = await db.query(
-      'UPDATE module_folders SET title = $1, order_index = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3 RETURNING *',
-      [title, order_index || folderCheck.rows[0].order_index, req.params.id]
+      'UPDATE module_folders SET title = $1, order_index = $2, visibility = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $4 RETURNING *',
+      [title, order_index || folderCheck.rows[0].order_index, newVisibility, req.params.id]
     );
 
     res.json(result.rows[0]);
@@ -104,20 +119,9 @@ router.put('/:id', authenticate, authorize(['aslab']), async (req, res) => {
   }
 });
 
-// Delete a folder (aslab only)
-router.delete('/:id', authenticate, authorize(['aslab']), async (req, res) => {
+// Delete a folder (class staff only)
+router.delete('/:id', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.folder('id')), async (req, res) => {
   try {
-    // Check if folder exists
-    const folderCheck = await db.query('SELECT * FROM module_folders WHERE id = $1', [req.params.id]);
-    if (folderCheck.rows.length === 0) {
-      return res.status(404).json({ message: 'Folder not found' });
-    }
-
-    // Only allow the creator or an aslab to delete
-    if (folderCheck.rows[0].created_by !== req.user.id && req.user.role !== 'aslab') {
-      return res.status(403).json({ message: 'Not authorized to delete this folder' });
-    }
-
     await db.query('DELETE FROM module_folders WHERE id = $1', [req.params.id]);
 
     res.json({ message: 'Folder deleted successfully' });
@@ -0,0 +1,168 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { CLASS_ROLES, STAFF_ROLES, classIdFrom, requireClassRole } = require('../middleware/classRole');
+const { buildGradebook, gradebookTable, gradebookWorkbook } = require('../utils/gradebook');
+const { toCsv } = require('../utils/csv');
+const db = require('../db');
+
+// Mounted on /api/classes
+const router = express.Router();
+
+// Validate a category weight (percent)
+const parseWeight = (value) => {
+  const weight = parseFloat(value);
+  return isNaN(weight) || weight < 0 || weight > 100 ? null : weight;
+};
+
+// Get the grade categories of a class (class members)
+router.get('/:id/grade-categories', authenticate, requireClassRole(CLASS_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT gc.*, (SELECT COUNT(*)::int FROM assignments WHERE category_id = gc.id) as assignment_count
+      FROM assignment_categories gc
+      WHERE gc.class_id = $1
+      ORDER BY gc.order_index, gc.id
+    `, [req.params.id]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching grade categories:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a grade category (class staff only)
+router.post('/:id/grade-categories', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const { name, weight, order_index = 0 } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ message: 'Name is required' });
+    }
+
+    const parsedWeight = parseWeight(weight);
+    if (parsedWeight === null) {
+      return res.status(400).json({ message: 'Weight must be a percentage between 0 and 100' });
+    }
+
+    const result = await db.query(`
+      INSERT INTO assignment_categories (class_id, name, weight, order_index)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (class_id, name) DO NOTHING
+      RETURNING *
+    `, [req.params.id, name, parsedWeight, order_index]);
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ message: 'A category with this name already exists' });
+    }
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error('Error creating grade category:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a grade category (class staff only)
+router.put('/:id/grade-categories/:categoryId', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const { name, weight, order_index } = req.body;
+
+    const categoryCheck = await db.query(
+      'SELECT * FROM assignment_categories WHERE id = $1 AND class_id = $2',
+      [req.params.categoryId, req.params.id]
+    );
+
+    if (categoryCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const category = categoryCheck.rows[0];
+    let newWeight = category.weight;
+    if (weight !== undefined) {
+      newWeight = parseWeight(weight);
+      if (newWeight === null) {
+        return res.status(400).json({ message: 'Weight must be a percentage between 0 and 100' });
+      }
+    }
+
+    const duplicateCheck = await db.query(
+      'SELECT 1 FROM assignment_categories WHERE class_id = $1 AND name = $2 AND id <> $3',
+      [req.params.id, name || category.name, category.id]
+    );
+
+    if (duplicateCheck.rows.length > 0) {
+      return res.status(400).json({ message: 'A category with this name already exists' });
+    }
+
+    const result = await db.query(`
+      UPDATE assignment_categories
+      SET name = $1, weight = $2, order_index = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+      RETURNING *
+    `, [name || category.name, newWeight, order_index !== undefined ? order_index : category.order_index, category.id]);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error updating grade category:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a grade category; its assignments become uncategorised (class staff only)
+router.delete('/:id/grade-categories/:categoryId', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM assignment_categories WHERE id = $1 AND class_id = $2 RETURNING id',
+      [req.params.categoryId, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    res.json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting grade category:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the gradebook of a class: every student x assignment with category and final scores
+// (class staff only). ?format=csv or ?format=xlsx downloads it as a file.
+router.get('/:id/gradebook', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const { format } = req.query;
+
+    if (format && !['json', 'csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be json, csv or xlsx' });
+    }
+
+    const gradebook = await buildGradebook(req.params.id);
+    const filename = `class-${req.params.id}-gradebook`;
+
+    if (format === 'csv') {
+      const { header, rows } = gradebookTable(gradebook);
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.send(toCsv(header, rows));
+    }
+
+    if (format === 'xlsx') {
+      const classResult = await db.query('SELECT title FROM classes WHERE id = $1', [req.params.id]);
+      const buffer = await gradebookWorkbook(gradebook, classResult.rows[0].title);
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+      return res.send(Buffer.from(buffer));
+    }
+
+    res.json(gradebook);
+  } catch (error) {
+    console.error('Error building gradebook:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,376 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { CLASS_ROLES, STAFF_ROLES, classIdFrom, requireClassRole } = require('../middleware/classRole');
+const { parseGroupSize, getGroupOf, getGroups, addGroupMember, removeGroupMember } = require('../utils/groups');
+const db = require('../db');
+
+// Mounted on /api/classes
+const router = express.Router();
+
+const getGroupSettings = async (classId) => {
+  const result = await db.query(
+    'SELECT group_self_select as self_select, group_max_size as max_size FROM classes WHERE id = $1',
+    [classId]
+  );
+  return result.rows[0];
+};
+
+// Find a group of the class the request is about, or null
+const getGroup = async (classId, groupId) => {
+  const result = await db.query('SELECT * FROM class_groups WHERE id = $1 AND class_id = $2', [groupId, classId]);
+  return result.rows[0] || null;
+};
+
+const nameTaken = async (classId, name, exceptGroupId = null) => {
+  const result = await db.query(
+    'SELECT 1 FROM class_groups WHERE class_id = $1 AND name = $2 AND id IS DISTINCT FROM $3::int',
+    [classId, name, exceptGroupId]
+  );
+  return result.rows.length > 0;
+};
+
+const isStudent = async (classId, userId) => {
+  const result = await db.query(
+    "SELECT 1 FROM class_enrollments WHERE class_id = $1 AND user_id = $2 AND role = 'student'",
+    [classId, userId]
+  );
+  return result.rows.length > 0;
+};
+
+// Get the groups of a class with their members and the group settings (class members)
+router.get('/:id/groups', authenticate, requireClassRole(CLASS_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const settings = await getGroupSettings(req.params.id);
+    const myGroup = await getGroupOf(req.params.id, req.user.id);
+
+    res.json({
+      ...settings,
+      my_group_id: myGroup ? myGroup.id : null,
+      groups: await getGroups(req.params.id)
+    });
+  } catch (error) {
+    console.error('Error fetching groups:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Change how groups are formed (class staff only): { self_select, max_size }.
+// max_size is the size of groups students create themselves.
+router.put('/:id/group-settings', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const { self_select, max_size } = req.body || {};
+    const current = await getGroupSettings(req.params.id);
+
+    if (self_select !== undefined && typeof self_select !== 'boolean') {
+      return res.status(400).json({ message: 'self_select must be true or false' });
+    }
+
+    const size = parseGroupSize(max_size, current.max_size);
+    if (size.error) {
+      return res.status(400).json({ message: size.error });
+    }
+
+    const result = await db.query(`
+      UPDATE classes SET group_self_select = $1, group_max_size = $2
+      WHERE id = $3
+      RETURNING group_self_select as self_select, group_max_size as max_size
+    `, [self_select ?? current.self_select, size.value, req.params.id]);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error updating group settings:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a group. Class staff: { name, max_size, member_ids }.
+// Students (when the class allows self-selection): { name }, and they join it right away.
+router.post('/:id/groups', authenticate, requireClassRole(CLASS_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const { name, max_size, member_ids = [] } = req.body || {};
+    const staff = STAFF_ROLES.includes(req.classRole);
+    const settings = await getGroupSettings(req.params.id);
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ message: 'Group name is required' });
+    }
+
+    let size = settings.max_size;
+    let memberIds = [];
+    if (staff) {
+      const parsedSize = parseGroupSize(max_size, settings.max_size);
+      if (parsedSize.error) {
+        return res.status(400).json({ message: parsedSize.error });
+      }
+      size = parsedSize.value;
+
+      if (!Array.isArray(member_ids)) {
+        return res.status(400).json({ message: 'member_ids must be a list' });
+      }
+      memberIds = [...new Set(member_ids.map(id => parseInt(id, 10)))];
+      if (memberIds.length > size) {
+        return res.status(400).json({ message: 'More members than the group size allows' });
+      }
+      for (const memberId of memberIds) {
+        if (!await isStudent(req.params.id, memberId)) {
+          return res.status(404).json({ message: 'Student not found in this class' });
+        }
+      }
+    } else {
+      if (!settings.self_select) {
+        return res.status(403).json({ message: 'Groups are assigned by class staff' });
+      }
+      if (await getGroupOf(req.params.id, req.user.id)) {
+        return res.status(409).json({ message: 'You are already in a group' });
+      }
+      memberIds = [req.user.id];
+    }
+
+    if (await nameTaken(req.params.id, name.trim())) {
+      return res.status(409).json({ message: 'A group with this name already exists' });
+    }
+
+    // Start a transaction
+    const client = await db.pool.connect();
+    let group;
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        'INSERT INTO class_groups (class_id, name, max_size, created_by) VALUES ($1, $2, $3, $4) RETURNING *',
+        [req.params.id, name.trim(), size, req.user.id]
+      );
+      group = result.rows[0];
+
+      for (const memberId of memberIds) {
+        const added = await addGroupMember(client, group.id, memberId);
+        if (added.error) {
+          await client.query('ROLLBACK');
+          return res.status(added.status).json({ message: added.error });
+        }
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const groups = await getGroups(req.params.id);
+    res.status(201).json(groups.find(g => g.id === group.id));
+  } catch (error) {
+    console.error('Error creating group:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Rename a group or change its size (class staff only): { name, max_size }
+router.put('/:id/groups/:groupId', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const { name, max_size } = req.body || {};
+
+    const group = await getGroup(req.params.id, req.params.groupId);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const newName = name !== undefined ? String(name).trim() : group.name;
+    if (!newName) {
+      return res.status(400).json({ message: 'Group name is required' });
+    }
+    if (await nameTaken(req.params.id, newName, group.id)) {
+      return res.status(409).json({ message: 'A group with this name already exists' });
+    }
+
+    const size = parseGroupSize(max_size, group.max_size);
+    if (size.error) {
+      return res.status(400).json({ message: size.error });
+    }
+
+    const countResult = await db.query('SELECT COUNT(*)::int as count FROM class_group_members WHERE group_id = $1', [group.id]);
+    if (countResult.rows[0].count > size.value) {
+      return res.status(400).json({ message: 'The group has more members than the new size' });
+    }
+
+    const result = await db.query(
+      'UPDATE class_groups SET name = $1, max_size = $2 WHERE id = $3 RETURNING *',
+      [newName, size.value, group.id]
+    );
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error updating group:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a group (class staff only). Submissions it already made keep their members.
+router.delete('/:id/groups/:groupId', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM class_groups WHERE id = $1 AND class_id = $2 RETURNING id',
+      [req.params.groupId, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    res.json({ message: 'Group deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting group:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Put a student into a group (class staff only): { user_id }
+router.post('/:id/groups/:groupId/members', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const userId = parseInt(req.body?.user_id, 10);
+
+    const group = await getGroup(req.params.id, req.params.groupId);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    if (isNaN(userId) || !await isStudent(req.params.id, userId)) {
+      return res.status(404).json({ message: 'Student not found in this class' });
+    }
+
+    // Start a transaction
+    const client = await db.pool.connect();
+    let added;
+    try {
+      await client.query('BEGIN');
+
+      added = await addGroupMember(client, group.id, userId);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (added.error) {
+      return res.status(added.status).json({ message: added.error });
+    }
+
+    res.status(201).json(added.value);
+  } catch (error) {
+    console.error('Error adding group member:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Take a student out of a group (class staff only).
+// They leave the group's submissions for assignments that are still open.
+router.delete('/:id/groups/:groupId/members/:userId', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    // Start a transaction
+    const client = await db.pool.connect();
+    let removed;
+    try {
+      await client.query('BEGIN');
+
+      removed = await removeGroupMember(client, req.params.id, req.params.groupId, req.params.userId);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (!removed) {
+      return res.status(404).json({ message: 'Group member not found' });
+    }
+
+    res.json({ message: 'Student removed from group' });
+  } catch (error) {
+    console.error('Error removing group member:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Join a group with room left (students, when the class allows self-selection)
+router.post('/:id/groups/:groupId/join', authenticate, requireClassRole(['student'], classIdFrom.param('id')), async (req, res) => {
+  try {
+    const settings = await getGroupSettings(req.params.id);
+    if (!settings.self_select) {
+      return res.status(403).json({ message: 'Groups are assigned by class staff' });
+    }
+
+    const group = await getGroup(req.params.id, req.params.groupId);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    // Start a transaction
+    const client = await db.pool.connect();
+    let added;
+    try {
+      await client.query('BEGIN');
+
+      added = await addGroupMember(client, group.id, req.user.id);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (added.error) {
+      return res.status(added.status).json({ message: added.error });
+    }
+
+    res.json({ message: 'Joined group successfully', group_id: group.id });
+  } catch (error) {
+    console.error('Error joining group:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Leave your group (students, when the class allows self-selection).
+// You stay a member of the group's submissions for closed assignments only.
+router.post('/:id/groups/:groupId/leave', authenticate, requireClassRole(['student'], classIdFrom.param('id')), async (req, res) => {
+  try {
+    const settings = await getGroupSettings(req.params.id);
+    if (!settings.self_select) {
+      return res.status(403).json({ message: 'Groups are assigned by class staff' });
+    }
+
+    // Start a transaction
+    const client = await db.pool.connect();
+    let removed;
+    try {
+      await client.query('BEGIN');
+
+      removed = await removeGroupMember(client, req.params.id, req.params.groupId, req.user.id);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (!removed) {
+      return res.status(404).json({ message: 'You are not in this group' });
+    }
+
+    res.json({ message: 'Left group successfully' });
+  } catch (error) {
+    console.error('Error leaving group:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
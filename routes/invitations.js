@@ -0,0 +1,114 @@
+const express = require('express');
+const { authenticate, authorize } = require('../middleware/auth');
+const { generateInvitationCode, hashInvitationCode } = require('../utils/invitations');
+const db = require('../db');
+
+const router = express.Router();
+
+// Upper bound for a single code so one leaked code cannot enroll a whole cohort as staff
+const MAX_USES_LIMIT = 50;
+
+// Get all invitation codes with their current status (aslab only)
+router.get('/', authenticate, authorize(['aslab']), async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT i.id, i.code_hint, i.note, i.max_uses, i.use_count, i.expires_at,
+        i.created_at, i.revoked_at,
+        u.username as creator_name, ru.username as revoked_by_name,
+        CASE
+          WHEN i.revoked_at IS NOT NULL THEN 'revoked'
+          WHEN i.use_count >= i.max_uses THEN 'used_up'
+          WHEN i.expires_at IS NOT NULL AND i.expires_at <= NOW() THEN 'expired'
+          ELSE 'active'
+        END as status
+      FROM invitation_codes i
+      LEFT JOIN users u ON i.created_by = u.id
+      LEFT JOIN users ru ON i.revoked_by = ru.id
+      ORDER BY i.created_at DESC
+    `);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching invitation codes:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Audit log of who invited whom (aslab only)
+router.get('/audit', authenticate, authorize(['aslab']), async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT r.id, r.redeemed_at, r.invitation_id, i.code_hint, i.note,
+        invitee.id as invitee_id, invitee.username as invitee_name, invitee.email as invitee_email,
+        inviter.id as inviter_id, inviter.username as inviter_name
+      FROM invitation_redemptions r
+      JOIN invitation_codes i ON r.invitation_id = i.id
+      JOIN users invitee ON r.user_id = invitee.id
+      LEFT JOIN users inviter ON i.created_by = inviter.id
+      ORDER BY r.redeemed_at DESC
+    `);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching invitation audit:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a new invitation code (aslab only). The plain code is only returned here.
+router.post('/', authenticate, authorize(['aslab']), async (req, res) => {
+  try {
+    const { note, max_uses = 1, expires_at } = req.body;
+
+    const maxUses = parseInt(max_uses, 10);
+    if (isNaN(maxUses) || maxUses < 1 || maxUses > MAX_USES_LIMIT) {
+      return res.status(400).json({ message: `max_uses must be a number between 1 and ${MAX_USES_LIMIT}` });
+    }
+
+    let expiresAt = null;
+    if (expires_at) {
+      expiresAt = new Date(expires_at);
+      if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        return res.status(400).json({ message: 'expires_at must be a valid date in the future' });
+      }
+    }
+
+    const code = generateInvitationCode();
+
+    const result = await db.query(
+      `INSERT INTO invitation_codes (code_hash, code_hint, note, max_uses, expires_at, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, code_hint, note, max_uses, use_count, expires_at, created_at`,
+      [hashInvitationCode(code), code.slice(-4), note || null, maxUses, expiresAt, req.user.id]
+    );
+
+    res.status(201).json({ ...result.rows[0], code });
+  } catch (error) {
+    console.error('Error creating invitation code:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke an invitation code so it can no longer be used (aslab only)
+router.delete('/:id', authenticate, authorize(['aslab']), async (req, res) => {
+  try {
+    const result = await db.query(
+      `UPDATE invitation_codes
+       SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $1
+       WHERE id = $2 AND revoked_at IS NULL
+       RETURNING id`,
+      [req.user.id, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Active invitation code not found' });
+    }
+
+    res.json({ message: 'Invitation code revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking invitation code:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const multer = require('multer');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, authorize, optionalAuthenticate } = require('../middleware/auth');
+const { STAFF_ROLES, classIdFrom, requireClassRole } = require('../middleware/classRole');
+const { getViewerLevel, resolveAccess, applyVisibility, toPreview, parseVisibility } = require('../utils/contentAccess');
 const { uploadFile, fixFileAccess } = require('../config/cloudinary');
 const db = require('../db');
 
@@ -12,49 +14,63 @@ const upload = multer({ dest: 'uploads/' });
 // Maximum number of files allowed per upload
 const MAX_FILES = 5;
 
-// Get all modules for a class
-router.get('/class/:classId', async (req, res) => {
+// Modules inherit visibility from their folder, then from their class
+const EFFECTIVE_VISIBILITY = 'COALESCE(m.visibility, f.visibility, c.content_visibility) as effective_visibility';
+
+// Get all modules for a class (filtered by content visibility)
+router.get('/class/:classId', optionalAuthenticate, async (req, res) => {
   try {
     const result = await db.query(`
-      SELECT m.*, u.username as creator_name, f.title as folder_title
+      SELECT m.*, u.username as creator_name, f.title as folder_title, ${EFFECTIVE_VISIBILITY}
       FROM modules m
       JOIN users u ON m.created_by = u.id
+      JOIN classes c ON m.class_id = c.id
       LEFT JOIN module_folders f ON m.folder_id = f.id
       WHERE m.class_id = $1
       ORDER BY m.order_index ASC, m.created_at ASC
     `, [req.params.classId]);
 
-    res.json(result.rows);
+    const viewerLevel = await getViewerLevel(req.params.classId, req.user);
+
+    res.json(applyVisibility('module', result.rows, viewerLevel));
   } catch (error) {
     console.error('Error fetching modules:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get all modules for a folder
-router.get('/folder/:folderId', async (req, res) => {
+// Get all modules for a folder (filtered by content visibility)
+router.get('/folder/:folderId', optionalAuthenticate, async (req, res) => {
   try {
     const result = await db.query(`
-      SELECT m.*, u.username as creator_name
+      SELECT m.*, u.username as creator_name, ${EFFECTIVE_VISIBILITY}
       FROM modules m
       JOIN users u ON m.created_by = u.id
+      JOIN classes c ON m.class_id = c.id
+      JOIN module_folders f ON m.folder_id = f.id
       WHERE m.folder_id = $1
       ORDER BY m.order_index ASC, m.created_at ASC
     `, [req.params.folderId]);
 
-    res.json(result.rows);
+    if (result.rows.length === 0) {
+      return res.json([]);
+    }
+
+    const viewerLevel = await getViewerLevel(result.rows[0].class_id, req.user);
+
+    res.json(applyVisibility('module', result.rows, viewerLevel));
   } catch (error) {
     console.error('Error fetching modules in folder:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get a module by ID
-router.get('/:id', async (req, res) => {
+// Get a module by ID (non-members get a preview of enrolled-only modules)
+router.get('/:id', optionalAuthenticate, async (req, res) => {
   try {
     // Get module details
     const moduleResult = await db.query(`
-      SELECT m.*, u.username as creator_name, c.title as class_title, f.title as folder_title
+      SELECT m.*, u.username as creator_name, c.title as class_title, f.title as folder_title, ${EFFECTIVE_VISIBILITY}
       FROM modules m
       JOIN users u ON m.created_by = u.id
       JOIN classes c ON m.class_id = c.id
@@ -66,6 +82,18 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Module not found' });
     }
 
+    const viewerLevel = await getViewerLevel(moduleResult.rows[0].class_id, req.user);
+    const access = resolveAccess(viewerLevel, moduleResult.rows[0].effective_visibility);
+
+    if (access === 'hidden') {
+      return res.status(404).json({ message: 'Module not found' });
+    }
+
+    // Previews carry neither content nor files
+    if (access === 'preview') {
+      return res.json(toPreview('module', moduleResult.rows[0]));
+    }
+
     // Get module files
     const filesResult = await db.query(`
       SELECT * FROM module_files
@@ -83,25 +111,64 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Create a new module (aslab only)
-router.post('/', authenticate, authorize(['aslab']), upload.array('files', MAX_FILES), async (req, res) => {
+// Get the files of a module (only for viewers with full access to the module)
+router.get('/:id/files', optionalAuthenticate, async (req, res) => {
+  try {
+    const moduleResult = await db.query(`
+      SELECT m.class_id, ${EFFECTIVE_VISIBILITY}
+      FROM modules m
+      JOIN classes c ON m.class_id = c.id
+      LEFT JOIN module_folders f ON m.folder_id = f.id
+      WHERE m.id = $1
+    `, [req.params.id]);
+
+    if (moduleResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Module not found' });
+    }
+
+    const viewerLevel = await getViewerLevel(moduleResult.rows[0].class_id, req.user);
+    const access = resolveAccess(viewerLevel, moduleResult.rows[0].effective_visibility);
+
+    if (access === 'hidden') {
+      return res.status(404).json({ message: 'Module not found' });
+    }
+
+    if (access === 'preview') {
+      return res.status(403).json({ message: 'Enroll in this class to access module files' });
+    }
+
+    const filesResult = await db.query(`
+      SELECT * FROM module_files
+      WHERE module_id = $1
+      ORDER BY created_at DESC
+    `, [req.params.id]);
+
+    res.json(filesResult.rows);
+  } catch (error) {
+    console.error('Error fetching module files:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a new module (class staff only). Class staff are always aslab accounts, so anyone
+// else is turned away before their files are stored.
+router.post('/', authenticate, authorize(['aslab']), upload.array('files', MAX_FILES), requireClassRole(STAFF_ROLES, classIdFrom.body('class_id')), async (req, res) => {
   try {
-    const { class_id, folder_id, title, content, order_index = 0 } = req.body;
+    const { class_id, folder_id, title, content, order_index = 0, visibility = null } = req.body;
     const files = req.files;
 
     if (!class_id || !title || !content) {
       return res.status(400).json({ message: 'Class ID, title, and content are required' });
     }
 
-    // Check if class exists
-    const classCheck = await db.query('SELECT * FROM classes WHERE id = $1', [class_id]);
-    if (classCheck.rows.length === 0) {
-      return res.status(404).json({ message: 'Class not found' });
+    const parsedVisibility = parseVisibility(visibility);
+    if (parsedVisibility.error) {
+      return res.status(400).json({ message: parsedVisibility.error });
     }
 
-    // Check if folder exists if folder_id is provided
+    // Check if folder exists in this class if folder_id is provided
     if (folder_id) {
-      const folderCheck = await db.query('SELECT * FROM module_folders WHERE id = $1', [folder_id]);
+      const folderCheck = await db.query('SELECT * FROM module_folders WHERE id = $1 AND class_id = $2', [folder_id, class_id]);
       if (folderCheck.rows.length === 0) {
         return res.status(404).json({ message: 'Folder not found' });
       }
@@ -121,8 +188,8 @@ router.post('/', authenticate, authorize(['aslab']), upload.array('files', MAX_F
 
       // Create module
       const moduleResult = await client.query(
-        'INSERT INTO modules (class_id, folder_id, title, content, order_index, created_by) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
-        [class_id, folder_id || null, title, content, order_index, req.user.id]
+        'INSERT INTO modules (class_id, folder_id, title, content, order_index, visibility, created_by) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *',
+        [class_id, folder_id || null, title, content, order_index, parsedVisibility.value, req.user.id]
       );
 
       const module = moduleResult.rows[0];
@@ -167,30 +234,31 @@ router.post('/', authenticate, authorize(['aslab']), upload.array('files', MAX_F
   }
 });
 
-// Update a module (aslab only)
-router.put('/:id', authenticate, authorize(['aslab']), upload.array('files', MAX_FILES), async (req, res) => {
+// Update a module (class staff only)
+router.put('/:id', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.module('id')), upload.array('files', MAX_FILES), async (req, res) => {
   try {
-    const { title, content, folder_id, order_index } = req.body;
+    const { title, content, folder_id, order_index, visibility } = req.body;
     const files = req.files;
 
     if (!title || !content) {
       return res.status(400).json({ message: 'Title and content are required' });
     }
 
-    // Check if module exists
     const moduleCheck = await db.query('SELECT * FROM modules WHERE id = $1', [req.params.id]);
-    if (moduleCheck.rows.length === 0) {
-      return res.status(404).json({ message: 'Module not found' });
-    }
 
-    // Only allow the creator or an aslab to update
-    if (moduleCheck.rows[0].created_by !== req.user.id && req.user.role !== 'aslab') {
-      return res.status(403).json({ message: 'Not authorized to update this module' });
+    // Keep the current visibility unless a new one is sent
+    let newVisibility = moduleCheck.rows[0].visibility;
+    if (visibility !== undefined) {
+      const parsedVisibility = parseVisibility(visibility);
+      if (parsedVisibility.error) {
+        return res.status(400).json({ message: parsedVisibility.error });
+      }
+      newVisibility = parsedVisibility.value;
     }
 
-    // Check if folder exists if folder_id is provided
+    // Check if folder exists in this class if folder_id is provided
     if (folder_id) {
-      const folderCheck = await db.query('SELECT * FROM module_folders WHERE id = $1', [folder_id]);
+      const folderCheck = await db.query('SELECT * FROM module_folders WHERE id = $1 AND class_id = $2', [folder_id, req.classId]);
       if (folderCheck.rows.length === 0) {
         return res.status(404).json({ message: 'Folder not found' });
       }
@@ -217,12 +285,13 @@ router.put('/:id', authenticate, authorize(['aslab']), upload.array('files', MAX
 
       // Update module
       const moduleResult = await client.query(
-        'UPDATE modules SET title = $1, content = $2, folder_id = $3, order_index = $4, updated_at = CURRENT_TIMESTAMP WHERE id = $5 RETURNING *',
+        'UPDATE modules SET title = $1, content = $2, folder_id = $3, order_index = $4, visibility = $5, updated_at = CURRENT_TIMESTAMP WHERE id = $6 RETURNING *',
         [
           title,
           content,
           folder_id || moduleCheck.rows[0].folder_id,
           order_index !== undefined ? order_index : moduleCheck.rows[0].order_index,
+          newVisibility,
           req.params.id
         ]
       );
@@ -269,20 +338,9 @@ router.put('/:id', authenticate, authorize(['aslab']), upload.array('files', MAX
   }
 });
 
-// Delete a module (aslab only)
-router.delete('/:id', authenticate, authorize(['aslab']), async (req, res) => {
+// Delete a module (class staff only)
+router.delete('/:id', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.module('id')), async (req, res) => {
   try {
-    // Check if module exists
-    const moduleCheck = await db.query('SELECT * FROM modules WHERE id = $1', [req.params.id]);
-    if (moduleCheck.rows.length === 0) {
-      return res.status(404).json({ message: 'Module not found' });
-    }
-
-    // Only allow the creator or an aslab to delete
-    if (moduleCheck.rows[0].created_by !== req.user.id && req.user.role !== 'aslab') {
-      return res.status(403).json({ message: 'Not authorized to delete this module' });
-    }
-
     // Files will be automatically deleted due to ON DELETE CASCADE
     await db.query('DELETE FROM modules WHERE id = $1', [req.params.id]);
 
@@ -293,28 +351,9 @@ router.delete('/:id', authenticate, authorize(['aslab']), async (req, res) => {
   }
 });
 
-// Delete a module file (aslab only)
-router.delete('/files/:fileId', authenticate, authorize(['aslab']), async (req, res) => {
+// Delete a module file (class staff only)
+router.delete('/files/:fileId', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.moduleFile('fileId')), async (req, res) => {
   try {
-    // Check if file exists and get the module ID
-    const fileCheck = await db.query(`
-      SELECT f.*, m.created_by as module_creator
-      FROM module_files f
-      JOIN modules m ON f.module_id = m.id
-      WHERE f.id = $1
-    `, [req.params.fileId]);
-
-    if (fileCheck.rows.length === 0) {
-      return res.status(404).json({ message: 'File not found' });
-    }
-
-    const file = fileCheck.rows[0];
-
-    // Only allow the module creator or an aslab to delete the file
-    if (file.module_creator !== req.user.id && req.user.role !== 'aslab') {
-      return res.status(403).json({ message: 'Not authorized to delete this file' });
-    }
-
     await db.query('DELETE FROM module_files WHERE id = $1', [req.params.fileId]);
 
     res.json({ message: 'File deleted successfully' });
@@ -1,7 +1,9 @@
 const express = require('express');
 const multer = require('multer');
 const { authenticate, authorize } = require('../middleware/auth');
+const { STAFF_ROLES, classIdFrom, requireClassRole } = require('../middleware/classRole');
 const { uploadFile } = require('../config/cloudinary');
+const { emitEvent } = require('../utils/events');
 const db = require('../db');
 
 const router = express.Router();
@@ -114,8 +116,8 @@ router.get('/with-entity', async (req, res) => {
   }
 });
 
-// Add entity link to news
-router.post('/:id/link/:entityType/:entityId', authenticate, authorize(['aslab']), async (req, res) => {
+// Add entity link to news (aslab only; linked news also needs class staff rights on both classes)
+router.post('/:id/link/:entityType/:entityId', authenticate, authorize(['aslab']), requireClassRole(STAFF_ROLES, classIdFrom.news('id')), requireClassRole(STAFF_ROLES, classIdFrom.entityParams('entityType', 'entityId')), async (req, res) => {
   try {
     const { id, entityType, entityId } = req.params;
     
@@ -124,11 +126,6 @@ router.post('/:id/link/:entityType/:entityId', authenticate, authorize(['aslab']
     if (newsCheck.rows.length === 0) {
       return res.status(404).json({ message: 'News not found' });
     }
-
-    // Only allow the creator or an aslab to update links
-    if (newsCheck.rows[0].created_by !== req.user.id && req.user.role !== 'aslab') {
-      return res.status(403).json({ message: 'Not authorized to update this news' });
-    }
     
     // Validate entity type
     if (!['class', 'module', 'assignment'].includes(entityType)) {
@@ -183,8 +180,8 @@ router.post('/:id/link/:entityType/:entityId', authenticate, authorize(['aslab']
   }
 });
 
-// Remove entity link from news
-router.delete('/:id/unlink', authenticate, authorize(['aslab']), async (req, res) => {
+// Remove entity link from news (aslab only; linked news also needs class staff rights)
+router.delete('/:id/unlink', authenticate, authorize(['aslab']), requireClassRole(STAFF_ROLES, classIdFrom.news('id')), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -194,11 +191,6 @@ router.delete('/:id/unlink', authenticate, authorize(['aslab']), async (req, res
       return res.status(404).json({ message: 'News not found' });
     }
 
-    // Only allow the creator or an aslab to remove links
-    if (newsCheck.rows[0].created_by !== req.user.id && req.user.role !== 'aslab') {
-      return res.status(403).json({ message: 'Not authorized to update this news' });
-    }
-
     // Remove the link
     await db.query('DELETE FROM news_entities WHERE news_id = $1', [id]);
 
@@ -235,8 +227,8 @@ router.get('/entity/:entityType/:entityId', async (req, res) => {
   }
 });
 
-// Create a news item (aslab only)
-router.post('/', authenticate, authorize(['aslab']), upload.single('image'), async (req, res) => {
+// Create a news item (aslab only; news linked to class content needs class staff rights)
+router.post('/', authenticate, authorize(['aslab']), upload.single('image'), requireClassRole(STAFF_ROLES, classIdFrom.entityBody('linkedType', 'linkedId')), async (req, res) => {
   try {
     const { title, content, linkedType, linkedId } = req.body;
     const file = req.file;
@@ -302,6 +294,14 @@ router.post('/', authenticate, authorize(['aslab']), upload.single('image'), asy
 
       await client.query('COMMIT');
 
+      emitEvent('news.posted', {
+        news_id: news.id,
+        title: news.title,
+        content: news.content,
+        class_id: req.classId || null,
+        posted_by: req.user.id
+      });
+
       // Get username for response
       const userResult = await db.query('SELECT username FROM users WHERE id = $1', [req.user.id]);
       news.author = userResult.rows[0].username;
@@ -350,8 +350,8 @@ router.post('/', authenticate, authorize(['aslab']), upload.single('image'), asy
   }
 });
 
-// Update a news item (aslab only)
-router.put('/:id', authenticate, authorize(['aslab']), upload.single('image'), async (req, res) => {
+// Update a news item (aslab only; linked news also needs class staff rights on both classes)
+router.put('/:id', authenticate, authorize(['aslab']), requireClassRole(STAFF_ROLES, classIdFrom.news('id')), upload.single('image'), requireClassRole(STAFF_ROLES, classIdFrom.entityBody('linkedType', 'linkedId')), async (req, res) => {
   try {
     const { title, content, linkedType, linkedId } = req.body;
     const file = req.file;
@@ -371,11 +371,6 @@ router.put('/:id', authenticate, authorize(['aslab']), upload.single('image'), a
       return res.status(404).json({ message: 'News not found' });
     }
 
-    // Only allow the creator or an aslab to update
-    if (newsCheck.rows[0].created_by !== req.user.id && req.user.role !== 'aslab') {
-      return res.status(403).json({ message: 'Not authorized to update this news' });
-    }
-
     // If linkedType is provided, verify that the linked entity exists
     if (linkedType && linkedId) {
       let entityExists = false;
@@ -473,8 +468,8 @@ router.put('/:id', authenticate, authorize(['aslab']), upload.single('image'), a
   }
 });
 
-// Delete a news item (aslab only)
-router.delete('/:id', authenticate, authorize(['aslab']), async (req, res) => {
+// Delete a news item (aslab only; linked news also needs class staff rights)
+router.delete('/:id', authenticate, authorize(['aslab']), requireClassRole(STAFF_ROLES, classIdFrom.news('id')), async (req, res) => {
   try {
     // Check if news exists
     const newsCheck = await db.query('SELECT * FROM news WHERE id = $1', [req.params.id]);
@@ -482,11 +477,6 @@ router.delete('/:id', authenticate, authorize(['aslab']), async (req, res) => {
       return res.status(404).json({ message: 'News not found' });
     }
 
-    // Only allow the creator or an aslab to delete
-    if (newsCheck.rows[0].created_by !== req.user.id && req.user.role !== 'aslab') {
-      return res.status(403).json({ message: 'Not authorized to delete this news' });
-    }
-
     await db.query('DELETE FROM news WHERE id = $1', [req.params.id]);
 
     res.json({ message: 'News deleted successfully' });
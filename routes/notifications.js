@@ -0,0 +1,144 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { getPreferences, parsePreferences } = require('../utils/notifications');
+const db = require('../db');
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 100;
+
+const unreadCount = async (userId) => {
+  const result = await db.query(
+    'SELECT COUNT(*)::int as count FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+    [userId]
+  );
+  return result.rows[0].count;
+};
+
+// Get your notifications, newest first, with the unread count.
+// ?unread=true leaves out read ones; ?limit= (default 20) and ?before=<id> page back.
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 20;
+    if (isNaN(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json({ message: `Limit must be between 1 and ${MAX_PAGE_SIZE}` });
+    }
+
+    const before = req.query.before !== undefined ? parseInt(req.query.before, 10) : null;
+    if (before !== null && isNaN(before)) {
+      return res.status(400).json({ message: 'before must be a notification id' });
+    }
+
+    const result = await db.query(`
+      SELECT * FROM notifications
+      WHERE user_id = $1 AND ($2::boolean IS NOT TRUE OR read_at IS NULL) AND ($3::int IS NULL OR id < $3)
+      ORDER BY id DESC
+      LIMIT $4
+    `, [req.user.id, req.query.unread === 'true', before, limit]);
+
+    res.json({
+      unread_count: await unreadCount(req.user.id),
+      notifications: result.rows
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the number of unread notifications
+router.get('/unread-count', authenticate, async (req, res) => {
+  try {
+    res.json({ unread_count: await unreadCount(req.user.id) });
+  } catch (error) {
+    console.error('Error fetching unread notification count:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get your notification preferences for every type
+router.get('/preferences', authenticate, async (req, res) => {
+  try {
+    res.json(await getPreferences(req.user.id));
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Change notification preferences: { preferences: [{ type, in_app, email }] }.
+// Channels that are not sent keep their values.
+router.put('/preferences', authenticate, async (req, res) => {
+  try {
+    const parsed = parsePreferences(req.body?.preferences);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    // Start a transaction
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      for (const preference of parsed.value) {
+        await client.query(`
+          INSERT INTO notification_preferences (user_id, type, in_app, email)
+          VALUES ($1, $2, COALESCE($3, true), COALESCE($4, false))
+          ON CONFLICT (user_id, type) DO UPDATE
+          SET in_app = COALESCE($3, notification_preferences.in_app),
+              email = COALESCE($4, notification_preferences.email),
+              updated_at = CURRENT_TIMESTAMP
+        `, [req.user.id, preference.type, preference.in_app ?? null, preference.email ?? null]);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    res.json(await getPreferences(req.user.id));
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark all your notifications as read
+router.put('/read-all', authenticate, async (req, res) => {
+  try {
+    const result = await db.query(
+      'UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND read_at IS NULL',
+      [req.user.id]
+    );
+
+    res.json({ message: 'All notifications marked as read', updated_count: result.rowCount });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark one of your notifications as read
+router.put('/:id/read', authenticate, async (req, res) => {
+  try {
+    const result = await db.query(`
+      UPDATE notifications SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+      WHERE id = $1 AND user_id = $2
+      RETURNING *
+    `, [req.params.id, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,375 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { CLASS_ROLES, STAFF_ROLES, classIdFrom, requireClassRole } = require('../middleware/classRole');
+const { getRubric, scoreRubric } = require('../utils/rubrics');
+const { getVersionFiles } = require('../utils/submissions');
+const {
+  getPeerReviewSettings,
+  parsePeerReviewSettings,
+  submissionsCloseAt,
+  allocateReviews,
+  getReviewScores,
+  saveReview,
+  aggregateReviews
+} = require('../utils/peerReviews');
+const db = require('../db');
+
+// Mounted on /api/assignments
+const router = express.Router();
+
+const isClosed = (settings) => settings.due_at !== null && new Date() > new Date(settings.due_at);
+
+// File details a reviewer may see; downloads go through /api/assignments/submission-files/:fileId/download
+const toReviewFile = (file) => ({
+  id: file.id,
+  file_name: file.file_name,
+  file_type: file.file_type,
+  file_size: file.file_size
+});
+
+// Get the peer review settings of an assignment (class members).
+// Reviews are handed out on the first request after submissions close.
+router.get('/:id/peer-review', authenticate, requireClassRole(CLASS_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const settings = await allocateReviews(req.params.id);
+    if (!settings) {
+      return res.status(404).json({ message: 'Peer review not enabled' });
+    }
+
+    const assignmentResult = await db.query(
+      'SELECT deadline, late_policy, grace_period_minutes, late_cutoff FROM assignments WHERE id = $1',
+      [req.params.id]
+    );
+
+    res.json({ ...settings, allocates_at: submissionsCloseAt(assignmentResult.rows[0]), is_closed: isClosed(settings) });
+  } catch (error) {
+    console.error('Error fetching peer review settings:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Enable or update peer review of an assignment (class staff only): { reviews_per_submitter, due_at }.
+// Reviews are scored against the assignment's rubric, so it needs one.
+router.put('/:id/peer-review', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const assignmentResult = await db.query('SELECT submission_type, is_group FROM assignments WHERE id = $1', [req.params.id]);
+    if (assignmentResult.rows[0].submission_type === 'quiz') {
+      return res.status(400).json({ message: 'Quiz assignments cannot be peer reviewed' });
+    }
+    if (assignmentResult.rows[0].is_group) {
+      return res.status(400).json({ message: 'Group assignments cannot be peer reviewed' });
+    }
+
+    if (!await getRubric(req.params.id)) {
+      return res.status(400).json({ message: 'Peer review needs a rubric for this assignment' });
+    }
+
+    const current = await getPeerReviewSettings(req.params.id);
+    const parsed = parsePeerReviewSettings(req.body || {}, current || {});
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    if (current?.allocated_at && parsed.value.reviews_per_submitter !== current.reviews_per_submitter) {
+      return res.status(409).json({ message: 'Reviews have already been assigned' });
+    }
+
+    const result = await db.query(`
+      INSERT INTO peer_review_settings (assignment_id, reviews_per_submitter, due_at, created_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (assignment_id) DO UPDATE
+      SET reviews_per_submitter = EXCLUDED.reviews_per_submitter, due_at = EXCLUDED.due_at,
+          updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [req.params.id, parsed.value.reviews_per_submitter, parsed.value.due_at, req.user.id]);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error saving peer review settings:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Turn peer review off (class staff only). Assigned reviews are removed with it,
+// which is refused once any review has been submitted.
+router.delete('/:id/peer-review', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const submittedResult = await db.query(
+      `SELECT 1 FROM peer_reviews WHERE assignment_id = $1 AND status = 'submitted' LIMIT 1`,
+      [req.params.id]
+    );
+    if (submittedResult.rows.length > 0) {
+      return res.status(409).json({ message: 'Peer reviews have already been submitted' });
+    }
+
+    // Start a transaction
+    const client = await db.pool.connect();
+    let deleted;
+    try {
+      await client.query('BEGIN');
+
+      await client.query('DELETE FROM peer_reviews WHERE assignment_id = $1', [req.params.id]);
+      deleted = await client.query('DELETE FROM peer_review_settings WHERE assignment_id = $1 RETURNING id', [req.params.id]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (deleted.rows.length === 0) {
+      return res.status(404).json({ message: 'Peer review not enabled' });
+    }
+
+    res.json({ message: 'Peer review disabled successfully' });
+  } catch (error) {
+    console.error('Error disabling peer review:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// All reviews of an assignment with reviewer and author, and the aggregated
+// score of every reviewed submission (class staff only)
+router.get('/:id/peer-reviews', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const settings = await allocateReviews(req.params.id);
+    if (!settings) {
+      return res.status(404).json({ message: 'Peer review not enabled' });
+    }
+
+    const result = await db.query(`
+      SELECT r.*, s.user_id as author_id, au.username as author_name, ru.username as reviewer_name,
+        mu.username as moderated_by_name
+      FROM peer_reviews r
+      JOIN submissions s ON r.submission_id = s.id
+      JOIN users au ON s.user_id = au.id
+      JOIN users ru ON r.reviewer_id = ru.id
+      LEFT JOIN users mu ON r.moderated_by = mu.id
+      WHERE r.assignment_id = $1
+      ORDER BY au.username, ru.username
+    `, [req.params.id]);
+    const reviews = result.rows;
+
+    const scores = await getReviewScores(reviews.map(review => review.id));
+
+    const submissions = new Map();
+    for (const review of reviews) {
+      if (!submissions.has(review.submission_id)) {
+        submissions.set(review.submission_id, {
+          submission_id: review.submission_id,
+          author_id: review.author_id,
+          author_name: review.author_name,
+          reviews: []
+        });
+      }
+      submissions.get(review.submission_id).reviews.push(review);
+    }
+
+    res.json({
+      settings,
+      reviews: reviews.map(review => ({ ...review, scores: scores.get(review.id) })),
+      submissions: [...submissions.values()].map(({ reviews: submissionReviews, ...submission }) => ({
+        ...submission,
+        assigned_count: submissionReviews.length,
+        ...aggregateReviews(submissionReviews, scores)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching peer reviews:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Your peer reviews of an assignment: the anonymous submissions you have to review
+// and the visible reviews of your own submission, without reviewer names
+router.get('/:id/peer-reviews/mine', authenticate, requireClassRole(CLASS_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const settings = await allocateReviews(req.params.id);
+    if (!settings) {
+      return res.status(404).json({ message: 'Peer review not enabled' });
+    }
+
+    const toReviewResult = await db.query(`
+      SELECT id, status, score, assigned_at, submitted_at
+      FROM peer_reviews
+      WHERE assignment_id = $1 AND reviewer_id = $2
+      ORDER BY id
+    `, [req.params.id, req.user.id]);
+
+    const receivedResult = await db.query(`
+      SELECT r.id, r.status, r.score, r.comment, r.submitted_at, r.is_hidden
+      FROM peer_reviews r
+      JOIN submissions s ON r.submission_id = s.id
+      WHERE r.assignment_id = $1 AND s.user_id = $2
+      ORDER BY r.submitted_at, r.id
+    `, [req.params.id, req.user.id]);
+
+    const scores = await getReviewScores(receivedResult.rows.map(review => review.id));
+    const received = receivedResult.rows.filter(review => review.status === 'submitted' && !review.is_hidden);
+
+    res.json({
+      due_at: settings.due_at,
+      allocated_at: settings.allocated_at,
+      is_closed: isClosed(settings),
+      to_review: toReviewResult.rows,
+      received: {
+        ...aggregateReviews(receivedResult.rows, scores),
+        reviews: received.map(review => ({
+          score: review.score,
+          comment: review.comment,
+          submitted_at: review.submitted_at,
+          scores: scores.get(review.id).map(({ criterion_id, criterion_title, level_id, points, comment }) => ({
+            criterion_id, criterion_title, level_id, points, comment
+          }))
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching your peer reviews:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Load a review of the assignment the request is about, or null
+const getReview = async (assignmentId, reviewId) => {
+  const result = await db.query(`
+    SELECT r.*, s.user_id as author_id
+    FROM peer_reviews r
+    JOIN submissions s ON r.submission_id = s.id
+    WHERE r.id = $1 AND r.assignment_id = $2
+  `, [reviewId, assignmentId]);
+  return result.rows[0] || null;
+};
+
+// Get a review with the submission version under review and the rubric
+// (the reviewer, who does not see the author, or class staff)
+router.get('/:id/peer-reviews/:reviewId', authenticate, requireClassRole(CLASS_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const review = await getReview(req.params.id, req.params.reviewId);
+    const staff = STAFF_ROLES.includes(req.classRole);
+    if (!review || (!staff && review.reviewer_id !== req.user.id)) {
+      return res.status(404).json({ message: 'Peer review not found' });
+    }
+
+    const versionResult = await db.query(
+      'SELECT content, submitted_at FROM submission_versions WHERE id = $1',
+      [review.version_id]
+    );
+    const files = review.version_id ? await getVersionFiles(db, review.version_id) : [];
+    const scores = await getReviewScores([review.id]);
+
+    const submission = {
+      content: versionResult.rows[0]?.content ?? null,
+      submitted_at: versionResult.rows[0]?.submitted_at ?? null,
+      files: files.map(toReviewFile)
+    };
+
+    const details = {
+      id: review.id,
+      status: review.status,
+      score: review.score,
+      comment: review.comment,
+      assigned_at: review.assigned_at,
+      submitted_at: review.submitted_at,
+      scores: scores.get(review.id),
+      submission,
+      rubric: await getRubric(req.params.id)
+    };
+
+    if (staff) {
+      return res.json({
+        ...details,
+        submission: { ...submission, submission_id: review.submission_id, author_id: review.author_id },
+        reviewer_id: review.reviewer_id,
+        is_hidden: review.is_hidden,
+        moderation_note: review.moderation_note,
+        moderated_by: review.moderated_by,
+        moderated_at: review.moderated_at
+      });
+    }
+
+    res.json(details);
+  } catch (error) {
+    console.error('Error fetching peer review:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Submit or update your review until the review due date (the reviewer only).
+// { criteria: [{ criterion_id, level_id?, points?, comment? }], comment }
+router.put('/:id/peer-reviews/:reviewId', authenticate, requireClassRole(CLASS_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const { criteria, comment = null } = req.body || {};
+
+    const review = await getReview(req.params.id, req.params.reviewId);
+    if (!review || review.reviewer_id !== req.user.id) {
+      return res.status(404).json({ message: 'Peer review not found' });
+    }
+
+    const settings = await getPeerReviewSettings(req.params.id);
+    if (!settings || isClosed(settings)) {
+      return res.status(400).json({ message: 'Peer review is closed' });
+    }
+
+    const rubric = await getRubric(req.params.id);
+    if (!rubric) {
+      return res.status(400).json({ message: 'This assignment has no rubric' });
+    }
+
+    const scored = scoreRubric(rubric, criteria);
+    if (scored.error) {
+      return res.status(400).json({ message: scored.error });
+    }
+
+    // Start a transaction
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      await saveReview(client, review.id, scored.value, comment);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    res.json({ message: 'Peer review submitted successfully', score: scored.value.grade });
+  } catch (error) {
+    console.error('Error submitting peer review:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Hide or show a review (class staff only): { is_hidden, note }.
+// Hidden reviews do not count towards the aggregated score and are not shown to the author.
+router.put('/:id/peer-reviews/:reviewId/moderation', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const { is_hidden, note = null } = req.body || {};
+    if (typeof is_hidden !== 'boolean') {
+      return res.status(400).json({ message: 'is_hidden must be true or false' });
+    }
+
+    const result = await db.query(`
+      UPDATE peer_reviews
+      SET is_hidden = $3, moderation_note = $4, moderated_by = $5, moderated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND assignment_id = $2
+      RETURNING id, is_hidden, moderation_note, moderated_by, moderated_at
+    `, [req.params.reviewId, req.params.id, is_hidden, note, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Peer review not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error moderating peer review:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
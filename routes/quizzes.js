@@ -0,0 +1,467 @@
+const express = require('express');
+const { authenticate, authorize } = require('../middleware/auth');
+const { CLASS_ROLES, STAFF_ROLES, classIdFrom, requireClassRole } = require('../middleware/classRole');
+const { evaluateLateness, closingTime } = require('../utils/latePolicy');
+const {
+  getQuiz,
+  parseQuizSettings,
+  parseQuestions,
+  saveQuiz,
+  drawQuestions,
+  toStudentQuestion,
+  parseAnswer,
+  isExpired,
+  finishAttempt,
+  finishExpiredAttempts
+} = require('../utils/quizzes');
+const db = require('../db');
+
+// Mounted on /api/assignments. A quiz belongs to an assignment with submission_type 'quiz'.
+const router = express.Router();
+
+// Load an assignment with its effective visibility
+const getAssignment = async (assignmentId) => {
+  const result = await db.query(`
+    SELECT a.*, COALESCE(a.visibility, c.content_visibility) as effective_visibility
+    FROM assignments a
+    JOIN classes c ON a.class_id = c.id
+    WHERE a.id = $1
+  `, [assignmentId]);
+  return result.rows[0] || null;
+};
+
+// The quiz of an assignment as the requester may see it, or { status, message }
+const loadQuiz = async (req) => {
+  const assignment = await getAssignment(req.params.id);
+
+  // Staff-only quizzes do not exist for students
+  if (req.classRole === 'student' && assignment.effective_visibility === 'staff') {
+    return { status: 404, message: 'Assignment not found' };
+  }
+
+  const quiz = assignment.submission_type === 'quiz' ? await getQuiz(req.params.id) : null;
+  if (!quiz) {
+    return { status: 404, message: 'Quiz not found' };
+  }
+
+  return { assignment, quiz };
+};
+
+// Load an attempt of the quiz; attempts whose time ran out are graded on the way
+const loadAttempt = async (assignment, quiz, attemptId) => {
+  const result = await db.query(
+    'SELECT * FROM quiz_attempts WHERE id = $1 AND quiz_id = $2',
+    [attemptId, quiz.id]
+  );
+  const attempt = result.rows[0] || null;
+
+  if (attempt && isExpired(attempt)) {
+    return finishAttempt(assignment, quiz, attempt.id);
+  }
+  return attempt;
+};
+
+// Whether a student may see their scores: right away for auto-released quizzes,
+// otherwise once staff release the grade
+const resultsVisible = async (assignment, quiz, userId) => {
+  if (quiz.auto_release) {
+    return true;
+  }
+  const result = await db.query(`
+    SELECT 1
+    FROM grades g
+    JOIN submissions s ON g.submission_id = s.id
+    WHERE s.assignment_id = $1 AND s.user_id = $2 AND g.released_at IS NOT NULL
+  `, [assignment.id, userId]);
+  return result.rows.length > 0;
+};
+
+const SCORE_FIELDS = ['score', 'max_score', 'grade'];
+
+const withoutScores = (attempt) => {
+  const hidden = { ...attempt };
+  for (const field of SCORE_FIELDS) {
+    hidden[field] = null;
+  }
+  return hidden;
+};
+
+// An attempt with its questions in the order they were drawn and the saved answers.
+// Staff see the correct answers; students see per-question results once visible.
+const attemptView = async (quiz, attempt, { staff, showResults }) => {
+  const answersResult = await db.query(
+    'SELECT question_id, answer, is_correct, points FROM quiz_attempt_answers WHERE attempt_id = $1',
+    [attempt.id]
+  );
+  const answers = new Map(answersResult.rows.map(row => [row.question_id, row]));
+  const questions = new Map(quiz.questions.map(question => [question.id, question]));
+
+  const view = staff || showResults ? { ...attempt } : withoutScores(attempt);
+  view.questions = attempt.question_ids.map(questionId => {
+    const question = questions.get(questionId);
+    const saved = answers.get(questionId);
+    const item = {
+      ...(staff ? question : toStudentQuestion(question)),
+      answer: saved ? saved.answer : null
+    };
+    if (attempt.submitted_at && (staff || showResults)) {
+      item.is_correct = saved ? saved.is_correct : false;
+      item.points_awarded = saved ? saved.points : '0.00';
+    }
+    return item;
+  });
+
+  return view;
+};
+
+// Get the quiz of an assignment (class members).
+// Staff get the question bank with answers; students get the settings and their attempt count.
+router.get('/:id/quiz', authenticate, requireClassRole(CLASS_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const loaded = await loadQuiz(req);
+    if (loaded.status) {
+      return res.status(loaded.status).json({ message: loaded.message });
+    }
+    const { quiz } = loaded;
+
+    if (STAFF_ROLES.includes(req.classRole)) {
+      return res.json(quiz);
+    }
+
+    const attemptsResult = await db.query(
+      'SELECT COUNT(*)::int as count FROM quiz_attempts WHERE quiz_id = $1 AND user_id = $2',
+      [quiz.id, req.user.id]
+    );
+    const attemptsUsed = attemptsResult.rows[0].count;
+    const { questions, ...settings } = quiz;
+
+    res.json({
+      ...settings,
+      question_count: Math.min(questions.length, quiz.questions_per_attempt || questions.length),
+      attempts_used: attemptsUsed,
+      attempts_left: quiz.max_attempts ? Math.max(0, quiz.max_attempts - attemptsUsed) : null
+    });
+  } catch (error) {
+    console.error('Error fetching quiz:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create or update the quiz of a quiz assignment (class staff only).
+// Settings that are not sent keep their current values; questions replace the whole
+// bank and can only change while nobody has attempted the quiz.
+router.put('/:id/quiz', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const assignment = await getAssignment(req.params.id);
+    if (assignment.submission_type !== 'quiz') {
+      return res.status(400).json({ message: 'Only quiz assignments can have a quiz' });
+    }
+
+    const body = req.body || {};
+    const current = await getQuiz(req.params.id);
+
+    const settings = parseQuizSettings(body, current || {});
+    if (settings.error) {
+      return res.status(400).json({ message: settings.error });
+    }
+    if (settings.value.opens_at && settings.value.opens_at >= new Date(assignment.deadline)) {
+      return res.status(400).json({ message: 'The quiz must open before its deadline' });
+    }
+
+    let questions = null;
+    if (body.questions !== undefined || !current) {
+      const parsedQuestions = parseQuestions(body.questions);
+      if (parsedQuestions.error) {
+        return res.status(400).json({ message: parsedQuestions.error });
+      }
+      questions = parsedQuestions.value;
+
+      if (current) {
+        const attemptsResult = await db.query('SELECT 1 FROM quiz_attempts WHERE quiz_id = $1 LIMIT 1', [current.id]);
+        if (attemptsResult.rows.length > 0) {
+          return res.status(409).json({ message: 'Questions cannot change once students have attempted the quiz' });
+        }
+      }
+    }
+
+    const bankSize = questions ? questions.length : current.questions.length;
+    if (settings.value.questions_per_attempt && settings.value.questions_per_attempt > bankSize) {
+      return res.status(400).json({ message: 'Questions per attempt cannot exceed the number of questions' });
+    }
+
+    // Start a transaction
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      await saveQuiz(client, req.params.id, settings.value, questions, req.user.id);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    res.json(await getQuiz(req.params.id));
+  } catch (error) {
+    console.error('Error saving quiz:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List quiz attempts (class members). Students get their own, staff get everyone's
+// (?user_id= narrows it down to one student).
+router.get('/:id/quiz/attempts', authenticate, requireClassRole(CLASS_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const loaded = await loadQuiz(req);
+    if (loaded.status) {
+      return res.status(loaded.status).json({ message: loaded.message });
+    }
+    const { assignment, quiz } = loaded;
+    const staff = STAFF_ROLES.includes(req.classRole);
+    const userId = staff ? (parseInt(req.query.user_id, 10) || null) : req.user.id;
+
+    // Attempts that ran out while nobody looked are listed graded
+    await finishExpiredAttempts({ assignmentId: assignment.id });
+
+    const result = await db.query(`
+      SELECT qa.id, qa.user_id, u.username, qa.attempt_number, qa.started_at, qa.expires_at,
+        qa.submitted_at, qa.score, qa.max_score, qa.grade
+      FROM quiz_attempts qa
+      JOIN users u ON qa.user_id = u.id
+      WHERE qa.quiz_id = $1 AND ($2::int IS NULL OR qa.user_id = $2)
+      ORDER BY u.username ASC, qa.attempt_number ASC
+    `, [quiz.id, userId]);
+
+    if (staff || await resultsVisible(assignment, quiz, req.user.id)) {
+      return res.json(result.rows);
+    }
+    res.json(result.rows.map(withoutScores));
+  } catch (error) {
+    console.error('Error fetching quiz attempts:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Start a quiz attempt (students of the class only). The attempt runs out at the time limit,
+// or earlier when the deadline (or late cutoff) comes first.
+// An attempt that is still open is returned instead of starting another one.
+router.post('/:id/quiz/attempts', authenticate, authorize(['praktikan']), requireClassRole(['student'], classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const loaded = await loadQuiz(req);
+    if (loaded.status) {
+      return res.status(loaded.status).json({ message: loaded.message });
+    }
+    const { assignment, quiz } = loaded;
+
+    if (quiz.opens_at && new Date(quiz.opens_at) > new Date()) {
+      return res.status(400).json({ message: 'Quiz is not open yet' });
+    }
+
+    const attemptsResult = await db.query(
+      'SELECT * FROM quiz_attempts WHERE quiz_id = $1 AND user_id = $2 ORDER BY attempt_number DESC',
+      [quiz.id, req.user.id]
+    );
+
+    const open = attemptsResult.rows.find(attempt => !attempt.submitted_at);
+    if (open && !isExpired(open)) {
+      return res.json(await attemptView(quiz, open, { staff: false, showResults: false }));
+    }
+    if (open) {
+      await finishAttempt(assignment, quiz, open.id);
+    }
+
+    if (quiz.max_attempts && attemptsResult.rows.length >= quiz.max_attempts) {
+      return res.status(409).json({ message: 'No attempts left' });
+    }
+
+    // Check the deadline (or the student's extension) against the assignment's late policy
+    const extensionResult = await db.query(
+      'SELECT * FROM assignment_extensions WHERE assignment_id = $1 AND user_id = $2',
+      [assignment.id, req.user.id]
+    );
+    const extension = extensionResult.rows[0] || null;
+    const lateness = evaluateLateness(assignment, extension);
+    if (!lateness.allowed) {
+      return res.status(400).json({ message: lateness.message });
+    }
+
+    // LEAST ignores whichever of the two limits is missing
+    const result = await db.query(`
+      INSERT INTO quiz_attempts (quiz_id, user_id, attempt_number, question_ids, expires_at)
+      VALUES ($1, $2, $3, $4, LEAST(
+        CASE WHEN $5::int IS NULL THEN NULL ELSE CURRENT_TIMESTAMP + make_interval(mins => $5::int) END,
+        $6::timestamptz
+      ))
+      ON CONFLICT (quiz_id, user_id, attempt_number) DO NOTHING
+      RETURNING *
+    `, [quiz.id, req.user.id, attemptsResult.rows.length + 1, drawQuestions(quiz), quiz.time_limit_minutes, closingTime(assignment, extension)]);
+
+    // Another request started the same attempt first
+    if (result.rows.length === 0) {
+      return res.status(409).json({ message: 'An attempt is already in progress' });
+    }
+
+    res.status(201).json(await attemptView(quiz, result.rows[0], { staff: false, showResults: false }));
+  } catch (error) {
+    console.error('Error starting quiz attempt:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a quiz attempt with its questions and answers (the student who made it, or class staff)
+router.get('/:id/quiz/attempts/:attemptId', authenticate, requireClassRole(CLASS_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const loaded = await loadQuiz(req);
+    if (loaded.status) {
+      return res.status(loaded.status).json({ message: loaded.message });
+    }
+    const { assignment, quiz } = loaded;
+    const staff = STAFF_ROLES.includes(req.classRole);
+
+    const attempt = await loadAttempt(assignment, quiz, req.params.attemptId);
+    if (!attempt || (!staff && attempt.user_id !== req.user.id)) {
+      return res.status(404).json({ message: 'Attempt not found' });
+    }
+
+    const showResults = !staff && attempt.submitted_at ? await resultsVisible(assignment, quiz, attempt.user_id) : false;
+    res.json(await attemptView(quiz, attempt, { staff, showResults }));
+  } catch (error) {
+    console.error('Error fetching quiz attempt:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Validate { answers: [{ question_id, answer }] } against the questions of an attempt
+const parseAttemptAnswers = (quiz, attempt, answers) => {
+  if (!Array.isArray(answers)) {
+    return { error: 'Answers must be a list' };
+  }
+
+  const questions = new Map(quiz.questions.map(question => [question.id, question]));
+  const parsed = [];
+  for (const item of answers) {
+    const questionId = parseInt(item?.question_id, 10);
+    if (!attempt.question_ids.includes(questionId)) {
+      return { error: 'Answers reference questions that are not part of this attempt' };
+    }
+
+    const answer = parseAnswer(questions.get(questionId), item.answer);
+    if (answer.error) {
+      return { error: answer.error };
+    }
+    parsed.push({ question_id: questionId, answer: answer.value });
+  }
+
+  return { value: parsed };
+};
+
+// Save answers of an attempt unless it has been submitted or run out in the meantime.
+// Returns false when the attempt is already closed.
+const saveAnswers = async (attemptId, answers) => {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const lockedResult = await client.query(
+      'SELECT submitted_at, expires_at FROM quiz_attempts WHERE id = $1 FOR UPDATE',
+      [attemptId]
+    );
+    if (lockedResult.rows[0].submitted_at || isExpired(lockedResult.rows[0])) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    for (const { question_id, answer } of answers) {
+      await client.query(`
+        INSERT INTO quiz_attempt_answers (attempt_id, question_id, answer)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (attempt_id, question_id) DO UPDATE
+        SET answer = EXCLUDED.answer, updated_at = CURRENT_TIMESTAMP
+      `, [attemptId, question_id, answer === null ? null : JSON.stringify(answer)]);
+    }
+
+    await client.query('COMMIT');
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Save answers of an open attempt without submitting it (the student who made it)
+router.put('/:id/quiz/attempts/:attemptId/answers', authenticate, requireClassRole(['student'], classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const loaded = await loadQuiz(req);
+    if (loaded.status) {
+      return res.status(loaded.status).json({ message: loaded.message });
+    }
+    const { assignment, quiz } = loaded;
+
+    const attempt = await loadAttempt(assignment, quiz, req.params.attemptId);
+    if (!attempt || attempt.user_id !== req.user.id) {
+      return res.status(404).json({ message: 'Attempt not found' });
+    }
+
+    const answers = parseAttemptAnswers(quiz, attempt, req.body?.answers);
+    if (answers.error) {
+      return res.status(400).json({ message: answers.error });
+    }
+
+    if (attempt.submitted_at || !(await saveAnswers(attempt.id, answers.value))) {
+      return res.status(409).json({ message: 'This attempt has already been submitted' });
+    }
+
+    res.json(await attemptView(quiz, attempt, { staff: false, showResults: false }));
+  } catch (error) {
+    console.error('Error saving quiz answers:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Submit an attempt for grading, optionally with last answers (the student who made it).
+// Answers sent after the attempt ran out (time limit or deadline) are ignored. The kept score becomes the student's grade.
+router.post('/:id/quiz/attempts/:attemptId/submit', authenticate, requireClassRole(['student'], classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const loaded = await loadQuiz(req);
+    if (loaded.status) {
+      return res.status(loaded.status).json({ message: loaded.message });
+    }
+    const { assignment, quiz } = loaded;
+
+    const result = await db.query(
+      'SELECT * FROM quiz_attempts WHERE id = $1 AND quiz_id = $2 AND user_id = $3',
+      [req.params.attemptId, quiz.id, req.user.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Attempt not found' });
+    }
+    if (result.rows[0].submitted_at) {
+      return res.status(409).json({ message: 'This attempt has already been submitted' });
+    }
+
+    if (req.body?.answers !== undefined && !isExpired(result.rows[0])) {
+      const answers = parseAttemptAnswers(quiz, result.rows[0], req.body.answers);
+      if (answers.error) {
+        return res.status(400).json({ message: answers.error });
+      }
+      if (!(await saveAnswers(result.rows[0].id, answers.value))) {
+        return res.status(409).json({ message: 'This attempt has already been submitted' });
+      }
+    }
+
+    const attempt = await finishAttempt(assignment, quiz, result.rows[0].id);
+
+    const showResults = await resultsVisible(assignment, quiz, req.user.id);
+    res.json({ message: 'Quiz submitted', attempt: await attemptView(quiz, attempt, { staff: false, showResults }) });
+  } catch (error) {
+    console.error('Error submitting quiz attempt:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { getSession } = require('../utils/sessions');
+const { TOPICS, addStream, countStreams } = require('../utils/realtime');
+
+const router = express.Router();
+
+// Comments keep proxies from closing idle streams
+const HEARTBEAT_MS = 25 * 1000;
+const MAX_STREAMS_PER_USER = 5;
+
+// Open a Server-Sent Events stream of new posts, comments, news and your notifications.
+// ?topics=posts,news narrows it down. The stream ends when the access token expires or
+// its session is revoked; reconnect with a fresh token.
+router.get('/stream', authenticate, async (req, res) => {
+  try {
+    const topics = req.query.topics ? String(req.query.topics).split(',').map(topic => topic.trim()) : TOPICS;
+    if (topics.length === 0 || topics.some(topic => !TOPICS.includes(topic))) {
+      return res.status(400).json({ message: `Topics must be among: ${TOPICS.join(', ')}` });
+    }
+
+    if (countStreams(req.user.id) >= MAX_STREAMS_PER_USER) {
+      return res.status(429).json({ message: 'Too many open streams' });
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const removeStream = addStream({ userId: req.user.id, topics, send });
+
+    const end = (reason) => {
+      send('stream.closed', { reason });
+      res.end();
+    };
+
+    const heartbeat = setInterval(async () => {
+      const session = await getSession(req.user.jti).catch(() => null);
+      if (!session) {
+        return end('session_revoked');
+      }
+      res.write(': heartbeat\n\n');
+    }, HEARTBEAT_MS);
+    const expiry = setTimeout(() => end('token_expired'), Math.max(0, req.user.exp * 1000 - Date.now()));
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      removeStream();
+    });
+
+    res.write('retry: 5000\n\n');
+    send('stream.ready', { topics });
+  } catch (error) {
+    console.error('Error opening realtime stream:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,167 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { STAFF_ROLES, classIdFrom, requireClassRole } = require('../middleware/classRole');
+const { parseGrade, saveCriterionScores } = require('../utils/rubrics');
+const { emitEvent } = require('../utils/events');
+const db = require('../db');
+
+// Mounted on /api/classes; students file requests via /api/assignments/:id/my-submission/regrade
+const router = express.Router();
+
+const REGRADE_STATUSES = ['pending', 'accepted', 'rejected'];
+
+// Find a regrade request of a class together with its assignment and the student who asked
+const getRegradeRequest = async (classId, requestId) => {
+  const result = await db.query(`
+    SELECT r.*, s.assignment_id, COALESCE(r.requested_by, s.user_id) as user_id, a.title as assignment_title
+    FROM regrade_requests r
+    JOIN submissions s ON r.submission_id = s.id
+    JOIN assignments a ON s.assignment_id = a.id
+    WHERE r.id = $1 AND a.class_id = $2
+  `, [requestId, classId]);
+  return result.rows[0] || null;
+};
+
+const emitDecided = (classId, request, userId) => {
+  emitEvent('regrade.decided', {
+    request_id: request.id,
+    assignment_id: request.assignment_id,
+    assignment_title: request.assignment_title,
+    class_id: parseInt(classId, 10),
+    user_id: request.user_id,
+    status: request.status,
+    new_grade: request.new_grade,
+    decided_by: userId
+  });
+};
+
+// Get the regrade requests of a class, oldest first (class staff only).
+// ?status=pending (default) | accepted | rejected | all, ?assignment_id= to narrow down
+router.get('/:id/regrade-requests', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+
+    if (![...REGRADE_STATUSES, 'all'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be pending, accepted, rejected or all' });
+    }
+
+    const result = await db.query(`
+      SELECT r.*, s.assignment_id, a.title as assignment_title, u.username, u.email,
+        g.grade as current_grade, d.username as decided_by_name
+      FROM regrade_requests r
+      JOIN submissions s ON r.submission_id = s.id
+      JOIN assignments a ON s.assignment_id = a.id
+      LEFT JOIN users u ON r.requested_by = u.id
+      LEFT JOIN grades g ON g.submission_id = s.id
+      LEFT JOIN users d ON r.decided_by = d.id
+      WHERE a.class_id = $1 AND ($2 = 'all' OR r.status = $2)
+        AND ($3::int IS NULL OR s.assignment_id = $3)
+      ORDER BY r.requested_at ASC, r.id ASC
+    `, [req.params.id, status, parseInt(req.query.assignment_id, 10) || null]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching regrade requests:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Accept a pending regrade request with a new grade (class staff only).
+// Takes { grade } or { criteria } like grading, plus optional feedback and response.
+// The new grade is released right away since the student is waiting for it.
+router.post('/:id/regrade-requests/:requestId/accept', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const request = await getRegradeRequest(req.params.id, req.params.requestId);
+
+    if (!request || request.status !== 'pending') {
+      return res.status(404).json({ message: 'Pending regrade request not found' });
+    }
+
+    const parsedGrade = await parseGrade(request.assignment_id, req.body);
+    if (parsedGrade.error) {
+      return res.status(400).json({ message: parsedGrade.error });
+    }
+    const { grade, rubricScore } = parsedGrade.value;
+
+    // Start a transaction
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const requestResult = await client.query(`
+        UPDATE regrade_requests
+        SET status = 'accepted', new_grade = $2, response = $3, decided_by = $4, decided_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'pending'
+        RETURNING *
+      `, [request.id, grade, req.body.response || null, req.user.id]);
+
+      if (requestResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ message: 'Pending regrade request not found' });
+      }
+
+      const gradeResult = await client.query(`
+        UPDATE grades
+        SET grade = $2, feedback = COALESCE($3, feedback), graded_by = $4,
+            graded_at = CURRENT_TIMESTAMP, released_at = CURRENT_TIMESTAMP
+        WHERE submission_id = $1
+        RETURNING *
+      `, [request.submission_id, grade, req.body.feedback ?? null, req.user.id]);
+
+      // A plain grade replaces any earlier rubric scoring
+      await saveCriterionScores(client, gradeResult.rows[0].id, rubricScore ? rubricScore.scores : []);
+
+      await client.query('COMMIT');
+
+      const decided = { ...request, ...requestResult.rows[0] };
+      emitDecided(req.params.id, decided, req.user.id);
+
+      res.json({ message: 'Regrade request accepted', request: requestResult.rows[0], grade: gradeResult.rows[0] });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Error accepting regrade request:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reject a pending regrade request, keeping the grade (class staff only)
+router.post('/:id/regrade-requests/:requestId/reject', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.param('id')), async (req, res) => {
+  try {
+    const response = typeof req.body?.response === 'string' ? req.body.response.trim() : '';
+
+    if (!response) {
+      return res.status(400).json({ message: 'A response is required when rejecting a regrade request' });
+    }
+
+    const request = await getRegradeRequest(req.params.id, req.params.requestId);
+
+    if (!request) {
+      return res.status(404).json({ message: 'Pending regrade request not found' });
+    }
+
+    const result = await db.query(`
+      UPDATE regrade_requests
+      SET status = 'rejected', response = $2, decided_by = $3, decided_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *
+    `, [request.id, response, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Pending regrade request not found' });
+    }
+
+    emitDecided(req.params.id, { ...request, ...result.rows[0] }, req.user.id);
+
+    res.json({ message: 'Regrade request rejected', request: result.rows[0] });
+  } catch (error) {
+    console.error('Error rejecting regrade request:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
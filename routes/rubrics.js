@@ -0,0 +1,95 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { CLASS_ROLES, STAFF_ROLES, classIdFrom, requireClassRole } = require('../middleware/classRole');
+const { getRubric, parseRubric, saveRubric } = require('../utils/rubrics');
+const db = require('../db');
+
+// Mounted on /api/assignments
+const router = express.Router();
+
+// Whether any grade or peer review of the assignment has been scored against its rubric
+const rubricInUse = async (assignmentId) => {
+  const result = await db.query(`
+    SELECT 1
+    FROM rubric_criteria c
+    JOIN rubrics r ON c.rubric_id = r.id
+    WHERE r.assignment_id = $1
+      AND (EXISTS (SELECT 1 FROM grade_criterion_scores gs WHERE gs.criterion_id = c.id)
+        OR EXISTS (SELECT 1 FROM peer_review_scores ps WHERE ps.criterion_id = c.id))
+    LIMIT 1
+  `, [assignmentId]);
+  return result.rows.length > 0;
+};
+
+// Get the rubric of an assignment (class members)
+router.get('/:id/rubric', authenticate, requireClassRole(CLASS_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const rubric = await getRubric(req.params.id);
+
+    if (!rubric) {
+      return res.status(404).json({ message: 'Rubric not found' });
+    }
+
+    res.json(rubric);
+  } catch (error) {
+    console.error('Error fetching rubric:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create or replace the rubric of an assignment (class staff only)
+router.put('/:id/rubric', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const parsedRubric = parseRubric(req.body);
+    if (parsedRubric.error) {
+      return res.status(400).json({ message: parsedRubric.error });
+    }
+
+    // Replacing criteria would throw away the scores given with them
+    if (await rubricInUse(req.params.id)) {
+      return res.status(409).json({ message: 'Rubric is already used to grade submissions' });
+    }
+
+    // Start a transaction
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      await saveRubric(client, req.params.id, parsedRubric.value, req.user.id);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    res.json(await getRubric(req.params.id));
+  } catch (error) {
+    console.error('Error saving rubric:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove the rubric of an assignment (class staff only)
+router.delete('/:id/rubric', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    if (await rubricInUse(req.params.id)) {
+      return res.status(409).json({ message: 'Rubric is already used to grade submissions' });
+    }
+
+    const result = await db.query('DELETE FROM rubrics WHERE assignment_id = $1 RETURNING id', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Rubric not found' });
+    }
+
+    res.json({ message: 'Rubric deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting rubric:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
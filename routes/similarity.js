@@ -0,0 +1,47 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { STAFF_ROLES, classIdFrom, requireClassRole } = require('../middleware/classRole');
+const { requestReport, getLatestReport } = require('../utils/similarity');
+
+// Mounted on /api/assignments
+const router = express.Router();
+
+// Get the latest similarity report of an assignment with its most similar pairs first (class staff only).
+// ?min_similarity=<percent>&limit=<n>. Until a check is requested with POST there is no report.
+router.get('/:id/similarity', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const minSimilarity = req.query.min_similarity !== undefined ? parseFloat(req.query.min_similarity) : undefined;
+    if (minSimilarity !== undefined && (isNaN(minSimilarity) || minSimilarity < 0 || minSimilarity > 100)) {
+      return res.status(400).json({ message: 'min_similarity must be between 0 and 100' });
+    }
+
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 100;
+    if (isNaN(limit) || limit < 1 || limit > 500) {
+      return res.status(400).json({ message: 'limit must be between 1 and 500' });
+    }
+
+    const report = await getLatestReport(req.params.id, { minSimilarity, limit });
+    if (!report) {
+      return res.status(404).json({ message: 'No similarity check has been run yet' });
+    }
+
+    res.json(report);
+  } catch (error) {
+    console.error('Error fetching similarity report:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Run the similarity check again on the current submissions (class staff only).
+// While a check is still queued or running, that one is returned instead.
+router.post('/:id/similarity', authenticate, requireClassRole(STAFF_ROLES, classIdFrom.assignment('id')), async (req, res) => {
+  try {
+    const report = await requestReport(req.params.id, req.user.id);
+    res.status(202).json({ message: 'Similarity check queued', report });
+  } catch (error) {
+    console.error('Error queueing similarity check:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
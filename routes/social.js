@@ -2,6 +2,7 @@ const express = require('express');
 const multer = require('multer');
 const { authenticate } = require('../middleware/auth');
 const { uploadFile } = require('../config/cloudinary');
+const { emitEvent } = require('../utils/events');
 const db = require('../db');
 
 const router = express.Router();
@@ -209,6 +210,18 @@ router.post('/posts', authenticate, upload.single('image'), async (req, res) =>
         }
       }
 
+      emitEvent('post.created', {
+        post_id: post.id,
+        user_id: post.user_id,
+        username: post.username,
+        profile_image: post.profile_image,
+        content: post.content,
+        image_url: post.image_url,
+        linked_type: post.linked_type || null,
+        linked_id: post.linked_id || null,
+        created_at: post.created_at
+      });
+
       res.status(201).json(post);
     } catch (error) {
       await client.query('ROLLBACK');
@@ -495,6 +508,15 @@ router.post('/posts/:id/comments', authenticate, async (req, res) => {
     comment.username = userResult.rows[0].username;
     comment.profile_image = userResult.rows[0].profile_image;
 
+    emitEvent('comment.created', {
+      comment_id: comment.id,
+      post_id: comment.post_id,
+      post_user_id: postCheck.rows[0].user_id,
+      user_id: req.user.id,
+      username: comment.username,
+      content: comment.content
+    });
+
     res.status(201).json(comment);
   } catch (error) {
     console.error('Error creating comment:', error);
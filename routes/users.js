@@ -1,22 +1,96 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { authenticate, authorize, redisClient, JWT_SECRET } = require('../middleware/auth');
+const { authenticate, authorize } = require('../middleware/auth');
 const db = require('../db');
 const { uploadFile } = require('../config/cloudinary');
+const {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_SECONDS,
+  createSession,
+  getSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  rotateRefreshToken
+} = require('../utils/sessions');
+const { createAccountToken, consumeAccountToken } = require('../utils/accountTokens');
+const { sendMail } = require('../config/mail');
+const { enqueueMail } = require('../utils/jobQueue');
+const { escapeHtml } = require('../utils/html');
+const { redeemInvitationCode } = require('../utils/invitations');
 
 const router = express.Router();
 
 // Configure multer for file uploads
 const upload = multer({ dest: 'uploads/' });
 
+// The refresh cookie is only sent to the users routes, where /refresh lives
+const REFRESH_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  path: '/api/users'
+};
+
+// Set access and refresh token cookies for a session
+const setSessionCookies = (res, { accessToken, refreshToken }) => {
+  res.cookie('token', accessToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: ACCESS_TOKEN_TTL_SECONDS * 1000
+  });
+  res.cookie('refresh_token', refreshToken, {
+    ...REFRESH_COOKIE_OPTIONS,
+    maxAge: REFRESH_TOKEN_TTL_SECONDS * 1000
+  });
+};
+
+const clearSessionCookies = (res) => {
+  res.clearCookie('token');
+  res.clearCookie('refresh_token', REFRESH_COOKIE_OPTIONS);
+};
+
+// Device details shown in the session list
+const deviceInfo = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ip: req.ip
+});
+
+// Frontend base URL used for links in emails
+const APP_URL = process.env.APP_URL || 'https://digilearn-fe.vercel.app';
+
+// Email a link that confirms the user's address
+const sendVerificationEmail = async (user) => {
+  const { token } = await createAccountToken('email_verification', user.id);
+  const link = `${APP_URL}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Digilab-NG email address',
+    text: `Hi ${user.username},\n\nPlease confirm your email address by opening the link below. The link expires in 24 hours.\n\n${link}\n`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>Please confirm your email address by opening the link below. The link expires in 24 hours.</p><p><a href="${link}">Verify email address</a></p>`
+  });
+};
+
+// Email a link that lets the user choose a new password
+const sendPasswordResetEmail = async (user) => {
+  const { token } = await createAccountToken('password_reset', user.id);
+  const link = `${APP_URL}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Digilab-NG password',
+    text: `Hi ${user.username},\n\nWe received a request to reset your password. Open the link below to choose a new one. The link expires in 1 hour.\n\n${link}\n\nIf you did not request this, you can ignore this email.\n`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>We received a request to reset your password. Open the link below to choose a new one. The link expires in 1 hour.</p><p><a href="${link}">Reset password</a></p><p>If you did not request this, you can ignore this email.</p>`
+  });
+};
+
 // Register a new user
 router.post('/register', async (req, res) => {
   try {
-    const { username, email, password, role } = req.body;
+    const { username, email, password, role, invitationCode } = req.body;
 
     // Validate input
     if (!username || !email || !password) {
@@ -28,8 +102,10 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ message: 'Invalid role. Only praktikan and aslab roles are allowed for registration.' });
     }
 
-    // For aslab registration, validate the special code in the middleware
-    // This is handled on the frontend side
+    // Aslab accounts get staff rights, so they require an invitation code from an existing aslab
+    if (role === 'aslab' && !invitationCode) {
+      return res.status(400).json({ message: 'An invitation code is required to register as aslab' });
+    }
 
     // Check if username or email already exists
     const existingUser = await db.query(
@@ -45,39 +121,45 @@ router.post('/register', async (req, res) => {
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(password, salt);
 
-    // Create user
-    const result = await db.query(
-      'INSERT INTO users (username, email, password, role) VALUES ($1, $2, $3, $4) RETURNING id, username, email, role, created_at',
-      [username, email, hashedPassword, role]
-    );
-
-    const user = result.rows[0];
+    // Create user and redeem the invitation code in one transaction
+    const client = await db.pool.connect();
+    let user;
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        'INSERT INTO users (username, email, password, role) VALUES ($1, $2, $3, $4) RETURNING id, username, email, role, created_at',
+        [username, email, hashedPassword, role]
+      );
+
+      user = result.rows[0];
+
+      if (role === 'aslab') {
+        const invitation = await redeemInvitationCode(client, invitationCode, user.id);
+        if (!invitation) {
+          await client.query('ROLLBACK');
+          return res.status(403).json({ message: 'Invalid, expired or fully used invitation code' });
+        }
+      }
 
-    // Generate JWT token with a unique jti (JWT ID) claim
-    const jti = require('crypto').randomBytes(16).toString('hex');
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        username: user.username, 
-        email: user.email, 
-        role: user.role,
-        jti: jti // Add unique identifier
-      },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
-    // Store token in Redis with user ID for reference
-    await redisClient.set(`user_token:${user.id}`, token, {
-      EX: 7 * 24 * 60 * 60 // 7 days in seconds
-    });
+    // Start a session for this device; sessions on other devices stay active
+    const session = await createSession(user, deviceInfo(req));
+    setSessionCookies(res, session);
 
-    // Set cookie
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
+    // A failed verification email should not fail the registration; it can be resent
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Error sending verification email:', mailError);
+    }
 
     res.status(201).json({
       message: 'User registered successfully',
@@ -86,9 +168,11 @@ router.post('/register', async (req, res) => {
         username: user.username,
         email: user.email,
         role: user.role,
-        created_at: user.created_at
+        created_at: user.created_at,
+        email_verified_at: null
       },
-      token
+      token: session.accessToken,
+      refreshToken: session.refreshToken
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -120,31 +204,9 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Generate JWT token with a unique jti (JWT ID) claim
-    const jti = require('crypto').randomBytes(16).toString('hex');
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        username: user.username, 
-        email: user.email, 
-        role: user.role,
-        jti: jti // Add unique identifier
-      },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
-
-    // Store token in Redis with user ID for reference
-    await redisClient.set(`user_token:${user.id}`, token, {
-      EX: 7 * 24 * 60 * 60 // 7 days in seconds
-    });
-
-    // Set cookie
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
+    // Start a session for this device; sessions on other devices stay active
+    const session = await createSession(user, deviceInfo(req));
+    setSessionCookies(res, session);
 
     res.json({
       message: 'Login successful',
@@ -154,7 +216,8 @@ router.post('/login', async (req, res) => {
         email: user.email,
         role: user.role
       },
-      token
+      token: session.accessToken,
+      refreshToken: session.refreshToken
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -162,20 +225,58 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// Logout
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+router.post('/refresh', async (req, res) => {
+  try {
+    const refreshToken = req.cookies.refresh_token || req.body?.refreshToken;
+
+    if (!refreshToken) {
+      return res.status(401).json({ message: 'Refresh token required' });
+    }
+
+    const session = await rotateRefreshToken(refreshToken, async (userId) => {
+      const result = await db.query(
+        'SELECT id, username, email, role FROM users WHERE id = $1',
+        [userId]
+      );
+      return result.rows[0];
+    }, deviceInfo(req));
+
+    if (!session) {
+      clearSessionCookies(res);
+      return res.status(401).json({ message: 'Session invalid, please login again' });
+    }
+
+    setSessionCookies(res, session);
+
+    res.json({
+      message: 'Token refreshed',
+      user: session.user,
+      token: session.accessToken,
+      refreshToken: session.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Logout (ends the current session only)
 router.post('/logout', authenticate, async (req, res) => {
   try {
     const userId = req.user.id;
-    
+
     console.log('Logging out user:', userId);
-    
-    // Remove the active token for this user
-    await redisClient.del(`user_token:${userId}`);
-    console.log('Removed user token from Redis');
-    
-    // Clear the cookie
-    res.clearCookie('token');
-    
+
+    // Remove this device's session
+    if (req.user.jti) {
+      await revokeSession(userId, req.user.jti);
+      console.log('Removed session from Redis');
+    }
+
+    // Clear the cookies
+    clearSessionCookies(res);
+
     res.json({ message: 'Logout successful' });
   } catch (error) {
     console.error('Logout error:', error);
@@ -183,11 +284,184 @@ router.post('/logout', authenticate, async (req, res) => {
   }
 });
 
+// Log out everywhere (ends every session of the current user)
+router.post('/logout-all', authenticate, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id);
+
+    clearSessionCookies(res);
+
+    res.json({ message: 'Logged out from all devices', revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List active sessions (devices) of the current user
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+
+    res.json(sessions.map(session => ({
+      ...session,
+      current: session.jti === req.user.jti
+    })));
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke one session (device) of the current user
+router.delete('/sessions/:jti', authenticate, async (req, res) => {
+  try {
+    const session = await getSession(req.params.jti);
+    if (!session || session.user_id !== req.user.id) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(req.user.id, req.params.jti);
+
+    // Revoking the current device also signs it out
+    if (req.params.jti === req.user.jti) {
+      clearSessionCookies(res);
+    }
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Request a password reset email
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const result = await db.query('SELECT id, username, email FROM users WHERE email = $1', [email]);
+
+    // Send the email only for known addresses, in the background, and always answer the
+    // same way without waiting for it, so neither the response nor its timing (or a mail
+    // failure) can be used to discover registered emails
+    if (result.rows.length > 0) {
+      const user = result.rows[0];
+      enqueueMail(`password reset email to user ${user.id}`, () => sendPasswordResetEmail(user));
+    }
+
+    res.json({ message: 'If that email is registered, a password reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reset the password using a token from the reset email
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Token and password are required' });
+    }
+
+    const userId = await consumeAccountToken('password_reset', token);
+    if (!userId) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    // Hash password
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    // Opening the emailed link proves ownership of the address as well
+    await db.query(
+      `UPDATE users
+       SET password = $1, email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [hashedPassword, userId]
+    );
+
+    // Sign out every device that used the old password
+    await revokeAllSessions(userId);
+    clearSessionCookies(res);
+
+    res.json({ message: 'Password reset successfully, please login again' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Confirm an email address using a token from the verification email
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: 'Token is required' });
+    }
+
+    const userId = await consumeAccountToken('email_verification', token);
+    if (!userId) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    const result = await db.query(
+      `UPDATE users
+       SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+       WHERE id = $1
+       RETURNING email_verified_at`,
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ message: 'Email verified successfully', email_verified_at: result.rows[0].email_verified_at });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Send a new verification email to the current user
+router.post('/resend-verification', authenticate, async (req, res) => {
+  try {
+    const result = await db.query(
+      'SELECT id, username, email, email_verified_at FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    const user = result.rows[0];
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.email_verified_at) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get current user
 router.get('/me', authenticate, async (req, res) => {
   try {
     const result = await db.query(
-      'SELECT id, username, email, role, created_at, profile_image FROM users WHERE id = $1',
+      'SELECT id, username, email, role, created_at, profile_image, email_verified_at FROM users WHERE id = $1',
       [req.user.id]
     );
 
@@ -250,7 +524,7 @@ router.put('/profile', authenticate, upload.single('profileImage'), async (req,
         UPDATE users
         SET username = $1, profile_image = $2, updated_at = CURRENT_TIMESTAMP
         WHERE id = $3
-        RETURNING id, username, email, role, created_at, profile_image
+        RETURNING id, username, email, role, created_at, profile_image, email_verified_at
       `;
       queryParams = [username, profileImageUrl, userId];
     } else {
@@ -259,7 +533,7 @@ router.put('/profile', authenticate, upload.single('profileImage'), async (req,
         UPDATE users
         SET username = $1, updated_at = CURRENT_TIMESTAMP
         WHERE id = $2
-        RETURNING id, username, email, role, created_at, profile_image
+        RETURNING id, username, email, role, created_at, profile_image, email_verified_at
       `;
       queryParams = [username, userId];
     }
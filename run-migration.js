@@ -1,2 +1,62 @@
-// Script to run the migration
-require('./migrations/add_profile_image');
+// Schema migration CLI
+//
+// Usage:
+//   node run-migration.js up [--to <version>]        Apply pending migrations
+//   node run-migration.js down [--steps <n>]         Revert the last n migrations (default 1)
+//   node run-migration.js down --to <version>        Revert every migration newer than <version>
+//   node run-migration.js status                     Show applied and pending migrations
+const db = require('./db');
+const { migrate, rollback, status, migrationLabel } = require('./utils/migrator');
+
+// Read the value following a --flag, parsed as an integer
+const readIntOption = (args, flag) => {
+  const index = args.indexOf(flag);
+  if (index === -1) {
+    return undefined;
+  }
+
+  const value = parseInt(args[index + 1], 10);
+  if (isNaN(value)) {
+    throw new Error(`${flag} expects a number`);
+  }
+  return value;
+};
+
+const run = async () => {
+  const [command = 'up', ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrate({ to: readIntOption(args, '--to') });
+      console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+      break;
+    }
+    case 'down': {
+      const reverted = await rollback({
+        to: readIntOption(args, '--to'),
+        steps: readIntOption(args, '--steps')
+      });
+      console.log(`Reverted ${reverted.length} migration(s)`);
+      break;
+    }
+    case 'status': {
+      const migrations = await status();
+      for (const migration of migrations) {
+        const state = migration.applied
+          ? `applied ${migration.applied_at.toISOString()}${migration.checksum_ok ? '' : ' (CHECKSUM MISMATCH)'}`
+          : 'pending';
+        console.log(`${migrationLabel(migration)}  ${state}`);
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}". Use up, down or status.`);
+  }
+};
+
+run()
+  .catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.pool.end());
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const { redisClient } = require('../config/redis');
+
+// Lifetimes of one-time account tokens, in seconds
+const TOKEN_TTL_SECONDS = {
+  password_reset: 60 * 60, // 1 hour
+  email_verification: 24 * 60 * 60 // 24 hours
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const tokenKey = (purpose, hash) => `${purpose}:${hash}`;
+const latestTokenKey = (purpose, userId) => `${purpose}_latest:${userId}`;
+
+// Issue a one-time token for a user. Only the newest token per purpose stays valid,
+// and Redis only ever sees its hash.
+const createAccountToken = async (purpose, userId) => {
+  const ttl = TOKEN_TTL_SECONDS[purpose];
+  if (!ttl) {
+    throw new Error(`Unknown account token purpose "${purpose}"`);
+  }
+
+  const previousHash = await redisClient.get(latestTokenKey(purpose, userId));
+  if (previousHash) {
+    await redisClient.del(tokenKey(purpose, previousHash));
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const hash = hashToken(token);
+
+  await redisClient.set(tokenKey(purpose, hash), String(userId), { EX: ttl });
+  await redisClient.set(latestTokenKey(purpose, userId), hash, { EX: ttl });
+
+  return { token, expiresInSeconds: ttl };
+};
+
+// Redeem a token; returns the user id it was issued for, or null if invalid or expired
+const consumeAccountToken = async (purpose, token) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  const userId = await redisClient.getDel(tokenKey(purpose, hashToken(token)));
+  if (!userId) {
+    return null;
+  }
+
+  await redisClient.del(latestTokenKey(purpose, userId));
+  return parseInt(userId, 10);
+};
+
+module.exports = {
+  TOKEN_TTL_SECONDS,
+  createAccountToken,
+  consumeAccountToken
+};
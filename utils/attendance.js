@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+const ATTENDANCE_STATUSES = ['present', 'late', 'excused', 'absent'];
+
+// Check-in codes change every period; a code is also accepted during the period after it
+// so students who type it just as it rotates are not turned away
+const CODE_PERIOD_SECONDS = 30;
+const CODE_DIGITS = 6;
+
+const MAX_CHECKIN_MINUTES = 240;
+
+// Round like NUMERIC(5,2)
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const generateCheckinSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Code of a period, derived like TOTP (RFC 6238) from the session's secret
+const codeForPeriod = (secret, period) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(period));
+  const hmac = crypto.createHmac('sha256', Buffer.from(secret, 'hex')).update(counter).digest();
+
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+};
+
+const periodAt = (time) => Math.floor(time.getTime() / 1000 / CODE_PERIOD_SECONDS);
+
+// The code to show right now: { code, expires_at, period_seconds }
+const currentCheckinCode = (session, now = new Date()) => {
+  const period = periodAt(now);
+  return {
+    code: codeForPeriod(session.checkin_secret, period),
+    expires_at: new Date((period + 1) * CODE_PERIOD_SECONDS * 1000),
+    period_seconds: CODE_PERIOD_SECONDS
+  };
+};
+
+// Whether a code typed by a student is the current or the previous one
+const checkinCodeMatches = (session, code, now = new Date()) => {
+  if (typeof code !== 'string' || !/^\d+$/.test(code.trim())) {
+    return false;
+  }
+  const given = Buffer.from(code.trim().padStart(CODE_DIGITS, '0'));
+  const period = periodAt(now);
+
+  return [period, period - 1].some(candidate => {
+    const expected = Buffer.from(codeForPeriod(session.checkin_secret, candidate));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
+};
+
+const isCheckinOpen = (session, now = new Date()) => Boolean(
+  session.checkin_secret && session.checkin_closes_at && new Date(session.checkin_closes_at) > now
+);
+
+// Status of a check-in made now: late once late_after_minutes past the start have gone by
+const checkinStatus = (session, now = new Date()) => {
+  const lateFrom = new Date(session.starts_at).getTime() + session.late_after_minutes * 60 * 1000;
+  return now.getTime() > lateFrom ? 'late' : 'present';
+};
+
+// Validate session fields from a request body, falling back to the current values.
+// Returns { value } with the columns to store, or { error }.
+const parseSession = (body, current = {}) => {
+  const pick = (field, fallback) => (body[field] !== undefined ? body[field] : (current[field] !== undefined ? current[field] : fallback));
+
+  const topic = pick('topic', '');
+  if (!topic || typeof topic !== 'string' || !topic.trim()) {
+    return { error: 'Topic is required' };
+  }
+
+  const startsAt = new Date(pick('starts_at', null));
+  if (!pick('starts_at', null) || isNaN(startsAt.getTime())) {
+    return { error: 'A valid start time is required' };
+  }
+
+  const endsValue = pick('ends_at', null);
+  let endsAt = null;
+  if (endsValue) {
+    endsAt = new Date(endsValue);
+    if (isNaN(endsAt.getTime()) || endsAt <= startsAt) {
+      return { error: 'End time must be a valid date after the start time' };
+    }
+  }
+
+  const lateAfter = parseInt(pick('late_after_minutes', 15), 10);
+  if (isNaN(lateAfter) || lateAfter < 0) {
+    return { error: 'Late after must be a non-negative number of minutes' };
+  }
+
+  const room = pick('room', null);
+
+  return {
+    value: {
+      topic: topic.trim(),
+      room: room ? String(room).trim() : null,
+      starts_at: startsAt,
+      ends_at: endsAt,
+      late_after_minutes: lateAfter
+    }
+  };
+};
+
+// Attendance of every student of a class over its sessions.
+// Sessions that have started count (and later ones a student already has a record for);
+// a student without a record for a started session counts as absent.
+// The rate is present + late over the counted sessions the student was not excused from.
+const buildAttendanceSummary = async (classId, { userId = null, now = new Date() } = {}) => {
+  const [sessionsResult, studentsResult, recordsResult] = await Promise.all([
+    db.query(
+      'SELECT id, topic, room, starts_at, ends_at FROM class_sessions WHERE class_id = $1 ORDER BY starts_at ASC, id ASC',
+      [classId]
+    ),
+    db.query(`
+      SELECT u.id, u.username, u.email
+      FROM class_enrollments e
+      JOIN users u ON e.user_id = u.id
+      WHERE e.class_id = $1 AND e.role = 'student' AND ($2::int IS NULL OR u.id = $2)
+      ORDER BY u.username ASC
+    `, [classId, userId]),
+    db.query(`
+      SELECT r.session_id, r.user_id, r.status
+      FROM attendance_records r
+      JOIN class_sessions cs ON r.session_id = cs.id
+      WHERE cs.class_id = $1 AND ($2::int IS NULL OR r.user_id = $2)
+    `, [classId, userId])
+  ]);
+
+  const sessions = sessionsResult.rows;
+  const recorded = new Map(recordsResult.rows.map(row => [`${row.user_id}:${row.session_id}`, row.status]));
+
+  const students = studentsResult.rows.map(student => {
+    const statuses = {};
+    const counts = { present: 0, late: 0, excused: 0, absent: 0 };
+
+    for (const session of sessions) {
+      const started = new Date(session.starts_at) <= now;
+      const status = recorded.get(`${student.id}:${session.id}`) || (started ? 'absent' : null);
+      statuses[session.id] = status;
+      if (status) {
+        counts[status]++;
+      }
+    }
+
+    const counted = counts.present + counts.late + counts.absent;
+    return {
+      ...student,
+      statuses,
+      counts,
+      attendance_rate: counted > 0 ? round2(((counts.present + counts.late) / counted) * 100) : null
+    };
+  });
+
+  return { sessions, students };
+};
+
+// Flatten an attendance summary into a header row and data rows for export
+const attendanceTable = (summary) => {
+  const header = [
+    'username',
+    'email',
+    ...summary.sessions.map(session => `${new Date(session.starts_at).toISOString().slice(0, 10)} ${session.topic}`),
+    ...ATTENDANCE_STATUSES,
+    'attendance_rate'
+  ];
+
+  const rows = summary.students.map(student => [
+    student.username,
+    student.email,
+    ...summary.sessions.map(session => student.statuses[session.id] || ''),
+    ...ATTENDANCE_STATUSES.map(status => student.counts[status]),
+    student.attendance_rate
+  ]);
+
+  return { header, rows };
+};
+
+module.exports = {
+  ATTENDANCE_STATUSES,
+  MAX_CHECKIN_MINUTES,
+  generateCheckinSecret,
+  currentCheckinCode,
+  checkinCodeMatches,
+  isCheckinOpen,
+  checkinStatus,
+  parseSession,
+  buildAttendanceSummary,
+  attendanceTable
+};
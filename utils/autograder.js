@@ -0,0 +1,312 @@
+const path = require('path');
+const axios = require('axios');
+const db = require('../db');
+const { LANGUAGES, prepareProgram, cleanupProgram, runProgram, outputMatches } = require('./sandbox');
+const { getVersionFiles } = require('./submissions');
+const { enqueueJob, claimJob, renewLease, unclaimedJobIds } = require('./jobQueue');
+
+const MAX_TEST_CASES = 50;
+const MAX_TEST_TEXT = 64 * 1024;
+const MAX_SOURCE_BYTES = 1024 * 1024;
+const TIME_LIMITS_MS = { min: 100, max: 10000 };
+const MEMORY_LIMITS_MB = { min: 16, max: 1024 };
+
+// Output kept per test result; enough to see what went wrong
+const MAX_STORED_OUTPUT = 4096;
+
+// Round like NUMERIC(5,2)
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Validate autograder settings from a request body, falling back to the current values.
+// Returns { value } with the assignment columns to store, or { error }.
+const parseAutograderSettings = (body, current = {}) => {
+  const pick = (field, currentField) => (body[field] !== undefined ? body[field] : current[currentField]);
+
+  const language = pick('language', 'autograde_language');
+  if (!LANGUAGES[language]) {
+    return { error: `Language must be one of: ${Object.keys(LANGUAGES).join(', ')}` };
+  }
+
+  const timeLimit = parseInt(pick('time_limit_ms', 'autograde_time_limit_ms') ?? 2000, 10);
+  if (isNaN(timeLimit) || timeLimit < TIME_LIMITS_MS.min || timeLimit > TIME_LIMITS_MS.max) {
+    return { error: `Time limit must be between ${TIME_LIMITS_MS.min} and ${TIME_LIMITS_MS.max} ms` };
+  }
+
+  const memoryLimit = parseInt(pick('memory_limit_mb', 'autograde_memory_limit_mb') ?? 256, 10);
+  if (isNaN(memoryLimit) || memoryLimit < MEMORY_LIMITS_MB.min || memoryLimit > MEMORY_LIMITS_MB.max) {
+    return { error: `Memory limit must be between ${MEMORY_LIMITS_MB.min} and ${MEMORY_LIMITS_MB.max} MB` };
+  }
+
+  return {
+    value: {
+      autograde_language: language,
+      autograde_time_limit_ms: timeLimit,
+      autograde_memory_limit_mb: memoryLimit
+    }
+  };
+};
+
+// Validate test cases from a request body: [{ name, stdin, expected_stdout, is_hidden, points }]
+const parseTestCases = (testCases) => {
+  if (!Array.isArray(testCases) || testCases.length === 0) {
+    return { error: 'At least one test case is required' };
+  }
+  if (testCases.length > MAX_TEST_CASES) {
+    return { error: `At most ${MAX_TEST_CASES} test cases are allowed` };
+  }
+
+  const parsed = [];
+  for (const [index, testCase] of testCases.entries()) {
+    const label = testCase?.name || `Test ${index + 1}`;
+
+    if (typeof testCase?.expected_stdout !== 'string') {
+      return { error: `${label} needs an expected output` };
+    }
+    const stdin = testCase.stdin === undefined || testCase.stdin === null ? '' : String(testCase.stdin);
+    if (stdin.length > MAX_TEST_TEXT || testCase.expected_stdout.length > MAX_TEST_TEXT) {
+      return { error: `Input and expected output of ${label} can be at most ${MAX_TEST_TEXT} characters` };
+    }
+
+    const points = testCase.points === undefined ? 1 : parseFloat(testCase.points);
+    if (isNaN(points) || points <= 0 || points > 9999) {
+      return { error: `${label} must be worth between 0 and 9999 points` };
+    }
+
+    parsed.push({
+      name: label,
+      stdin,
+      expected_stdout: testCase.expected_stdout,
+      is_hidden: testCase.is_hidden === true,
+      points
+    });
+  }
+
+  return { value: parsed };
+};
+
+// Replace the test cases of an assignment inside the caller's transaction
+const saveTestCases = async (client, assignmentId, testCases) => {
+  await client.query('DELETE FROM assignment_test_cases WHERE assignment_id = $1', [assignmentId]);
+
+  for (const [index, testCase] of testCases.entries()) {
+    await client.query(`
+      INSERT INTO assignment_test_cases (assignment_id, name, stdin, expected_stdout, is_hidden, points, order_index)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [assignmentId, testCase.name, testCase.stdin, testCase.expected_stdout, testCase.is_hidden, testCase.points, index]);
+  }
+};
+
+const getTestCases = async (assignmentId, client = db) => {
+  const result = await client.query(
+    'SELECT * FROM assignment_test_cases WHERE assignment_id = $1 ORDER BY order_index, id',
+    [assignmentId]
+  );
+  return result.rows;
+};
+
+// The source to run: the submitted file for the language (or the only file),
+// otherwise the text content of the version
+const loadSource = async (language, version) => {
+  const files = await getVersionFiles(db, version.id);
+  const extensions = LANGUAGES[language].extensions;
+  const file = files.find(f => extensions.includes(path.extname(f.file_name || '').toLowerCase()))
+    || (files.length === 1 ? files[0] : null);
+
+  if (file) {
+    const response = await axios.get(file.file_url, {
+      responseType: 'arraybuffer',
+      maxContentLength: MAX_SOURCE_BYTES
+    });
+    return Buffer.from(response.data).toString('utf8');
+  }
+
+  return version.content || '';
+};
+
+// Run every test case of the assignment against a claimed run and store the results.
+// Stops without writing anything more once another worker has taken the run over.
+const runTests = async (run) => {
+  const runId = run.id;
+  const contextResult = await db.query(`
+    SELECT a.id as assignment_id, a.autograde_language, a.autograde_time_limit_ms, a.autograde_memory_limit_mb,
+      v.id, v.content
+    FROM submission_versions v
+    JOIN submissions s ON v.submission_id = s.id
+    JOIN assignments a ON s.assignment_id = a.id
+    WHERE v.id = $1
+  `, [run.version_id]);
+  const context = contextResult.rows[0];
+
+  const fail = (message) => failRun(run, message);
+
+  if (!context || !context.autograde_language) {
+    return fail('Autograding is not enabled for this assignment');
+  }
+
+  const testCases = await getTestCases(context.assignment_id);
+  if (testCases.length === 0) {
+    return fail('This assignment has no test cases');
+  }
+
+  let source;
+  try {
+    source = await loadSource(context.autograde_language, context);
+  } catch (error) {
+    return fail('Could not download the submitted source');
+  }
+  if (!source.trim()) {
+    return fail('No source code was submitted');
+  }
+
+  const limits = { timeLimitMs: context.autograde_time_limit_ms, memoryLimitMb: context.autograde_memory_limit_mb };
+  const { dir, compileError } = await prepareProgram(context.autograde_language, source);
+
+  try {
+    if (!(await renewLease('autograde_runs', runId, run.lease_token))) {
+      return;
+    }
+
+    // Old results of a run that was taken over are replaced
+    await db.query('DELETE FROM autograde_results WHERE run_id = $1', [runId]);
+
+    let earned = 0;
+    let total = 0;
+    let passed = 0;
+
+    for (const testCase of testCases) {
+      total += parseFloat(testCase.points);
+
+      let outcome;
+      if (compileError !== null) {
+        outcome = { status: 'compile_error', stdout: '', stderr: compileError, exitCode: null, durationMs: 0 };
+      } else {
+        const result = await runProgram(context.autograde_language, dir, testCase.stdin, limits);
+        const status = result.status === 'ok'
+          ? (outputMatches(result.stdout, testCase.expected_stdout) ? 'passed' : 'failed')
+          : result.status;
+        outcome = { ...result, status };
+      }
+
+      const points = outcome.status === 'passed' ? parseFloat(testCase.points) : 0;
+      if (outcome.status === 'passed') {
+        passed++;
+        earned += points;
+      }
+
+      if (!(await renewLease('autograde_runs', runId, run.lease_token))) {
+        return;
+      }
+      await db.query(`
+        INSERT INTO autograde_results (run_id, test_case_id, test_name, status, stdout, stderr, exit_code, duration_ms, points)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      `, [
+        runId, testCase.id, testCase.name, outcome.status, outcome.stdout.slice(0, MAX_STORED_OUTPUT),
+        outcome.stderr.slice(0, MAX_STORED_OUTPUT), outcome.exitCode, outcome.durationMs, points
+      ]);
+    }
+
+    await db.query(`
+      UPDATE autograde_runs
+      SET status = 'completed', score = $2, passed_count = $3, total_count = $4, finished_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND lease_token = $5
+    `, [runId, round2((earned / total) * 100), passed, testCases.length, run.lease_token]);
+  } finally {
+    await cleanupProgram(dir);
+  }
+};
+
+// Mark a claimed run as failed, unless another worker has taken it over
+const failRun = (run, message) => db.query(
+  `UPDATE autograde_runs SET status = 'error', error = $2, finished_at = CURRENT_TIMESTAMP
+   WHERE id = $1 AND lease_token = $3 AND status = 'running'`,
+  [run.id, message, run.lease_token]
+);
+
+// Claim a queued run (or one whose worker went away) and run it
+const executeRun = async (runId) => {
+  const run = await claimJob('autograde_runs', runId);
+  if (!run) {
+    return;
+  }
+  try {
+    await runTests(run);
+  } catch (error) {
+    await failRun(run, 'Autograder failed').catch(() => {});
+    throw error;
+  }
+};
+
+const enqueueRun = (runId) => {
+  enqueueJob(`autograde run ${runId}`, () => executeRun(runId));
+};
+
+// Queue a run for a submission version; client may be a transaction client.
+// Call enqueueRun with the returned id once the version is committed.
+const createRun = async (client, submissionId, versionId, requestedBy) => {
+  const result = await client.query(
+    'INSERT INTO autograde_runs (submission_id, version_id, requested_by) VALUES ($1, $2, $3) RETURNING *',
+    [submissionId, versionId, requestedBy]
+  );
+  return result.rows[0];
+};
+
+// Pick up runs that are still queued, or whose worker stopped before finishing them
+const resumePendingRuns = async () => {
+  const runIds = await unclaimedJobIds('autograde_runs');
+  runIds.forEach(runId => enqueueRun(runId));
+};
+
+// The latest run of a submission with its per-test results, or null.
+// Without includeHidden, hidden tests (and tests that were removed since) only
+// report their status and points.
+const getLatestRun = async (submissionId, { includeHidden }) => {
+  const runResult = await db.query(`
+    SELECT r.*, v.version_number
+    FROM autograde_runs r
+    JOIN submission_versions v ON r.version_id = v.id
+    WHERE r.submission_id = $1
+    ORDER BY r.id DESC
+    LIMIT 1
+  `, [submissionId]);
+  if (runResult.rows.length === 0) {
+    return null;
+  }
+  const run = runResult.rows[0];
+
+  const results = await db.query(`
+    SELECT ar.*, t.stdin, t.expected_stdout, t.points as max_points,
+      COALESCE(t.is_hidden, true) as is_hidden
+    FROM autograde_results ar
+    LEFT JOIN assignment_test_cases t ON ar.test_case_id = t.id
+    WHERE ar.run_id = $1
+    ORDER BY t.order_index, ar.id
+  `, [run.id]);
+
+  run.results = results.rows.map(result => {
+    if (includeHidden || !result.is_hidden) {
+      return result;
+    }
+    return {
+      id: result.id,
+      test_case_id: result.test_case_id,
+      test_name: 'Hidden test',
+      is_hidden: true,
+      status: result.status,
+      points: result.points,
+      max_points: result.max_points
+    };
+  });
+
+  return run;
+};
+
+module.exports = {
+  parseAutograderSettings,
+  parseTestCases,
+  saveTestCases,
+  getTestCases,
+  createRun,
+  enqueueRun,
+  resumePendingRuns,
+  getLatestRun
+};
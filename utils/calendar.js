@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+const PRODUCT_ID = '-//Digilab-NG//Calendar Feed//EN';
+const UID_DOMAIN = 'digilab-ng';
+
+// Feeds leave out what ended longer ago than this
+const FEED_HISTORY_DAYS = 90;
+
+// Content lines are folded at 75 octets (RFC 5545 section 3.1)
+const MAX_LINE_OCTETS = 75;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a new feed token for a user; the previous feed URL stops working
+const issueCalendarToken = async (userId) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const result = await db.query(`
+    UPDATE users SET calendar_token_hash = $1, calendar_token_created_at = CURRENT_TIMESTAMP
+    WHERE id = $2
+    RETURNING calendar_token_created_at as created_at
+  `, [hashToken(token), userId]);
+
+  return { token, created_at: result.rows[0].created_at };
+};
+
+// Revoke a user's feed token; returns whether there was one
+const revokeCalendarToken = async (userId) => {
+  const result = await db.query(`
+    UPDATE users SET calendar_token_hash = NULL, calendar_token_created_at = NULL
+    WHERE id = $1 AND calendar_token_hash IS NOT NULL
+    RETURNING id
+  `, [userId]);
+  return result.rows.length > 0;
+};
+
+// The user a feed token belongs to, or null
+const findCalendarUser = async (token) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+  const result = await db.query(
+    'SELECT id, username, role FROM users WHERE calendar_token_hash = $1',
+    [hashToken(token)]
+  );
+  return result.rows[0] || null;
+};
+
+// Calendar events of a user, earliest first: deadlines of file assignments (extended ones
+// for students), quiz windows from opening to deadline, and the sessions of every class
+// they belong to. Students do not see staff-only assignments.
+const getCalendarEvents = async (userId, { from = null, to = null } = {}) => {
+  const since = from || new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+  const [assignmentsResult, sessionsResult] = await Promise.all([
+    db.query(`
+      SELECT a.id, a.title, a.description, a.submission_type, a.class_id, c.title as class_title,
+        COALESCE(x.deadline, a.deadline) as deadline, q.opens_at, q.time_limit_minutes, a.updated_at
+      FROM class_enrollments e
+      JOIN classes c ON e.class_id = c.id
+      JOIN assignments a ON a.class_id = c.id
+      LEFT JOIN assignment_extensions x ON x.assignment_id = a.id AND x.user_id = e.user_id AND e.role = 'student'
+      LEFT JOIN quizzes q ON q.assignment_id = a.id
+      WHERE e.user_id = $1
+        AND (e.role <> 'student' OR COALESCE(a.visibility, c.content_visibility) <> 'staff')
+        AND COALESCE(x.deadline, a.deadline) >= $2
+        AND ($3::timestamp IS NULL OR COALESCE(q.opens_at, x.deadline, a.deadline) < $3)
+    `, [userId, since, to]),
+    db.query(`
+      SELECT cs.id, cs.topic, cs.room, cs.starts_at, cs.ends_at, cs.class_id, c.title as class_title, cs.updated_at
+      FROM class_enrollments e
+      JOIN classes c ON e.class_id = c.id
+      JOIN class_sessions cs ON cs.class_id = c.id
+      WHERE e.user_id = $1
+        AND COALESCE(cs.ends_at, cs.starts_at) >= $2
+        AND ($3::timestamp IS NULL OR cs.starts_at < $3)
+    `, [userId, since, to])
+  ]);
+
+  const events = assignmentsResult.rows.map(assignment => {
+    const quiz = assignment.submission_type === 'quiz';
+    return {
+      uid: `assignment-${assignment.id}@${UID_DOMAIN}`,
+      type: quiz ? 'quiz' : 'deadline',
+      summary: quiz ? `Quiz: ${assignment.title}` : `Due: ${assignment.title}`,
+      description: quiz && assignment.time_limit_minutes
+        ? `${assignment.description}\n\nTime limit: ${assignment.time_limit_minutes} minutes`
+        : assignment.description,
+      location: null,
+      starts_at: quiz && assignment.opens_at ? assignment.opens_at : assignment.deadline,
+      ends_at: quiz && assignment.opens_at ? assignment.deadline : null,
+      class_id: assignment.class_id,
+      class_title: assignment.class_title,
+      assignment_id: assignment.id,
+      updated_at: assignment.updated_at
+    };
+  });
+
+  for (const session of sessionsResult.rows) {
+    events.push({
+      uid: `session-${session.id}@${UID_DOMAIN}`,
+      type: 'session',
+      summary: `${session.class_title}: ${session.topic}`,
+      description: null,
+      location: session.room,
+      starts_at: session.starts_at,
+      ends_at: session.ends_at,
+      class_id: session.class_id,
+      class_title: session.class_title,
+      session_id: session.id,
+      updated_at: session.updated_at
+    });
+  }
+
+  return events.sort((a, b) => new Date(a.starts_at) - new Date(b.starts_at));
+};
+
+// TEXT values escape backslashes, separators and newlines
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// UTC DATE-TIME, e.g. 20250131T235900Z
+const formatDateTime = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Split a content line into 75-octet pieces without breaking multi-byte characters;
+// continuation lines start with a space
+const foldLine = (line) => {
+  const pieces = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = pieces.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      pieces.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  pieces.push(current);
+
+  return pieces.join('\r\n ');
+};
+
+// Render events as an iCalendar (RFC 5545) document
+const buildCalendar = (events, { name = 'Digilab-NG', now = new Date() } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // Ask subscribed clients to refresh hourly
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatDateTime(now)}`,
+      `DTSTART:${formatDateTime(event.starts_at)}`
+    );
+    if (event.ends_at) {
+      lines.push(`DTEND:${formatDateTime(event.ends_at)}`);
+    }
+    if (event.updated_at) {
+      lines.push(`LAST-MODIFIED:${formatDateTime(event.updated_at)}`);
+    }
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.location) {
+      lines.push(`LOCATION:${escapeText(event.location)}`);
+    }
+    lines.push(`CATEGORIES:${escapeText(event.class_title)}`, 'END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  issueCalendarToken,
+  revokeCalendarToken,
+  findCalendarUser,
+  getCalendarEvents,
+  buildCalendar
+};
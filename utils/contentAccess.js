@@ -0,0 +1,77 @@
+const { STAFF_ROLES, getClassRole } = require('../middleware/classRole');
+
+const VISIBILITIES = ['public', 'enrolled', 'staff'];
+
+// Fields non-members still get for enrolled-only content
+const PREVIEW_FIELDS = {
+  folder: ['id', 'class_id', 'title', 'order_index', 'module_count', 'creator_name', 'class_title', 'created_at'],
+  module: ['id', 'class_id', 'folder_id', 'title', 'order_index', 'creator_name', 'class_title', 'folder_title', 'created_at', 'updated_at'],
+  assignment: ['id', 'class_id', 'title', 'deadline', 'creator_name', 'class_title', 'created_at']
+};
+
+// Where the viewer stands in a class: 'staff', 'student' or 'guest' (anonymous or not a member)
+const getViewerLevel = async (classId, user) => {
+  if (!user) {
+    return 'guest';
+  }
+
+  const role = await getClassRole(classId, user.id);
+  if (STAFF_ROLES.includes(role)) {
+    return 'staff';
+  }
+  return role === 'student' ? 'student' : 'guest';
+};
+
+// What a viewer gets for content with the given effective visibility: 'full', 'preview' or 'hidden'
+const resolveAccess = (viewerLevel, visibility) => {
+  if (viewerLevel === 'staff' || visibility === 'public') {
+    return 'full';
+  }
+  if (visibility === 'enrolled') {
+    return viewerLevel === 'student' ? 'full' : 'preview';
+  }
+  return 'hidden';
+};
+
+const toPreview = (type, row) => {
+  const preview = { preview: true };
+  for (const field of PREVIEW_FIELDS[type]) {
+    if (row[field] !== undefined) {
+      preview[field] = row[field];
+    }
+  }
+  return preview;
+};
+
+// Apply visibility to rows carrying an effective_visibility column:
+// hidden rows are dropped and enrolled-only rows are reduced to previews
+const applyVisibility = (type, rows, viewerLevel) => rows
+  .map(row => {
+    const access = resolveAccess(viewerLevel, row.effective_visibility);
+    if (access === 'hidden') {
+      return null;
+    }
+    return access === 'preview' ? toPreview(type, row) : row;
+  })
+  .filter(Boolean);
+
+// Validate a visibility value from a request body.
+// Items may pass '' or 'inherit' to fall back to the class default (stored as NULL).
+const parseVisibility = (value, { allowInherit = true } = {}) => {
+  if (allowInherit && (value === '' || value === 'inherit' || value === null)) {
+    return { value: null };
+  }
+  if (!VISIBILITIES.includes(value)) {
+    return { error: `Visibility must be one of: ${VISIBILITIES.join(', ')}${allowInherit ? ', inherit' : ''}` };
+  }
+  return { value };
+};
+
+module.exports = {
+  VISIBILITIES,
+  getViewerLevel,
+  resolveAccess,
+  toPreview,
+  applyVisibility,
+  parseVisibility
+};
@@ -0,0 +1,75 @@
+// Minimal RFC 4180 CSV reading and writing
+
+// Parse CSV text into an array of rows (arrays of strings).
+// Handles quoted fields, escaped quotes, CRLF line endings and a UTF-8 BOM.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// True for rows that only contain whitespace (e.g. blank lines)
+const isBlankRow = (cells) => cells.every(cell => cell.trim() === '');
+
+// Quote a value for CSV. Values starting with a formula character are prefixed
+// with an apostrophe so spreadsheet apps don't evaluate them.
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build CSV text from a header row and data rows
+const toCsv = (header, rows) => [header, ...rows]
+  .map(cells => cells.map(escapeCsvValue).join(','))
+  .join('\r\n') + '\r\n';
+
+module.exports = {
+  parseCsv,
+  isBlankRow,
+  toCsv
+};
@@ -0,0 +1,74 @@
+// Line diffs between submission versions
+
+// Above this many lines per side the LCS table gets too large; the texts are then
+// reported as one removed block and one added block
+const MAX_DIFF_LINES = 2000;
+
+const splitLines = (text) => (text ? String(text).replace(/\r\n/g, '\n').split('\n') : []);
+
+// Diff two texts line by line (longest common subsequence).
+// Returns [{ type: 'equal' | 'removed' | 'added', line }] in reading order.
+const diffLines = (oldText, newText) => {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) {
+    return [
+      ...a.map(line => ({ type: 'removed', line })),
+      ...b.map(line => ({ type: 'added', line }))
+    ];
+  }
+
+  // lcs[i * width + j] = length of the LCS of a[i..] and b[j..]
+  const width = b.length + 1;
+  const lcs = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      changes.push({ type: 'equal', line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      changes.push({ type: 'removed', line: a[i] });
+      i++;
+    } else {
+      changes.push({ type: 'added', line: b[j] });
+      j++;
+    }
+  }
+  while (i < a.length) {
+    changes.push({ type: 'removed', line: a[i++] });
+  }
+  while (j < b.length) {
+    changes.push({ type: 'added', line: b[j++] });
+  }
+
+  return changes;
+};
+
+// Compare the file lists of two versions by URL (copied files keep their URL)
+const diffFiles = (oldFiles, newFiles) => {
+  const oldUrls = new Set(oldFiles.map(file => file.file_url));
+  const newUrls = new Set(newFiles.map(file => file.file_url));
+
+  return {
+    added: newFiles.filter(file => !oldUrls.has(file.file_url)),
+    removed: oldFiles.filter(file => !newUrls.has(file.file_url)),
+    unchanged: newFiles.filter(file => oldUrls.has(file.file_url))
+  };
+};
+
+module.exports = {
+  diffLines,
+  diffFiles
+};
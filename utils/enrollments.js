@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+
+const ENROLLMENT_MODES = ['open', 'key', 'approval'];
+
+// Largest roster change accepted in a single request
+const MAX_BULK_STUDENTS = 500;
+
+// Unambiguous characters so keys can be written on a whiteboard
+const KEY_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const KEY_LENGTH = 8;
+
+const generateEnrollmentKey = () => {
+  const bytes = crypto.randomBytes(KEY_LENGTH);
+  let key = '';
+  for (const byte of bytes) {
+    key += KEY_ALPHABET[byte % KEY_ALPHABET.length];
+  }
+  return key;
+};
+
+// Compare keys in constant time (hashing first makes the lengths equal)
+const enrollmentKeyMatches = (expected, given) => {
+  if (!expected || typeof given !== 'string') {
+    return false;
+  }
+  const digest = (value) => crypto.createHash('sha256').update(value.trim()).digest();
+  return crypto.timingSafeEqual(digest(expected), digest(given));
+};
+
+// Add one praktikan account to a class as a student inside the caller's transaction.
+// The identifier is an email when it contains '@' (compared case-insensitively), otherwise
+// a username. A pending enrollment request of the student is marked approved. Returns
+// { status, username } where status is one of 'added', 'already_enrolled', 'not_found',
+// 'ambiguous' (several accounts match the email) or 'not_praktikan'.
+const addStudent = async (client, classId, identifier, addedBy) => {
+  const userResult = await client.query(
+    identifier.includes('@')
+      ? 'SELECT id, username, role FROM users WHERE LOWER(email) = LOWER($1)'
+      : 'SELECT id, username, role FROM users WHERE username = $1',
+    [identifier]
+  );
+
+  if (userResult.rows.length === 0) {
+    return { status: 'not_found', username: null };
+  }
+  if (userResult.rows.length > 1) {
+    return { status: 'ambiguous', username: null };
+  }
+
+  const user = userResult.rows[0];
+  if (user.role !== 'praktikan') {
+    return { status: 'not_praktikan', username: user.username };
+  }
+
+  const insertResult = await client.query(
+    `INSERT INTO class_enrollments (class_id, user_id, role)
+     VALUES ($1, $2, 'student')
+     ON CONFLICT (class_id, user_id) DO NOTHING
+     RETURNING user_id`,
+    [classId, user.id]
+  );
+
+  if (insertResult.rows.length === 0) {
+    return { status: 'already_enrolled', username: user.username };
+  }
+
+  await client.query(
+    `UPDATE class_enrollment_requests
+     SET status = 'approved', decided_by = $3, decided_at = CURRENT_TIMESTAMP
+     WHERE class_id = $1 AND user_id = $2 AND status = 'pending'`,
+    [classId, user.id, addedBy]
+  );
+
+  return { status: 'added', username: user.username };
+};
+
+// Add several students at once; returns the identifiers grouped by outcome
+const addStudents = async (client, classId, identifiers, addedBy) => {
+  const report = { added: [], already_enrolled: [], not_found: [], ambiguous: [], not_praktikan: [] };
+  const seen = new Set();
+
+  for (const raw of identifiers) {
+    const identifier = String(raw || '').trim();
+    if (!identifier || seen.has(identifier.toLowerCase())) {
+      continue;
+    }
+    seen.add(identifier.toLowerCase());
+
+    const { status, username } = await addStudent(client, classId, identifier, addedBy);
+    report[status].push(username || identifier);
+  }
+
+  return report;
+};
+
+module.exports = {
+  ENROLLMENT_MODES,
+  MAX_BULK_STUDENTS,
+  generateEnrollmentKey,
+  enrollmentKeyMatches,
+  addStudent,
+  addStudents
+};
@@ -0,0 +1,27 @@
+const { EventEmitter } = require('events');
+
+// In-process application events. Routes emit, listeners (e.g. notifications) react.
+//
+//   news.posted          - { news_id, title, content, class_id, posted_by } (class_id null for general news)
+//   assignment.created   - { assignment_id, assignment_title, class_id, deadline, created_by }
+//   post.created         - { post_id, user_id, username, profile_image, content, image_url, linked_type, linked_id, created_at }
+//   grade.released       - { assignment_id, assignment_title, class_id, user_ids, released_by, released_at }
+//   regrade.requested    - { request_id, assignment_id, assignment_title, class_id, user_id }
+//   regrade.decided      - { request_id, assignment_id, assignment_title, class_id, user_id, status, new_grade, decided_by }
+//   comment.created      - { comment_id, post_id, post_user_id, user_id, username, content }
+//   notification.created - { notifications } (rows just stored, for any number of users)
+const events = new EventEmitter();
+
+// Listener errors must never break the request that emitted the event
+const emitEvent = (name, payload) => {
+  try {
+    events.emit(name, payload);
+  } catch (error) {
+    console.error(`Error handling ${name} event:`, error);
+  }
+};
+
+module.exports = {
+  events,
+  emitEvent
+};
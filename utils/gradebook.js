@@ -0,0 +1,202 @@
+const ExcelJS = require('exceljs');
+const db = require('../db');
+const { closingTime } = require('./latePolicy');
+const { finishExpiredAttempts } = require('./quizzes');
+
+// Round like NUMERIC(5,2)
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// When a student's unsubmitted work starts counting as missing: once they can no longer
+// hand it in (their extension, the grace period and the late cutoff included), or, when
+// late work is accepted without a cutoff, once their deadline and grace period are over
+const missingAfter = (assignment, extension) => {
+  const closes = closingTime(assignment, extension);
+  if (closes) {
+    return closes;
+  }
+  const deadline = new Date(extension ? extension.deadline : assignment.deadline);
+  return new Date(deadline.getTime() + (assignment.grace_period_minutes || 0) * 60 * 1000);
+};
+
+// Status of one student x assignment cell:
+//   graded    - graded; counts with its late-penalized grade
+//   submitted - handed in, not graded yet; does not count
+//   missing   - nothing handed in and the student can no longer hand it in; counts as 0
+//   pending   - nothing handed in yet, still open to the student; does not count
+const cellStatus = (cell, missingFrom, now) => {
+  if (cell && cell.grade !== null) {
+    return 'graded';
+  }
+  if (cell) {
+    return 'submitted';
+  }
+  return missingFrom < now ? 'missing' : 'pending';
+};
+
+// Average of the counted cells of a set of assignments, or null when none count
+const averageScore = (cells) => {
+  const counted = cells.filter(cell => cell.status === 'graded' || cell.status === 'missing');
+  if (counted.length === 0) {
+    return null;
+  }
+  return round2(counted.reduce((sum, cell) => sum + (cell.grade || 0), 0) / counted.length);
+};
+
+// Build the student x assignment matrix of a class.
+// With categories, the final score is the weighted average of the category averages
+// (categories without counted work are left out and the weights re-normalised) and
+// uncategorised assignments do not count. Without categories it is the plain average.
+const buildGradebook = async (classId, now = new Date()) => {
+  // Quiz attempts that ran out count with their score, not as missing
+  await finishExpiredAttempts({ classId });
+
+  const [categoriesResult, assignmentsResult, studentsResult, gradesResult, extensionsResult] = await Promise.all([
+    db.query(
+      'SELECT id, name, weight FROM assignment_categories WHERE class_id = $1 ORDER BY order_index, id',
+      [classId]
+    ),
+    db.query(
+      // Staff-only assignments are not students' work
+      `SELECT a.id, a.title, a.deadline, a.category_id, a.late_policy, a.grace_period_minutes, a.late_cutoff
+       FROM assignments a
+       JOIN classes c ON a.class_id = c.id
+       WHERE a.class_id = $1 AND COALESCE(a.visibility, c.content_visibility) <> 'staff'
+       ORDER BY a.deadline ASC, a.id ASC`,
+      [classId]
+    ),
+    db.query(`
+      SELECT u.id, u.username, u.email
+      FROM class_enrollments e
+      JOIN users u ON e.user_id = u.id
+      WHERE e.class_id = $1 AND e.role = 'student'
+      ORDER BY u.username ASC
+    `, [classId]),
+    db.query(`
+      SELECT s.assignment_id, sm.user_id, g.grade as raw_grade, g.released_at, cv.is_late,
+        COALESCE(gv.penalty_percent, 0) as penalty_percent,
+        ROUND(g.grade * (1 - COALESCE(gv.penalty_percent, 0) / 100), 2) as grade
+      FROM submissions s
+      JOIN submission_members sm ON sm.submission_id = s.id
+      JOIN assignments a ON s.assignment_id = a.id
+      LEFT JOIN submission_versions cv ON s.current_version_id = cv.id
+      LEFT JOIN grades g ON s.id = g.submission_id
+      LEFT JOIN submission_versions gv ON g.version_id = gv.id
+      WHERE a.class_id = $1
+    `, [classId]),
+    db.query(`
+      SELECT x.assignment_id, x.user_id, x.deadline
+      FROM assignment_extensions x
+      JOIN assignments a ON x.assignment_id = a.id
+      WHERE a.class_id = $1
+    `, [classId])
+  ]);
+
+  const categories = categoriesResult.rows.map(category => ({ ...category, weight: parseFloat(category.weight) }));
+  const assignments = assignmentsResult.rows;
+
+  const submitted = new Map();
+  for (const row of gradesResult.rows) {
+    submitted.set(`${row.user_id}:${row.assignment_id}`, row);
+  }
+
+  const extensions = new Map();
+  for (const row of extensionsResult.rows) {
+    extensions.set(`${row.user_id}:${row.assignment_id}`, row);
+  }
+
+  const students = studentsResult.rows.map(student => {
+    const cells = {};
+    for (const assignment of assignments) {
+      const key = `${student.id}:${assignment.id}`;
+      const row = submitted.get(key);
+      const status = cellStatus(row, missingAfter(assignment, extensions.get(key) || null), now);
+      cells[assignment.id] = {
+        status,
+        grade: status === 'graded' ? parseFloat(row.grade) : (status === 'missing' ? 0 : null),
+        raw_grade: status === 'graded' ? parseFloat(row.raw_grade) : null,
+        penalty_percent: row ? parseFloat(row.penalty_percent) : 0,
+        is_late: row ? row.is_late === true : false,
+        released: status === 'graded' && row.released_at !== null
+      };
+    }
+
+    let finalScore;
+    const categoryScores = {};
+
+    if (categories.length > 0) {
+      let weightedSum = 0;
+      let weightTotal = 0;
+      for (const category of categories) {
+        const categoryCells = assignments
+          .filter(assignment => assignment.category_id === category.id)
+          .map(assignment => cells[assignment.id]);
+        const average = averageScore(categoryCells);
+        categoryScores[category.id] = average;
+
+        if (average !== null && category.weight > 0) {
+          weightedSum += average * category.weight;
+          weightTotal += category.weight;
+        }
+      }
+      finalScore = weightTotal > 0 ? round2(weightedSum / weightTotal) : null;
+    } else {
+      finalScore = averageScore(Object.values(cells));
+    }
+
+    return { ...student, cells, category_scores: categoryScores, final_score: finalScore };
+  });
+
+  return { categories, assignments, students };
+};
+
+// Flatten a gradebook into a header row and data rows for export.
+// Cells hold the grade, or a marker for work that has no grade.
+const MISSING_MARKERS = { missing: 'MISSING', submitted: 'UNGRADED', pending: '' };
+
+const gradebookTable = (gradebook) => {
+  const header = [
+    'username',
+    'email',
+    ...gradebook.assignments.map(assignment => assignment.title),
+    ...gradebook.categories.map(category => `${category.name} (${category.weight}%)`),
+    'final_score'
+  ];
+
+  const rows = gradebook.students.map(student => [
+    student.username,
+    student.email,
+    ...gradebook.assignments.map(assignment => {
+      const cell = student.cells[assignment.id];
+      return cell.status === 'graded' ? cell.grade : MISSING_MARKERS[cell.status];
+    }),
+    ...gradebook.categories.map(category => student.category_scores[category.id]),
+    student.final_score
+  ]);
+
+  return { header, rows };
+};
+
+// Render the gradebook as an .xlsx workbook buffer
+const gradebookWorkbook = async (gradebook, sheetName = 'Gradebook') => {
+  const { header, rows } = gradebookTable(gradebook);
+
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31));
+
+  sheet.addRow(header).font = { bold: true };
+  for (const row of rows) {
+    sheet.addRow(row.map(value => (value === null || value === undefined ? '' : value)));
+  }
+  sheet.views = [{ state: 'frozen', xSplit: 2, ySplit: 1 }];
+  sheet.columns.forEach(column => {
+    column.width = 16;
+  });
+
+  return workbook.xlsx.writeBuffer();
+};
+
+module.exports = {
+  buildGradebook,
+  gradebookTable,
+  gradebookWorkbook
+};
@@ -0,0 +1,117 @@
+const db = require('../db');
+const { stillOpenSql } = require('./latePolicy');
+
+const MAX_GROUP_SIZE = 50;
+
+// Validate a group size; undefined keeps the fallback. Returns { value } or { error }.
+const parseGroupSize = (value, fallback) => {
+  if (value === undefined || value === null || value === '') {
+    return { value: fallback };
+  }
+  const size = parseInt(value, 10);
+  if (isNaN(size) || size < 1 || size > MAX_GROUP_SIZE) {
+    return { error: `Group size must be between 1 and ${MAX_GROUP_SIZE}` };
+  }
+  return { value: size };
+};
+
+// The group of a student in a class, or null
+const getGroupOf = async (classId, userId, client = db) => {
+  const result = await client.query(`
+    SELECT g.*
+    FROM class_group_members gm
+    JOIN class_groups g ON gm.group_id = g.id
+    WHERE gm.class_id = $1 AND gm.user_id = $2
+  `, [classId, userId]);
+  return result.rows[0] || null;
+};
+
+// Groups of a class with their members, by name
+const getGroups = async (classId) => {
+  const result = await db.query(`
+    SELECT g.*, COALESCE((
+      SELECT json_agg(json_build_object('user_id', u.id, 'username', u.username, 'joined_at', gm.joined_at)
+        ORDER BY u.username)
+      FROM class_group_members gm
+      JOIN users u ON gm.user_id = u.id
+      WHERE gm.group_id = g.id
+    ), '[]') as members
+    FROM class_groups g
+    WHERE g.class_id = $1
+    ORDER BY g.name ASC
+  `, [classId]);
+  return result.rows;
+};
+
+// Add a student to a group inside the caller's transaction. The group is locked so
+// concurrent joins cannot overfill it. The student also joins the ungraded submissions the
+// group already made for assignments that are still open, unless they have their own.
+// Returns { value } or { error, status }.
+const addGroupMember = async (client, groupId, userId) => {
+  const groupResult = await client.query(`
+    SELECT g.*, (SELECT COUNT(*)::int FROM class_group_members WHERE group_id = g.id) as member_count
+    FROM class_groups g
+    WHERE g.id = $1
+    FOR UPDATE
+  `, [groupId]);
+  const group = groupResult.rows[0];
+
+  if (group.member_count >= group.max_size) {
+    return { error: 'Group is full', status: 409 };
+  }
+
+  const result = await client.query(`
+    INSERT INTO class_group_members (group_id, class_id, user_id)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (class_id, user_id) DO NOTHING
+    RETURNING *
+  `, [group.id, group.class_id, userId]);
+
+  if (result.rows.length === 0) {
+    return { error: 'Student is already in a group', status: 409 };
+  }
+
+  await client.query(`
+    INSERT INTO submission_members (submission_id, assignment_id, user_id)
+    SELECT s.id, s.assignment_id, $2
+    FROM submissions s
+    JOIN assignments a ON s.assignment_id = a.id
+    WHERE s.group_id = $1 AND ${stillOpenSql('a')}
+      AND NOT EXISTS (SELECT 1 FROM grades g WHERE g.submission_id = s.id)
+    ON CONFLICT (assignment_id, user_id) DO NOTHING
+  `, [group.id, userId]);
+
+  return { value: result.rows[0] };
+};
+
+// Take a student out of a group inside the caller's transaction. They also leave the
+// group's submissions for assignments that are still open; work on closed ones stays theirs.
+// Returns the removed membership, or null when they were not in the group.
+const removeGroupMember = async (client, classId, groupId, userId) => {
+  const result = await client.query(`
+    DELETE FROM class_group_members gm
+    USING class_groups g
+    WHERE gm.group_id = g.id AND g.id = $1 AND g.class_id = $2 AND gm.user_id = $3
+    RETURNING gm.*
+  `, [groupId, classId, userId]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  await client.query(`
+    DELETE FROM submission_members sm
+    USING submissions s, assignments a
+    WHERE sm.submission_id = s.id AND s.assignment_id = a.id
+      AND s.group_id = $1 AND sm.user_id = $2 AND ${stillOpenSql('a')}
+  `, [groupId, userId]);
+
+  return result.rows[0];
+};
+
+module.exports = {
+  parseGroupSize,
+  getGroupOf,
+  getGroups,
+  addGroupMember,
+  removeGroupMember
+};
@@ -0,0 +1,11 @@
+// Escape text for use in HTML (email bodies), including attribute values
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+module.exports = {
+  escapeHtml
+};
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+// Unambiguous characters (no 0/O, 1/I/L) so codes can be read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 10;
+
+// Codes are compared case-insensitively and without surrounding whitespace
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const hashInvitationCode = (code) => crypto
+  .createHash('sha256')
+  .update(normalizeCode(code))
+  .digest('hex');
+
+// Generate a code like ASLAB-7KQ2MXR9PD
+const generateInvitationCode = () => {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  let body = '';
+  for (const byte of bytes) {
+    body += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+  }
+  return `ASLAB-${body}`;
+};
+
+// Consume one use of an invitation code inside the caller's transaction.
+// Returns the invitation row, or null if the code is unknown, revoked, expired or used up.
+const redeemInvitationCode = async (client, code, userId) => {
+  const result = await client.query(
+    `UPDATE invitation_codes
+     SET use_count = use_count + 1
+     WHERE code_hash = $1
+       AND revoked_at IS NULL
+       AND use_count < max_uses
+       AND (expires_at IS NULL OR expires_at > NOW())
+     RETURNING *`,
+    [hashInvitationCode(code)]
+  );
+
+  const invitation = result.rows[0];
+  if (!invitation) {
+    return null;
+  }
+
+  await client.query(
+    'INSERT INTO invitation_redemptions (invitation_id, user_id) VALUES ($1, $2)',
+    [invitation.id, userId]
+  );
+
+  return invitation;
+};
+
+module.exports = {
+  hashInvitationCode,
+  generateInvitationCode,
+  redeemInvitationCode
+};
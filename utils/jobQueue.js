@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+// Background jobs run one at a time per queue in this process. Heavy work (autograde
+// runs, similarity reports) shares one queue so it never competes with itself for the
+// CPU; email has a queue of its own so it is not held up behind that work.
+const createQueue = () => {
+  const queue = [];
+  let draining = false;
+
+  const drainQueue = async () => {
+    if (draining) {
+      return;
+    }
+    draining = true;
+    while (queue.length > 0) {
+      const job = queue.shift();
+      try {
+        await job.run();
+      } catch (error) {
+        console.error(`Error running ${job.name}:`, error);
+        if (job.onError) {
+          await Promise.resolve(job.onError(error)).catch(() => {});
+        }
+      }
+    }
+    draining = false;
+  };
+
+  // Queue a job. run is an async function; onError is called when it throws.
+  return (name, run, onError) => {
+    queue.push({ name, run, onError });
+    drainQueue();
+  };
+};
+
+const enqueueJob = createQueue();
+const enqueueMail = createQueue();
+
+// Jobs stored in a table (autograde_runs, similarity_reports) may be queued by several
+// instances, or again after a restart. Claiming one takes a lease that the worker renews
+// while it runs, so a job only runs in one place and is taken over once its lease runs out.
+const LEASE_SECONDS = 120;
+
+// SQL condition for a job that nobody works on: queued, or running with a lapsed lease
+const UNCLAIMED = `(status = 'queued' OR (status = 'running' AND (lease_expires_at IS NULL OR lease_expires_at < CURRENT_TIMESTAMP)))`;
+
+// Claim a job row for this worker. Returns the row (with its lease_token), or null when
+// it is done or another worker holds it.
+const claimJob = async (table, id) => {
+  const result = await db.query(`
+    UPDATE ${table}
+    SET status = 'running', started_at = CURRENT_TIMESTAMP, lease_token = $2,
+        lease_expires_at = CURRENT_TIMESTAMP + make_interval(secs => $3)
+    WHERE id = $1 AND ${UNCLAIMED}
+    RETURNING *
+  `, [id, crypto.randomUUID(), LEASE_SECONDS]);
+  return result.rows[0] || null;
+};
+
+// Extend the lease of a claimed job; false when another worker has taken it over
+const renewLease = async (table, id, leaseToken) => {
+  const result = await db.query(`
+    UPDATE ${table} SET lease_expires_at = CURRENT_TIMESTAMP + make_interval(secs => $3)
+    WHERE id = $1 AND lease_token = $2 AND status = 'running'
+  `, [id, leaseToken, LEASE_SECONDS]);
+  return result.rowCount > 0;
+};
+
+// Ids of the jobs in a table that nobody works on, oldest first
+const unclaimedJobIds = async (table) => {
+  const result = await db.query(`SELECT id FROM ${table} WHERE ${UNCLAIMED} ORDER BY id`);
+  return result.rows.map(row => row.id);
+};
+
+module.exports = {
+  enqueueJob,
+  enqueueMail,
+  claimJob,
+  renewLease,
+  unclaimedJobIds
+};
@@ -0,0 +1,126 @@
+const LATE_POLICIES = ['hard_close', 'accept_late', 'penalty'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Decide whether a submission made now is accepted and how late it is.
+// extension is the student's assignment_extensions row, if any.
+// Returns { allowed, message, deadline, is_late, late_days, penalty_percent }.
+const evaluateLateness = (assignment, extension, now = new Date()) => {
+  const deadline = new Date(extension ? extension.deadline : assignment.deadline);
+  const graceEnd = new Date(deadline.getTime() + (assignment.grace_period_minutes || 0) * 60 * 1000);
+  const onTime = { allowed: true, deadline, is_late: false, late_days: 0, penalty_percent: 0 };
+
+  if (now <= graceEnd) {
+    return onTime;
+  }
+
+  if (assignment.late_policy === 'hard_close' || !assignment.late_policy) {
+    return { allowed: false, message: 'Deadline has passed', deadline };
+  }
+
+  // An extension past the cutoff moves the cutoff with it
+  if (assignment.late_cutoff) {
+    const cutoff = new Date(Math.max(new Date(assignment.late_cutoff).getTime(), deadline.getTime()));
+    if (now > cutoff) {
+      return { allowed: false, message: 'Late submissions are closed', deadline };
+    }
+  }
+
+  // Every started day after the deadline counts
+  const lateDays = Math.ceil((now.getTime() - deadline.getTime()) / DAY_MS);
+  const penaltyPercent = assignment.late_policy === 'penalty'
+    ? Math.min(100, lateDays * parseFloat(assignment.late_penalty_percent || 0))
+    : 0;
+
+  return { allowed: true, deadline, is_late: true, late_days: lateDays, penalty_percent: penaltyPercent };
+};
+
+// The last moment a submission made now would still be accepted, or null when late
+// submissions stay open. extension is the student's assignment_extensions row, if any.
+const closingTime = (assignment, extension) => {
+  const deadline = new Date(extension ? extension.deadline : assignment.deadline);
+  const graceEnd = new Date(deadline.getTime() + (assignment.grace_period_minutes || 0) * 60 * 1000);
+
+  if (assignment.late_policy === 'hard_close' || !assignment.late_policy) {
+    return graceEnd;
+  }
+  if (assignment.late_cutoff) {
+    return new Date(Math.max(new Date(assignment.late_cutoff).getTime(), graceEnd.getTime()));
+  }
+  return null;
+};
+
+// SQL condition that the assignment aliased as alias still accepts submissions, without
+// extensions: the database side of closingTime
+const stillOpenSql = (alias) => `(
+  CASE
+    WHEN ${alias}.late_policy IS NULL OR ${alias}.late_policy = 'hard_close'
+      THEN ${alias}.deadline + make_interval(mins => COALESCE(${alias}.grace_period_minutes, 0))
+    ELSE GREATEST(${alias}.late_cutoff, ${alias}.deadline + make_interval(mins => COALESCE(${alias}.grace_period_minutes, 0)))
+  END > NOW()
+  OR (${alias}.late_policy IN ('accept_late', 'penalty') AND ${alias}.late_cutoff IS NULL)
+)`;
+
+// Grade after the late penalty, rounded like NUMERIC(5,2)
+const applyPenalty = (grade, penaltyPercent) => {
+  if (grade === null || grade === undefined) {
+    return null;
+  }
+  const penalized = parseFloat(grade) * (1 - parseFloat(penaltyPercent || 0) / 100);
+  return Math.round(penalized * 100) / 100;
+};
+
+// Validate late policy fields from a request body, falling back to the current values.
+// Returns { value } with the columns to store, or { error }.
+const parseLatePolicy = (body, current = {}) => {
+  const pick = (field, fallback) => (body[field] !== undefined ? body[field] : (current[field] !== undefined ? current[field] : fallback));
+
+  const latePolicy = pick('late_policy', 'hard_close');
+  if (!LATE_POLICIES.includes(latePolicy)) {
+    return { error: `Late policy must be one of: ${LATE_POLICIES.join(', ')}` };
+  }
+
+  const graceMinutes = parseInt(pick('grace_period_minutes', 0), 10);
+  if (isNaN(graceMinutes) || graceMinutes < 0) {
+    return { error: 'Grace period must be a non-negative number of minutes' };
+  }
+
+  const penaltyPercent = parseFloat(pick('late_penalty_percent', 0));
+  if (isNaN(penaltyPercent) || penaltyPercent < 0 || penaltyPercent > 100) {
+    return { error: 'Late penalty must be a percentage between 0 and 100' };
+  }
+  if (latePolicy === 'penalty' && penaltyPercent === 0) {
+    return { error: 'Late penalty percentage is required for the penalty policy' };
+  }
+
+  const cutoffValue = pick('late_cutoff', null);
+  let lateCutoff = null;
+  if (cutoffValue) {
+    lateCutoff = new Date(cutoffValue);
+    if (isNaN(lateCutoff.getTime())) {
+      return { error: 'Late cutoff must be a valid date' };
+    }
+    const deadline = body.deadline || current.deadline;
+    if (deadline && lateCutoff < new Date(deadline)) {
+      return { error: 'Late cutoff must be after the deadline' };
+    }
+  }
+
+  return {
+    value: {
+      late_policy: latePolicy,
+      grace_period_minutes: graceMinutes,
+      late_penalty_percent: penaltyPercent,
+      late_cutoff: lateCutoff
+    }
+  };
+};
+
+module.exports = {
+  LATE_POLICIES,
+  evaluateLateness,
+  closingTime,
+  stillOpenSql,
+  applyPenalty,
+  parseLatePolicy
+};
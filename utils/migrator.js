@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('../db');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Migration files are named <version>_<name>.<up|down>.sql, e.g. 002_create_grades_table.up.sql
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Shared advisory lock key so concurrent cold starts never run migrations twice
+const MIGRATION_LOCK_KEY = 4815162342;
+
+// Hash the up script with normalized line endings so checkouts on Windows keep the same checksum
+const checksum = (sql) => crypto
+  .createHash('sha256')
+  .update(sql.replace(/\r\n/g, '\n'))
+  .digest('hex');
+
+// Human readable identifier matching the file name prefix, e.g. 002_create_grades_table
+const migrationLabel = ({ version, name }) => `${String(version).padStart(3, '0')}_${name}`;
+
+// Read the migrations directory and return migrations sorted by version
+const loadMigrations = () => {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) {
+      continue;
+    }
+
+    const [, versionText, name, direction] = match;
+    const version = parseInt(versionText, 10);
+    const migration = migrations.get(version) || { version, name };
+
+    if (migration.name !== name) {
+      throw new Error(`Migration version ${version} is used by both "${migration.name}" and "${name}"`);
+    }
+
+    migration[direction] = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    migrations.set(version, migration);
+  }
+
+  return [...migrations.values()]
+    .map(migration => {
+      if (migration.up === undefined || migration.down === undefined) {
+        throw new Error(`Migration ${migrationLabel(migration)} needs both an up and a down script`);
+      }
+      return { ...migration, checksum: checksum(migration.up) };
+    })
+    .sort((a, b) => a.version - b.version);
+};
+
+// Run fn with a dedicated client while holding the migration lock
+const withMigrationLock = async (fn) => {
+  const client = await db.pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+};
+
+const getAppliedMigrations = async (client) => {
+  const result = await client.query('SELECT * FROM schema_migrations ORDER BY version ASC');
+  return result.rows;
+};
+
+// Refuse to continue if an applied migration was edited or deleted after it ran
+const verifyApplied = (migrations, applied) => {
+  for (const row of applied) {
+    const migration = migrations.find(m => m.version === row.version);
+
+    if (!migration) {
+      throw new Error(`Applied migration ${migrationLabel(row)} is missing from ${MIGRATIONS_DIR}`);
+    }
+
+    if (migration.checksum !== row.checksum) {
+      throw new Error(`Checksum mismatch for migration ${migrationLabel(row)}; applied migrations must not be edited`);
+    }
+  }
+};
+
+// Run a single migration script and record the result inside one transaction
+const runInTransaction = async (client, sql, record) => {
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+    await record();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+// Apply every pending migration, optionally stopping at a target version
+const migrate = async ({ to, log = console.log } = {}) => {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+    verifyApplied(migrations, applied);
+
+    const appliedVersions = new Set(applied.map(row => row.version));
+    const pending = migrations.filter(m =>
+      !appliedVersions.has(m.version) && (to === undefined || m.version <= to)
+    );
+
+    for (const migration of pending) {
+      log(`Applying migration ${migrationLabel(migration)}`);
+      await runInTransaction(client, migration.up, () => client.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, migration.checksum]
+      ));
+    }
+
+    return pending.map(({ version, name }) => ({ version, name }));
+  });
+};
+
+// Revert applied migrations, newest first, either down to a target version or by step count
+const rollback = async ({ to, steps = 1, log = console.log } = {}) => {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+    verifyApplied(migrations, applied);
+
+    const newestFirst = [...applied].reverse();
+    const toRevert = to !== undefined
+      ? newestFirst.filter(row => row.version > to)
+      : newestFirst.slice(0, steps);
+
+    for (const row of toRevert) {
+      const migration = migrations.find(m => m.version === row.version);
+      log(`Reverting migration ${migrationLabel(migration)}`);
+      await runInTransaction(client, migration.down, () => client.query(
+        'DELETE FROM schema_migrations WHERE version = $1',
+        [migration.version]
+      ));
+    }
+
+    return toRevert.map(({ version, name }) => ({ version, name }));
+  });
+};
+
+// List every known migration with whether and when it was applied
+const status = async () => {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+
+    return migrations.map(migration => {
+      const row = applied.find(r => r.version === migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        applied: Boolean(row),
+        applied_at: row ? row.applied_at : null,
+        checksum_ok: row ? row.checksum === migration.checksum : null
+      };
+    });
+  });
+};
+
+module.exports = {
+  migrate,
+  rollback,
+  status,
+  loadMigrations,
+  migrationLabel
+};
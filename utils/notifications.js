@@ -0,0 +1,208 @@
+const db = require('../db');
+const { events, emitEvent } = require('./events');
+const { enqueueMail } = require('./jobQueue');
+const { STAFF_ROLES } = require('../middleware/classRole');
+const { sendMail } = require('../config/mail');
+const { escapeHtml } = require('./html');
+
+// Every event in utils/events.js that users hear about is a notification type of the same name;
+// deadline.reminder comes from the reminder scheduler (utils/reminders.js)
+const NOTIFICATION_TYPES = [
+  'news.posted',
+  'assignment.created',
+  'grade.released',
+  'regrade.requested',
+  'regrade.decided',
+  'comment.created',
+  'deadline.reminder'
+];
+
+// Frontend base URL used for links in emails
+const APP_URL = process.env.APP_URL || 'https://digilearn-fe.vercel.app';
+
+const EXCERPT_LENGTH = 200;
+
+const excerpt = (text) => {
+  const value = String(text || '').trim();
+  return value.length > EXCERPT_LENGTH ? `${value.slice(0, EXCERPT_LENGTH - 1)}…` : value;
+};
+
+// Preferences of a user for every type, with the defaults for types they never changed
+const getPreferences = async (userId) => {
+  const result = await db.query(
+    'SELECT type, in_app, email FROM notification_preferences WHERE user_id = $1',
+    [userId]
+  );
+  const saved = new Map(result.rows.map(row => [row.type, row]));
+
+  return NOTIFICATION_TYPES.map(type => saved.get(type) || { type, in_app: true, email: false });
+};
+
+// Validate preference changes from a request body: [{ type, in_app, email }].
+// Returns { value } or { error }.
+const parsePreferences = (preferences) => {
+  if (!Array.isArray(preferences) || preferences.length === 0) {
+    return { error: 'At least one preference is required' };
+  }
+
+  for (const preference of preferences) {
+    if (!preference || !NOTIFICATION_TYPES.includes(preference.type)) {
+      return { error: `Type must be one of: ${NOTIFICATION_TYPES.join(', ')}` };
+    }
+    for (const channel of ['in_app', 'email']) {
+      if (preference[channel] !== undefined && typeof preference[channel] !== 'boolean') {
+        return { error: `${channel} must be true or false` };
+      }
+    }
+  }
+
+  return { value: preferences };
+};
+
+// Notify users of something. Users who switched the type off in the app get no row,
+// and those who switched email on are also emailed (in the background).
+// Returns the notifications created.
+const notify = async (userIds, { type, title, body = null, data = {} }) => {
+  const ids = [...new Set(userIds.map(id => parseInt(id, 10)).filter(id => !isNaN(id)))];
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const recipientsResult = await db.query(`
+    SELECT u.id, u.username, u.email, COALESCE(p.in_app, true) as in_app, COALESCE(p.email, false) as by_email
+    FROM users u
+    LEFT JOIN notification_preferences p ON p.user_id = u.id AND p.type = $2
+    WHERE u.id = ANY($1::int[])
+  `, [ids, type]);
+
+  const inAppIds = recipientsResult.rows.filter(row => row.in_app).map(row => row.id);
+  let created = [];
+  if (inAppIds.length > 0) {
+    const result = await db.query(`
+      INSERT INTO notifications (user_id, type, title, body, data)
+      SELECT id, $2, $3, $4, $5 FROM unnest($1::int[]) as id
+      RETURNING *
+    `, [inAppIds, type, title, body, data]);
+    created = result.rows;
+    emitEvent('notification.created', { notifications: created });
+  }
+
+  for (const recipient of recipientsResult.rows.filter(row => row.by_email && row.email)) {
+    enqueueMail(`notification email to user ${recipient.id}`, () => sendMail({
+      to: recipient.email,
+      subject: title,
+      text: `Hi ${recipient.username},\n\n${title}${body ? `\n\n${body}` : ''}\n\n${APP_URL}/notifications\n`,
+      html: `<p>Hi ${escapeHtml(recipient.username)},</p><p><strong>${escapeHtml(title)}</strong></p>${body ? `<p>${escapeHtml(body)}</p>` : ''}<p><a href="${APP_URL}/notifications">Open Digilab-NG</a></p>`
+    }));
+  }
+
+  return created;
+};
+
+const classStaffIds = async (classId) => {
+  const result = await db.query(
+    'SELECT user_id FROM class_enrollments WHERE class_id = $1 AND role = ANY($2::text[])',
+    [classId, STAFF_ROLES]
+  );
+  return result.rows.map(row => row.user_id);
+};
+
+const withoutUser = (userIds, userId) => userIds.filter(id => id !== userId);
+
+// Who hears about what. Draft grades are not announced; students hear about their
+// grade when it is released.
+const listeners = {
+  'news.posted': async ({ news_id, title, content, class_id, posted_by }) => {
+    // Class news goes to the members of the class, general news to everybody
+    const result = class_id
+      ? await db.query('SELECT user_id as id FROM class_enrollments WHERE class_id = $1', [class_id])
+      : await db.query('SELECT id FROM users');
+
+    await notify(withoutUser(result.rows.map(row => row.id), posted_by), {
+      type: 'news.posted',
+      title: `News: ${title}`,
+      body: excerpt(content),
+      data: { news_id, class_id }
+    });
+  },
+
+  'assignment.created': async ({ assignment_id, created_by }) => {
+    const result = await db.query(`
+      SELECT a.title, a.deadline, a.class_id, c.title as class_title, e.user_id
+      FROM assignments a
+      JOIN classes c ON a.class_id = c.id
+      JOIN class_enrollments e ON e.class_id = c.id AND e.role = 'student'
+      WHERE a.id = $1 AND COALESCE(a.visibility, c.content_visibility) <> 'staff'
+    `, [assignment_id]);
+    if (result.rows.length === 0) {
+      return;
+    }
+
+    const [assignment] = result.rows;
+    await notify(withoutUser(result.rows.map(row => row.user_id), created_by), {
+      type: 'assignment.created',
+      title: `New assignment: ${assignment.title}`,
+      body: `${assignment.class_title}, due ${new Date(assignment.deadline).toUTCString()}`,
+      data: { assignment_id, class_id: assignment.class_id, deadline: assignment.deadline }
+    });
+  },
+
+  'grade.released': async ({ assignment_id, assignment_title, class_id, user_ids }) => {
+    await notify(user_ids, {
+      type: 'grade.released',
+      title: `Grade released: ${assignment_title}`,
+      body: 'Your grade and feedback are now available.',
+      data: { assignment_id, class_id }
+    });
+  },
+
+  'regrade.requested': async ({ request_id, assignment_id, assignment_title, class_id, user_id }) => {
+    const userResult = await db.query('SELECT username FROM users WHERE id = $1', [user_id]);
+
+    await notify(await classStaffIds(class_id), {
+      type: 'regrade.requested',
+      title: `Regrade requested: ${assignment_title}`,
+      body: `${userResult.rows[0]?.username || 'A student'} asked for their grade to be reviewed.`,
+      data: { request_id, assignment_id, class_id }
+    });
+  },
+
+  'regrade.decided': async ({ request_id, assignment_id, assignment_title, class_id, user_id, status, new_grade }) => {
+    await notify([user_id], {
+      type: 'regrade.decided',
+      title: `Regrade ${status}: ${assignment_title}`,
+      body: status === 'accepted' ? `Your new grade is ${new_grade}.` : 'Your grade stays the same.',
+      data: { request_id, assignment_id, class_id, status }
+    });
+  },
+
+  'comment.created': async ({ comment_id, post_id, post_user_id, user_id, username, content }) => {
+    if (!post_user_id || post_user_id === user_id) {
+      return;
+    }
+
+    await notify([post_user_id], {
+      type: 'comment.created',
+      title: `${username} commented on your post`,
+      body: excerpt(content),
+      data: { comment_id, post_id }
+    });
+  }
+};
+
+// Subscribe the notification listeners to application events (once, at startup)
+const registerNotificationListeners = () => {
+  for (const [name, listener] of Object.entries(listeners)) {
+    events.on(name, (payload) => {
+      listener(payload).catch(error => console.error(`Error creating notifications for ${name}:`, error));
+    });
+  }
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  getPreferences,
+  parsePreferences,
+  notify,
+  registerNotificationListeners
+};
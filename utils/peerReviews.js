@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+const MAX_REVIEWS_PER_SUBMITTER = 10;
+
+// Round like NUMERIC(5,2)
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+const getPeerReviewSettings = async (assignmentId, client = db) => {
+  const result = await client.query('SELECT * FROM peer_review_settings WHERE assignment_id = $1', [assignmentId]);
+  return result.rows[0] || null;
+};
+
+// Validate peer review settings from a request body, falling back to the current values.
+// Returns { value } with the columns to store, or { error }.
+const parsePeerReviewSettings = (body, current = {}) => {
+  const pick = (field, fallback) => (body[field] !== undefined ? body[field] : (current[field] !== undefined ? current[field] : fallback));
+
+  const reviewsPerSubmitter = parseInt(pick('reviews_per_submitter', 2), 10);
+  if (isNaN(reviewsPerSubmitter) || reviewsPerSubmitter < 1 || reviewsPerSubmitter > MAX_REVIEWS_PER_SUBMITTER) {
+    return { error: `Reviews per submitter must be between 1 and ${MAX_REVIEWS_PER_SUBMITTER}` };
+  }
+
+  // Without a due date reviews stay open
+  const dueValue = pick('due_at', null);
+  let dueAt = null;
+  if (dueValue) {
+    dueAt = new Date(dueValue);
+    if (isNaN(dueAt.getTime())) {
+      return { error: 'Review due date must be a valid date' };
+    }
+  }
+
+  return { value: { reviews_per_submitter: reviewsPerSubmitter, due_at: dueAt } };
+};
+
+// When no more submissions are accepted: the late cutoff if late work is taken,
+// otherwise the deadline plus grace period. Students with a later extension who
+// have not submitted by then are left out of the review round.
+const submissionsCloseAt = (assignment) => {
+  if (assignment.late_policy !== 'hard_close' && assignment.late_cutoff) {
+    return new Date(assignment.late_cutoff);
+  }
+  return new Date(new Date(assignment.deadline).getTime() + (assignment.grace_period_minutes || 0) * 60 * 1000);
+};
+
+// Hand out the reviews of an assignment once its submissions have closed. Runs at most
+// once: submitters are shuffled into a ring and each reviews the next N submissions,
+// so every submission gets the same number of reviews and nobody reviews their own.
+// Returns the settings (allocated_at is set once reviews exist), or null without peer review.
+const allocateReviews = async (assignmentId) => {
+  const settings = await getPeerReviewSettings(assignmentId);
+  if (!settings || settings.allocated_at) {
+    return settings;
+  }
+
+  const assignmentResult = await db.query(
+    'SELECT deadline, late_policy, grace_period_minutes, late_cutoff FROM assignments WHERE id = $1',
+    [assignmentId]
+  );
+  if (new Date() <= submissionsCloseAt(assignmentResult.rows[0])) {
+    return settings;
+  }
+
+  // Start a transaction
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Another request may be allocating the same assignment
+    const lockedResult = await client.query(
+      'SELECT * FROM peer_review_settings WHERE assignment_id = $1 FOR UPDATE',
+      [assignmentId]
+    );
+    const locked = lockedResult.rows[0];
+    if (!locked || locked.allocated_at) {
+      await client.query('COMMIT');
+      return locked || null;
+    }
+
+    const submissionsResult = await client.query(`
+      SELECT s.id, s.user_id, s.current_version_id
+      FROM submissions s
+      JOIN class_enrollments e ON e.user_id = s.user_id
+      JOIN assignments a ON a.id = s.assignment_id AND a.class_id = e.class_id
+      WHERE s.assignment_id = $1 AND s.current_version_id IS NOT NULL AND e.role = 'student'
+    `, [assignmentId]);
+    const ring = shuffle(submissionsResult.rows);
+    const perReviewer = Math.min(locked.reviews_per_submitter, ring.length - 1);
+
+    for (const [index, reviewer] of ring.entries()) {
+      for (let offset = 1; offset <= perReviewer; offset++) {
+        const submission = ring[(index + offset) % ring.length];
+        await client.query(`
+          INSERT INTO peer_reviews (assignment_id, submission_id, version_id, reviewer_id)
+          VALUES ($1, $2, $3, $4)
+        `, [assignmentId, submission.id, submission.current_version_id, reviewer.user_id]);
+      }
+    }
+
+    const updated = await client.query(
+      'UPDATE peer_review_settings SET allocated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+      [locked.id]
+    );
+
+    await client.query('COMMIT');
+    return updated.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Criterion scores of reviews, keyed by review id
+const getReviewScores = async (reviewIds) => {
+  const result = await db.query(`
+    SELECT ps.*, c.title as criterion_title
+    FROM peer_review_scores ps
+    JOIN rubric_criteria c ON ps.criterion_id = c.id
+    WHERE ps.review_id = ANY($1::int[])
+    ORDER BY c.order_index, c.id
+  `, [reviewIds]);
+
+  const byReview = new Map(reviewIds.map(id => [id, []]));
+  result.rows.forEach(score => byReview.get(score.review_id).push(score));
+  return byReview;
+};
+
+// Store a review with its criterion scores inside the caller's transaction.
+// rubricScore is the value returned by scoreRubric.
+const saveReview = async (client, reviewId, rubricScore, comment) => {
+  await client.query(`
+    UPDATE peer_reviews
+    SET status = 'submitted', score = $2, comment = $3, submitted_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [reviewId, rubricScore.grade, comment]);
+
+  await client.query('DELETE FROM peer_review_scores WHERE review_id = $1', [reviewId]);
+  for (const score of rubricScore.scores) {
+    await client.query(
+      'INSERT INTO peer_review_scores (review_id, criterion_id, level_id, points, comment) VALUES ($1, $2, $3, $4, $5)',
+      [reviewId, score.criterion_id, score.level_id, score.points, score.comment]
+    );
+  }
+};
+
+// Aggregate the submitted, visible reviews of a list of reviews (with their scores):
+// { review_count, average_score, criteria: [{ criterion_id, criterion_title, average_points }] }
+const aggregateReviews = (reviews, scoresByReview) => {
+  const counted = reviews.filter(review => review.status === 'submitted' && !review.is_hidden);
+  if (counted.length === 0) {
+    return { review_count: 0, average_score: null, criteria: [] };
+  }
+
+  const criteria = new Map();
+  for (const review of counted) {
+    for (const score of scoresByReview.get(review.id) || []) {
+      if (!criteria.has(score.criterion_id)) {
+        criteria.set(score.criterion_id, { criterion_id: score.criterion_id, criterion_title: score.criterion_title, total: 0, count: 0 });
+      }
+      const criterion = criteria.get(score.criterion_id);
+      criterion.total += parseFloat(score.points);
+      criterion.count++;
+    }
+  }
+
+  return {
+    review_count: counted.length,
+    average_score: round2(counted.reduce((sum, review) => sum + parseFloat(review.score), 0) / counted.length),
+    criteria: [...criteria.values()].map(({ criterion_id, criterion_title, total, count }) => ({
+      criterion_id,
+      criterion_title,
+      average_points: round2(total / count)
+    }))
+  };
+};
+
+module.exports = {
+  getPeerReviewSettings,
+  parsePeerReviewSettings,
+  submissionsCloseAt,
+  allocateReviews,
+  getReviewScores,
+  saveReview,
+  aggregateReviews
+};
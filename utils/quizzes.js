@@ -0,0 +1,506 @@
+const crypto = require('crypto');
+const db = require('../db');
+const { lockSubmission, createVersion } = require('./submissions');
+const { evaluateLateness } = require('./latePolicy');
+const { emitEvent } = require('./events');
+
+const QUESTION_TYPES = ['multiple_choice', 'multiple_answer', 'short_answer', 'numeric'];
+const SCORING_POLICIES = ['highest', 'latest'];
+const CHOICE_TYPES = ['multiple_choice', 'multiple_answer'];
+
+const MAX_QUESTIONS = 200;
+const MAX_OPTIONS = 20;
+const MAX_ANSWER_LENGTH = 1000;
+
+// Round like NUMERIC(5,2)
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Load the quiz of an assignment with its question bank, or null.
+// The quiz gets max_points, the total of all questions in the bank.
+const getQuiz = async (assignmentId, client = db) => {
+  const quizResult = await client.query('SELECT * FROM quizzes WHERE assignment_id = $1', [assignmentId]);
+  if (quizResult.rows.length === 0) {
+    return null;
+  }
+  const quiz = quizResult.rows[0];
+
+  const questionsResult = await client.query(`
+    SELECT q.*, COALESCE((
+      SELECT json_agg(o.* ORDER BY o.order_index, o.id)
+      FROM quiz_question_options o
+      WHERE o.question_id = q.id
+    ), '[]') as options
+    FROM quiz_questions q
+    WHERE q.quiz_id = $1
+    ORDER BY q.order_index, q.id
+  `, [quiz.id]);
+
+  quiz.questions = questionsResult.rows;
+  quiz.max_points = round2(quiz.questions.reduce((sum, question) => sum + parseFloat(question.points), 0));
+
+  return quiz;
+};
+
+// Validate quiz settings from a request body, falling back to the current values.
+// Returns { value } with the columns to store, or { error }.
+const parseQuizSettings = (body, current = {}) => {
+  const pick = (field, fallback) => (body[field] !== undefined ? body[field] : (current[field] !== undefined ? current[field] : fallback));
+  const flag = (field, fallback) => {
+    const value = pick(field, fallback);
+    return value === true || value === 'true';
+  };
+
+  // Empty values switch a limit off
+  const optionalCount = (field, label) => {
+    const value = pick(field, null);
+    if (value === null || value === '') {
+      return { value: null };
+    }
+    const count = parseInt(value, 10);
+    if (isNaN(count) || count < 1) {
+      return { error: `${label} must be a positive number` };
+    }
+    return { value: count };
+  };
+
+  const timeLimit = optionalCount('time_limit_minutes', 'Time limit');
+  if (timeLimit.error) {
+    return timeLimit;
+  }
+  const maxAttempts = optionalCount('max_attempts', 'Attempt limit');
+  if (maxAttempts.error) {
+    return maxAttempts;
+  }
+  const questionsPerAttempt = optionalCount('questions_per_attempt', 'Questions per attempt');
+  if (questionsPerAttempt.error) {
+    return questionsPerAttempt;
+  }
+
+  // Empty values let students start as soon as they can see the quiz
+  const opensValue = pick('opens_at', null);
+  let opensAt = null;
+  if (opensValue !== null && opensValue !== '') {
+    opensAt = new Date(opensValue);
+    if (isNaN(opensAt.getTime())) {
+      return { error: 'Opening time must be a valid date' };
+    }
+  }
+
+  const scoringPolicy = pick('scoring_policy', 'highest');
+  if (!SCORING_POLICIES.includes(scoringPolicy)) {
+    return { error: `Scoring policy must be one of: ${SCORING_POLICIES.join(', ')}` };
+  }
+
+  return {
+    value: {
+      time_limit_minutes: timeLimit.value,
+      max_attempts: maxAttempts.value,
+      shuffle_questions: flag('shuffle_questions', false),
+      questions_per_attempt: questionsPerAttempt.value,
+      scoring_policy: scoringPolicy,
+      auto_release: flag('auto_release', true),
+      opens_at: opensAt
+    }
+  };
+};
+
+// Validate a question bank from a request body:
+//   { question_type: 'multiple_choice' | 'multiple_answer', prompt, points, options: [{ text, is_correct }] }
+//   { question_type: 'short_answer', prompt, points, answers: ['accepted', ...] }
+//   { question_type: 'numeric', prompt, points, answer, tolerance }
+const parseQuestions = (questions) => {
+  if (!Array.isArray(questions) || questions.length === 0) {
+    return { error: 'A quiz needs at least one question' };
+  }
+  if (questions.length > MAX_QUESTIONS) {
+    return { error: `A quiz can have at most ${MAX_QUESTIONS} questions` };
+  }
+
+  const parsed = [];
+  for (const [index, question] of questions.entries()) {
+    const label = `Question ${index + 1}`;
+
+    if (!question || !QUESTION_TYPES.includes(question.question_type)) {
+      return { error: `${label} needs a type: ${QUESTION_TYPES.join(', ')}` };
+    }
+    if (!question.prompt) {
+      return { error: `${label} needs a prompt` };
+    }
+
+    const points = question.points === undefined ? 1 : parseFloat(question.points);
+    if (isNaN(points) || points <= 0 || points > 9999) {
+      return { error: `${label} must be worth between 0 and 9999 points` };
+    }
+
+    const result = { question_type: question.question_type, prompt: question.prompt, points, numeric_answer: null, numeric_tolerance: 0, options: [] };
+
+    if (CHOICE_TYPES.includes(question.question_type)) {
+      const options = question.options;
+      if (!Array.isArray(options) || options.length < 2 || options.length > MAX_OPTIONS) {
+        return { error: `${label} needs between 2 and ${MAX_OPTIONS} options` };
+      }
+      if (options.some(option => !option || !option.text)) {
+        return { error: `Every option of ${label.toLowerCase()} needs a text` };
+      }
+      const correctCount = options.filter(option => option.is_correct === true).length;
+      if (question.question_type === 'multiple_choice' && correctCount !== 1) {
+        return { error: `${label} needs exactly one correct option` };
+      }
+      if (correctCount === 0) {
+        return { error: `${label} needs at least one correct option` };
+      }
+      result.options = options.map(option => ({ text: String(option.text), is_correct: option.is_correct === true }));
+    } else if (question.question_type === 'short_answer') {
+      const answers = Array.isArray(question.answers) ? question.answers.filter(answer => String(answer ?? '').trim()) : [];
+      if (answers.length === 0 || answers.length > MAX_OPTIONS) {
+        return { error: `${label} needs between 1 and ${MAX_OPTIONS} accepted answers` };
+      }
+      result.options = answers.map(answer => ({ text: String(answer).trim(), is_correct: true }));
+    } else {
+      const answer = parseFloat(question.answer);
+      const tolerance = question.tolerance === undefined ? 0 : parseFloat(question.tolerance);
+      if (!isFinite(answer)) {
+        return { error: `${label} needs a numeric answer` };
+      }
+      if (!isFinite(tolerance) || tolerance < 0) {
+        return { error: `${label} needs a non-negative tolerance` };
+      }
+      result.numeric_answer = answer;
+      result.numeric_tolerance = tolerance;
+    }
+
+    parsed.push(result);
+  }
+
+  return { value: parsed };
+};
+
+// Create or update the quiz of an assignment inside the caller's transaction.
+// questions replaces the whole bank when given.
+const saveQuiz = async (client, assignmentId, settings, questions, userId) => {
+  const quizResult = await client.query(`
+    INSERT INTO quizzes (assignment_id, time_limit_minutes, max_attempts, shuffle_questions,
+      questions_per_attempt, scoring_policy, auto_release, opens_at, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    ON CONFLICT (assignment_id) DO UPDATE
+    SET time_limit_minutes = EXCLUDED.time_limit_minutes, max_attempts = EXCLUDED.max_attempts,
+        shuffle_questions = EXCLUDED.shuffle_questions, questions_per_attempt = EXCLUDED.questions_per_attempt,
+        scoring_policy = EXCLUDED.scoring_policy, auto_release = EXCLUDED.auto_release,
+        opens_at = EXCLUDED.opens_at, updated_at = CURRENT_TIMESTAMP
+    RETURNING id
+  `, [
+    assignmentId, settings.time_limit_minutes, settings.max_attempts, settings.shuffle_questions,
+    settings.questions_per_attempt, settings.scoring_policy, settings.auto_release, settings.opens_at, userId
+  ]);
+  const quizId = quizResult.rows[0].id;
+
+  if (!questions) {
+    return;
+  }
+
+  await client.query('DELETE FROM quiz_questions WHERE quiz_id = $1', [quizId]);
+
+  for (const [questionIndex, question] of questions.entries()) {
+    const questionResult = await client.query(`
+      INSERT INTO quiz_questions (quiz_id, question_type, prompt, points, numeric_answer, numeric_tolerance, order_index)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id
+    `, [quizId, question.question_type, question.prompt, question.points, question.numeric_answer, question.numeric_tolerance, questionIndex]);
+
+    for (const [optionIndex, option] of question.options.entries()) {
+      await client.query(
+        'INSERT INTO quiz_question_options (question_id, text, is_correct, order_index) VALUES ($1, $2, $3, $4)',
+        [questionResult.rows[0].id, option.text, option.is_correct, optionIndex]
+      );
+    }
+  }
+};
+
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Pick the question ids of a new attempt: a random subset when questions_per_attempt
+// is set, shown in bank order unless the quiz shuffles questions
+const drawQuestions = (quiz) => {
+  let ids = quiz.questions.map(question => question.id);
+
+  if (quiz.questions_per_attempt && quiz.questions_per_attempt < ids.length) {
+    const drawn = new Set(shuffle(ids).slice(0, quiz.questions_per_attempt));
+    ids = ids.filter(id => drawn.has(id));
+  }
+
+  return quiz.shuffle_questions ? shuffle(ids) : ids;
+};
+
+// A question as students see it while answering: no correct answers
+const toStudentQuestion = (question) => ({
+  id: question.id,
+  question_type: question.question_type,
+  prompt: question.prompt,
+  points: question.points,
+  options: CHOICE_TYPES.includes(question.question_type)
+    ? question.options.map(option => ({ id: option.id, text: option.text }))
+    : []
+});
+
+// Validate an answer to a question. null clears the answer.
+//   multiple_choice: option id, multiple_answer: [option ids], short_answer: text, numeric: number
+const parseAnswer = (question, answer) => {
+  if (answer === null || answer === undefined || answer === '') {
+    return { value: null };
+  }
+
+  const optionIds = new Set(question.options.map(option => option.id));
+
+  switch (question.question_type) {
+    case 'multiple_choice': {
+      const optionId = parseInt(answer, 10);
+      if (!optionIds.has(optionId)) {
+        return { error: 'Answer must be one of the question\'s options' };
+      }
+      return { value: optionId };
+    }
+    case 'multiple_answer': {
+      if (!Array.isArray(answer)) {
+        return { error: 'Answer must be a list of options' };
+      }
+      const selected = [...new Set(answer.map(id => parseInt(id, 10)))];
+      if (selected.some(id => !optionIds.has(id))) {
+        return { error: 'Answer must only contain the question\'s options' };
+      }
+      return { value: selected.sort((a, b) => a - b) };
+    }
+    case 'short_answer': {
+      const text = String(answer);
+      if (text.length > MAX_ANSWER_LENGTH) {
+        return { error: `Answer can be at most ${MAX_ANSWER_LENGTH} characters` };
+      }
+      return { value: text };
+    }
+    default: {
+      const number = Number(answer);
+      if (!isFinite(number)) {
+        return { error: 'Answer must be a number' };
+      }
+      return { value: number };
+    }
+  }
+};
+
+const normalizeText = (text) => String(text).trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Whether a stored answer is correct. Multiple answer questions need exactly the
+// correct options; short answers compare case- and whitespace-insensitively.
+const isCorrectAnswer = (question, answer) => {
+  if (answer === null || answer === undefined) {
+    return false;
+  }
+
+  const correctIds = question.options.filter(option => option.is_correct).map(option => option.id);
+
+  switch (question.question_type) {
+    case 'multiple_choice':
+      return correctIds.includes(answer);
+    case 'multiple_answer':
+      return answer.length === correctIds.length && correctIds.every(id => answer.includes(id));
+    case 'short_answer':
+      return question.options.some(option => normalizeText(option.text) === normalizeText(answer));
+    default:
+      return Math.abs(answer - parseFloat(question.numeric_answer)) <= parseFloat(question.numeric_tolerance);
+  }
+};
+
+// Score the saved answers of an attempt and close it, inside the caller's transaction.
+// Unanswered questions get an empty answer row so results list every question, and an
+// attempt that ran out counts as submitted when it ran out.
+const gradeAttempt = async (client, quiz, attempt) => {
+  const questions = new Map(quiz.questions.map(question => [question.id, question]));
+  const answersResult = await client.query(
+    'SELECT question_id, answer FROM quiz_attempt_answers WHERE attempt_id = $1',
+    [attempt.id]
+  );
+  const answers = new Map(answersResult.rows.map(row => [row.question_id, row.answer]));
+
+  let score = 0;
+  let maxScore = 0;
+  for (const questionId of attempt.question_ids) {
+    const question = questions.get(questionId);
+    const answer = answers.has(questionId) ? answers.get(questionId) : null;
+    const correct = isCorrectAnswer(question, answer);
+    const points = correct ? parseFloat(question.points) : 0;
+
+    score += points;
+    maxScore += parseFloat(question.points);
+
+    await client.query(`
+      INSERT INTO quiz_attempt_answers (attempt_id, question_id, answer, is_correct, points)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (attempt_id, question_id) DO UPDATE
+      SET is_correct = EXCLUDED.is_correct, points = EXCLUDED.points
+    `, [attempt.id, questionId, answer === null ? null : JSON.stringify(answer), correct, points]);
+  }
+
+  const result = await client.query(`
+    UPDATE quiz_attempts
+    SET submitted_at = LEAST(CURRENT_TIMESTAMP, expires_at), score = $2, max_score = $3, grade = $4
+    WHERE id = $1
+    RETURNING *
+  `, [attempt.id, round2(score), round2(maxScore), maxScore > 0 ? round2((score / maxScore) * 100) : 0]);
+
+  return result.rows[0];
+};
+
+// Store a graded attempt as a submission version and write the kept score (best or
+// latest attempt, per the quiz's scoring policy) into grades, inside the caller's
+// transaction. A grade staff set by hand (grading or an accepted regrade) is left alone,
+// and a released grade stays released. Returns the grade row, or null when it was left alone.
+const recordQuizGrade = async (client, assignment, quiz, attempt) => {
+  const submission = await lockSubmission(client, assignment.id, attempt.user_id);
+
+  // Lateness counts from when the attempt was submitted (or ran out)
+  const extensionResult = await client.query(
+    'SELECT * FROM assignment_extensions WHERE assignment_id = $1 AND user_id = $2',
+    [assignment.id, attempt.user_id]
+  );
+  const lateness = evaluateLateness(assignment, extensionResult.rows[0] || null, new Date(attempt.submitted_at));
+
+  const version = await createVersion(client, submission, {
+    content: `Quiz attempt ${attempt.attempt_number}: ${attempt.score} / ${attempt.max_score} points`,
+    userId: attempt.user_id,
+    lateness
+  });
+  await client.query('UPDATE quiz_attempts SET version_id = $1 WHERE id = $2', [version.id, attempt.id]);
+
+  const keptResult = await client.query(`
+    SELECT * FROM quiz_attempts
+    WHERE quiz_id = $1 AND user_id = $2 AND submitted_at IS NOT NULL
+    ORDER BY ${quiz.scoring_policy === 'latest' ? 'attempt_number DESC' : 'grade DESC, attempt_number DESC'}
+    LIMIT 1
+  `, [quiz.id, attempt.user_id]);
+  const kept = keptResult.rows[0];
+
+  const gradeResult = await client.query(`
+    INSERT INTO grades (submission_id, version_id, grade, feedback, graded_by, released_at)
+    VALUES ($1, $2, $3, $4, NULL, CASE WHEN $5::boolean THEN CURRENT_TIMESTAMP END)
+    ON CONFLICT (submission_id) DO UPDATE
+    SET grade = EXCLUDED.grade, feedback = EXCLUDED.feedback, version_id = EXCLUDED.version_id,
+        graded_at = CURRENT_TIMESTAMP, released_at = COALESCE(grades.released_at, EXCLUDED.released_at)
+    WHERE grades.graded_by IS NULL
+    RETURNING *
+  `, [
+    submission.id, kept.version_id || version.id, kept.grade,
+    `Auto-graded quiz attempt ${kept.attempt_number}: ${kept.score} / ${kept.max_score} points`,
+    quiz.auto_release
+  ]);
+
+  return gradeResult.rows[0] || null;
+};
+
+const isExpired = (attempt) => !attempt.submitted_at && attempt.expires_at && new Date(attempt.expires_at) <= new Date();
+
+// Grade an attempt and record the kept score as the student's grade.
+// Attempts that were already submitted are returned as they are.
+const finishAttempt = async (assignment, quiz, attemptId) => {
+  const client = await db.pool.connect();
+  let attempt;
+  let grade = null;
+  try {
+    await client.query('BEGIN');
+
+    const lockedResult = await client.query('SELECT * FROM quiz_attempts WHERE id = $1 FOR UPDATE', [attemptId]);
+    attempt = lockedResult.rows[0];
+
+    if (!attempt.submitted_at) {
+      attempt = await gradeAttempt(client, quiz, attempt);
+      grade = await recordQuizGrade(client, assignment, quiz, attempt);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // Auto-released scores are announced; a grade staff already released changes quietly
+  if (grade && quiz.auto_release) {
+    emitEvent('grade.released', {
+      assignment_id: assignment.id,
+      assignment_title: assignment.title,
+      class_id: assignment.class_id,
+      user_ids: [attempt.user_id],
+      released_by: null,
+      released_at: grade.released_at
+    });
+  }
+
+  return attempt;
+};
+
+// Grade the open attempts whose time ran out, of one assignment or class or (with no
+// filter) everywhere, so students who never came back to an attempt still get a grade
+const finishExpiredAttempts = async ({ assignmentId = null, classId = null } = {}) => {
+  const result = await db.query(`
+    SELECT qa.id, q.assignment_id
+    FROM quiz_attempts qa
+    JOIN quizzes q ON qa.quiz_id = q.id
+    JOIN assignments a ON q.assignment_id = a.id
+    WHERE qa.submitted_at IS NULL AND qa.expires_at <= CURRENT_TIMESTAMP
+      AND ($1::int IS NULL OR a.id = $1) AND ($2::int IS NULL OR a.class_id = $2)
+    ORDER BY qa.id
+  `, [assignmentId, classId]);
+
+  const loaded = new Map();
+  for (const row of result.rows) {
+    if (!loaded.has(row.assignment_id)) {
+      const assignmentResult = await db.query('SELECT * FROM assignments WHERE id = $1', [row.assignment_id]);
+      loaded.set(row.assignment_id, { assignment: assignmentResult.rows[0], quiz: await getQuiz(row.assignment_id) });
+    }
+    const { assignment, quiz } = loaded.get(row.assignment_id);
+    await finishAttempt(assignment, quiz, row.id);
+  }
+
+  return result.rows.length;
+};
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+let sweepTimer = null;
+
+// Grade expired attempts every minute. finishAttempt locks each attempt, so several
+// instances sweeping at once grade it only once.
+const startAttemptSweeper = () => {
+  if (sweepTimer) {
+    return;
+  }
+  const sweep = () => finishExpiredAttempts().catch(error => console.error('Error grading expired quiz attempts:', error));
+  sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+  sweep();
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  SCORING_POLICIES,
+  getQuiz,
+  parseQuizSettings,
+  parseQuestions,
+  saveQuiz,
+  drawQuestions,
+  toStudentQuestion,
+  parseAnswer,
+  isCorrectAnswer,
+  gradeAttempt,
+  recordQuizGrade,
+  isExpired,
+  finishAttempt,
+  finishExpiredAttempts,
+  startAttemptSweeper
+};
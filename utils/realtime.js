@@ -0,0 +1,86 @@
+const { redisClient } = require('../config/redis');
+const { events } = require('./events');
+
+// Every instance publishes pushes to one Redis channel and delivers what it receives
+// to the streams connected to it, so a push reaches users on any instance.
+const CHANNEL = 'realtime';
+
+const TOPICS = ['posts', 'comments', 'news', 'notifications'];
+
+// Streams open in this instance
+const streams = new Set();
+
+// Deliver a push to the matching streams of this instance
+const deliver = (message) => {
+  let push;
+  try {
+    push = JSON.parse(message);
+  } catch (error) {
+    console.error('Invalid realtime message:', error);
+    return;
+  }
+
+  for (const stream of streams) {
+    if (!stream.topics.includes(push.topic)) {
+      continue;
+    }
+    // Per-user pushes only reach the users they have data for
+    const data = push.data_by_user ? push.data_by_user[stream.userId] : push.data;
+    if (data === undefined) {
+      continue;
+    }
+    stream.send(push.event, data);
+  }
+};
+
+// Push an event to the streams subscribed to its topic. Pass data_by_user ({ [userId]: data })
+// instead of data to push something different to each user, and nothing to anyone else.
+const publish = async (topic, event, { data, data_by_user }) => {
+  try {
+    await redisClient.publish(CHANNEL, JSON.stringify({ topic, event, data, data_by_user }));
+  } catch (error) {
+    console.error(`Error publishing ${event}:`, error);
+  }
+};
+
+// Start receiving pushes from other instances (and this one). Subscribing needs a
+// connection of its own.
+const startRealtime = async () => {
+  const subscriber = redisClient.duplicate();
+  subscriber.on('error', (err) => {
+    console.error('Redis subscriber error:', err);
+  });
+  await subscriber.connect();
+  await subscriber.subscribe(CHANNEL, deliver);
+};
+
+// Keep track of an open stream; returns a function that forgets it
+const addStream = (stream) => {
+  streams.add(stream);
+  return () => streams.delete(stream);
+};
+
+const countStreams = (userId) => [...streams].filter(stream => stream.userId === userId).length;
+
+// Which application events are pushed, and to whom. Posts, comments and news are
+// visible to every signed-in user; notifications only to their recipient.
+const registerRealtimeListeners = () => {
+  events.on('post.created', (post) => publish('posts', 'post.created', { data: post }));
+  events.on('comment.created', (comment) => publish('comments', 'comment.created', { data: comment }));
+  events.on('news.posted', (news) => publish('news', 'news.posted', { data: news }));
+  events.on('notification.created', ({ notifications }) => {
+    const byUser = {};
+    for (const notification of notifications) {
+      byUser[notification.user_id] = notification;
+    }
+    publish('notifications', 'notification.created', { data_by_user: byUser });
+  });
+};
+
+module.exports = {
+  TOPICS,
+  startRealtime,
+  addStream,
+  countStreams,
+  registerRealtimeListeners
+};
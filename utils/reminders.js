@@ -0,0 +1,143 @@
+const db = require('../db');
+const { notify } = require('./notifications');
+
+const DEFAULT_REMINDER_OFFSETS = '24h,1h';
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+const UNIT_MINUTES = { m: 1, h: 60, d: 24 * 60 };
+
+// Parse reminder offsets into minutes, largest first; invalid entries are skipped
+const parseOffsets = (value) => {
+  const offsets = new Set();
+  for (const part of String(value).split(',')) {
+    const match = /^(\d+)\s*([mhd])$/i.exec(part.trim());
+    if (!match) {
+      if (part.trim()) {
+        console.error(`Ignoring invalid deadline reminder offset "${part.trim()}"`);
+      }
+      continue;
+    }
+    const minutes = parseInt(match[1], 10) * UNIT_MINUTES[match[2].toLowerCase()];
+    if (minutes > 0) {
+      offsets.add(minutes);
+    }
+  }
+  return [...offsets].sort((a, b) => b - a);
+};
+
+// How long before a deadline students without a submission are reminded:
+// DEADLINE_REMINDER_OFFSETS, e.g. "24h,1h" (units m, h, d). Empty turns reminders off.
+const configuredOffsets = () => parseOffsets(process.env.DEADLINE_REMINDER_OFFSETS ?? DEFAULT_REMINDER_OFFSETS);
+
+// "2 days", "3 hours", "45 minutes"
+const formatRemaining = (ms) => {
+  const minutes = Math.max(1, Math.round(ms / 60000));
+  const plural = (amount, unit) => `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+
+  if (minutes >= UNIT_MINUTES.d) {
+    return plural(Math.round(minutes / UNIT_MINUTES.d), 'day');
+  }
+  if (minutes >= UNIT_MINUTES.h) {
+    return plural(Math.round(minutes / UNIT_MINUTES.h), 'hour');
+  }
+  return plural(minutes, 'minute');
+};
+
+// Record and send the reminders of one offset. A reminder is due once the deadline is
+// closer than the offset, until the next smaller offset takes over, so a scheduler that
+// was down skips stale reminders instead of sending them all at once.
+const sendRemindersFor = async (offsetMinutes, nextOffsetMinutes) => {
+  const result = await db.query(`
+    WITH due AS (
+      SELECT a.id as assignment_id, e.user_id, COALESCE(x.deadline, a.deadline) as deadline
+      FROM assignments a
+      JOIN classes c ON a.class_id = c.id
+      JOIN class_enrollments e ON e.class_id = a.class_id AND e.role = 'student'
+      LEFT JOIN assignment_extensions x ON x.assignment_id = a.id AND x.user_id = e.user_id
+      WHERE COALESCE(a.visibility, c.content_visibility) <> 'staff'
+        AND COALESCE(x.deadline, a.deadline) > NOW()
+        AND COALESCE(x.deadline, a.deadline) <= NOW() + make_interval(mins => $1)
+        AND ($2::int IS NULL OR COALESCE(x.deadline, a.deadline) > NOW() + make_interval(mins => $2::int))
+        AND NOT EXISTS (
+          SELECT 1 FROM submission_members sm WHERE sm.assignment_id = a.id AND sm.user_id = e.user_id
+        )
+    ),
+    recorded AS (
+      INSERT INTO reminder_deliveries (assignment_id, user_id, offset_minutes, deadline)
+      SELECT assignment_id, user_id, $1, deadline FROM due
+      ON CONFLICT (assignment_id, user_id, offset_minutes, deadline) DO NOTHING
+      RETURNING assignment_id, user_id, deadline
+    )
+    SELECT r.assignment_id, r.user_id, r.deadline, a.title, a.class_id, c.title as class_title
+    FROM recorded r
+    JOIN assignments a ON r.assignment_id = a.id
+    JOIN classes c ON a.class_id = c.id
+  `, [offsetMinutes, nextOffsetMinutes]);
+
+  // Students with an extension have their own deadline
+  const batches = new Map();
+  for (const row of result.rows) {
+    const key = `${row.assignment_id}:${new Date(row.deadline).getTime()}`;
+    if (!batches.has(key)) {
+      batches.set(key, { ...row, user_ids: [] });
+    }
+    batches.get(key).user_ids.push(row.user_id);
+  }
+
+  for (const batch of batches.values()) {
+    const deadline = new Date(batch.deadline);
+    await notify(batch.user_ids, {
+      type: 'deadline.reminder',
+      title: `Reminder: ${batch.title} is due in ${formatRemaining(deadline.getTime() - Date.now())}`,
+      body: `${batch.class_title}, due ${deadline.toUTCString()}. You have not submitted yet.`,
+      data: { assignment_id: batch.assignment_id, class_id: batch.class_id, deadline: batch.deadline }
+    });
+  }
+
+  return result.rows.length;
+};
+
+// Send every reminder that is due now; returns how many were sent
+const runDueReminders = async () => {
+  const offsets = configuredOffsets();
+  let sent = 0;
+  for (const [index, offset] of offsets.entries()) {
+    sent += await sendRemindersFor(offset, offsets[index + 1] ?? null);
+  }
+  return sent;
+};
+
+let timer = null;
+let running = false;
+
+const checkReminders = async () => {
+  if (running) {
+    return;
+  }
+  running = true;
+  try {
+    await runDueReminders();
+  } catch (error) {
+    console.error('Error sending deadline reminders:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Check for due reminders every minute. What was sent lives in the database, so a
+// restarted (or second) instance carries on without repeating reminders.
+const startReminderScheduler = () => {
+  if (timer || configuredOffsets().length === 0) {
+    return;
+  }
+  timer = setInterval(checkReminders, CHECK_INTERVAL_MS);
+  timer.unref();
+  checkReminders();
+};
+
+module.exports = {
+  parseOffsets,
+  runDueReminders,
+  startReminderScheduler
+};
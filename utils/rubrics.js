@@ -0,0 +1,200 @@
+const db = require('../db');
+
+const MAX_CRITERIA = 50;
+const MAX_LEVELS = 10;
+
+// Load the rubric of an assignment with its criteria and levels, or null.
+// Every criterion gets max_points (its highest level) and the rubric gets the total.
+const getRubric = async (assignmentId, client = db) => {
+  const rubricResult = await client.query('SELECT * FROM rubrics WHERE assignment_id = $1', [assignmentId]);
+  if (rubricResult.rows.length === 0) {
+    return null;
+  }
+  const rubric = rubricResult.rows[0];
+
+  const criteriaResult = await client.query(`
+    SELECT c.*, COALESCE((
+      SELECT json_agg(l.* ORDER BY l.order_index, l.points DESC)
+      FROM rubric_levels l
+      WHERE l.criterion_id = c.id
+    ), '[]') as levels
+    FROM rubric_criteria c
+    WHERE c.rubric_id = $1
+    ORDER BY c.order_index, c.id
+  `, [rubric.id]);
+
+  rubric.criteria = criteriaResult.rows.map(criterion => ({
+    ...criterion,
+    max_points: Math.max(0, ...criterion.levels.map(level => parseFloat(level.points)))
+  }));
+  rubric.max_points = rubric.criteria.reduce((sum, criterion) => sum + criterion.max_points, 0);
+
+  return rubric;
+};
+
+// Validate a rubric from a request body:
+// { title, criteria: [{ title, description, levels: [{ title, description, points }] }] }
+const parseRubric = (body) => {
+  const { title = null, criteria } = body || {};
+
+  if (!Array.isArray(criteria) || criteria.length === 0) {
+    return { error: 'A rubric needs at least one criterion' };
+  }
+  if (criteria.length > MAX_CRITERIA) {
+    return { error: `A rubric can have at most ${MAX_CRITERIA} criteria` };
+  }
+
+  const parsed = [];
+  for (const criterion of criteria) {
+    if (!criterion || !criterion.title) {
+      return { error: 'Every criterion needs a title' };
+    }
+    if (!Array.isArray(criterion.levels) || criterion.levels.length === 0 || criterion.levels.length > MAX_LEVELS) {
+      return { error: `Criterion "${criterion.title}" needs between 1 and ${MAX_LEVELS} levels` };
+    }
+
+    const levels = [];
+    for (const level of criterion.levels) {
+      const points = parseFloat(level?.points);
+      if (!level?.title || isNaN(points) || points < 0 || points > 9999) {
+        return { error: `Every level of criterion "${criterion.title}" needs a title and points between 0 and 9999` };
+      }
+      levels.push({ title: level.title, description: level.description || null, points });
+    }
+
+    if (Math.max(...levels.map(level => level.points)) === 0) {
+      return { error: `Criterion "${criterion.title}" needs a level worth more than 0 points` };
+    }
+
+    parsed.push({ title: criterion.title, description: criterion.description || null, levels });
+  }
+
+  return { value: { title, criteria: parsed } };
+};
+
+// Replace the rubric of an assignment inside the caller's transaction
+const saveRubric = async (client, assignmentId, rubric, userId) => {
+  await client.query('DELETE FROM rubrics WHERE assignment_id = $1', [assignmentId]);
+
+  const rubricResult = await client.query(
+    'INSERT INTO rubrics (assignment_id, title, created_by) VALUES ($1, $2, $3) RETURNING id',
+    [assignmentId, rubric.title, userId]
+  );
+  const rubricId = rubricResult.rows[0].id;
+
+  for (const [criterionIndex, criterion] of rubric.criteria.entries()) {
+    const criterionResult = await client.query(
+      'INSERT INTO rubric_criteria (rubric_id, title, description, order_index) VALUES ($1, $2, $3, $4) RETURNING id',
+      [rubricId, criterion.title, criterion.description, criterionIndex]
+    );
+
+    for (const [levelIndex, level] of criterion.levels.entries()) {
+      await client.query(
+        'INSERT INTO rubric_levels (criterion_id, title, description, points, order_index) VALUES ($1, $2, $3, $4, $5)',
+        [criterionResult.rows[0].id, level.title, level.description, level.points, levelIndex]
+      );
+    }
+  }
+};
+
+// Check per-criterion scores against a rubric and compute the grade.
+// scores: [{ criterion_id, level_id?, points?, comment? }] - every criterion exactly once;
+// a level gives its points unless points are given explicitly (up to the criterion maximum).
+// Returns { value: { grade, total_points, max_points, scores } } or { error }.
+const scoreRubric = (rubric, scores) => {
+  if (!Array.isArray(scores)) {
+    return { error: 'Criteria scores must be a list' };
+  }
+
+  const byCriterion = new Map();
+  for (const score of scores) {
+    const criterionId = parseInt(score?.criterion_id, 10);
+    if (byCriterion.has(criterionId)) {
+      return { error: 'Each criterion can only be scored once' };
+    }
+    byCriterion.set(criterionId, score);
+  }
+
+  const scored = [];
+  for (const criterion of rubric.criteria) {
+    const score = byCriterion.get(criterion.id);
+    if (!score) {
+      return { error: `Criterion "${criterion.title}" has not been scored` };
+    }
+    byCriterion.delete(criterion.id);
+
+    let level = null;
+    if (score.level_id !== undefined && score.level_id !== null) {
+      level = criterion.levels.find(l => l.id === parseInt(score.level_id, 10));
+      if (!level) {
+        return { error: `Level does not belong to criterion "${criterion.title}"` };
+      }
+    }
+
+    const points = score.points !== undefined && score.points !== null
+      ? parseFloat(score.points)
+      : (level ? parseFloat(level.points) : NaN);
+    if (isNaN(points) || points < 0 || points > criterion.max_points) {
+      return { error: `Points for criterion "${criterion.title}" must be between 0 and ${criterion.max_points}` };
+    }
+
+    scored.push({ criterion_id: criterion.id, level_id: level ? level.id : null, points, comment: score.comment || null });
+  }
+
+  if (byCriterion.size > 0) {
+    return { error: 'Scores reference criteria that are not part of this rubric' };
+  }
+
+  const totalPoints = scored.reduce((sum, score) => sum + score.points, 0);
+  const grade = Math.round((totalPoints / rubric.max_points) * 10000) / 100;
+
+  return { value: { grade, total_points: totalPoints, max_points: rubric.max_points, scores: scored } };
+};
+
+// Validate the grade of a submission from a request body: { criteria } scores the
+// assignment's rubric (the grade is then the percentage of its maximum points),
+// otherwise { grade } is a plain number between 0 and 100.
+// Returns { value: { grade, rubricScore } } (rubricScore is null for a plain grade) or { error }.
+const parseGrade = async (assignmentId, { grade, criteria } = {}) => {
+  if (criteria !== undefined) {
+    const rubric = await getRubric(assignmentId);
+    if (!rubric) {
+      return { error: 'This assignment has no rubric' };
+    }
+
+    const scored = scoreRubric(rubric, criteria);
+    if (scored.error) {
+      return { error: scored.error };
+    }
+
+    return { value: { grade: scored.value.grade, rubricScore: scored.value } };
+  }
+
+  const numericGrade = parseFloat(grade);
+  if (isNaN(numericGrade) || numericGrade < 0 || numericGrade > 100) {
+    return { error: 'Grade must be a number between 0 and 100' };
+  }
+
+  return { value: { grade: numericGrade, rubricScore: null } };
+};
+
+// Replace the criterion scores of a grade inside the caller's transaction
+const saveCriterionScores = async (client, gradeId, scores) => {
+  await client.query('DELETE FROM grade_criterion_scores WHERE grade_id = $1', [gradeId]);
+
+  for (const score of scores) {
+    await client.query(
+      'INSERT INTO grade_criterion_scores (grade_id, criterion_id, level_id, points, comment) VALUES ($1, $2, $3, $4, $5)',
+      [gradeId, score.criterion_id, score.level_id, score.points, score.comment]
+    );
+  }
+};
+
+module.exports = {
+  getRubric,
+  parseRubric,
+  saveRubric,
+  scoreRubric,
+  parseGrade,
+  saveCriterionScores
+};
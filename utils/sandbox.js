@@ -0,0 +1,297 @@
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// Runs untrusted submitted programs with time, memory, file size, process and output limits.
+// Every process runs in new mount, network, PID, IPC and UTS namespaces (so it has no network
+// and cannot see or outlive anything else), as the unprivileged SANDBOX_UID/SANDBOX_GID (65534,
+// "nobody", by default; use ids no other process runs as), chrooted into an empty root that only
+// has the toolchain mounted read-only, a copy of its own directory at /box and a small /tmp
+// (both on size-limited tmpfs).
+// Setting this up needs root, or CAP_SYS_ADMIN, CAP_SYS_CHROOT, CAP_SETUID and CAP_SETGID,
+// and util-linux (unshare, setpriv, prlimit); programs are never run without it. checkSandbox
+// reports at startup when it is missing (the Dockerfile lists the container options).
+
+// addressSpaceMb: the address space limit for a memory limit. It caps memory directly for most
+// programs; V8 reserves far more address space than it uses, so Node's heap is capped with
+// --max-old-space-size and the address space only bounds what it allocates outside it (Buffers).
+// output: the file compilation leaves in /box
+const LANGUAGES = {
+  python: {
+    file: 'main.py',
+    extensions: ['.py'],
+    run: () => ['python3', 'main.py'],
+    addressSpaceMb: (memoryLimitMb) => memoryLimitMb
+  },
+  javascript: {
+    file: 'main.js',
+    extensions: ['.js'],
+    run: (memoryLimitMb) => ['node', `--max-old-space-size=${memoryLimitMb}`, 'main.js'],
+    addressSpaceMb: (memoryLimitMb) => memoryLimitMb * 2 + 1024
+  },
+  c: {
+    file: 'main.c',
+    extensions: ['.c'],
+    compile: ['gcc', '-O2', '-o', 'main', 'main.c', '-lm'],
+    output: 'main',
+    run: () => ['./main'],
+    addressSpaceMb: (memoryLimitMb) => memoryLimitMb
+  },
+  cpp: {
+    file: 'main.cpp',
+    extensions: ['.cpp', '.cc', '.cxx'],
+    compile: ['g++', '-O2', '-o', 'main', 'main.cpp'],
+    output: 'main',
+    run: () => ['./main'],
+    addressSpaceMb: (memoryLimitMb) => memoryLimitMb
+  }
+};
+
+const MAX_OUTPUT_BYTES = 64 * 1024;
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+// Per sandbox uid, and threads count too (Node alone starts about ten)
+const MAX_PROCESSES = 64;
+const COMPILE_TIME_LIMIT_MS = 20000;
+const COMPILE_MEMORY_LIMIT_MB = 1024;
+// Size and file count of /box and /tmp in the sandbox
+const TMPFS_SIZE = '64m';
+const TMPFS_FILES = 1024;
+
+const SANDBOX_UID = process.env.SANDBOX_UID || '65534';
+const SANDBOX_GID = process.env.SANDBOX_GID || '65534';
+
+// What the empty root gets from the host, read-only
+const SYSTEM_PATHS = ['/bin', '/lib', '/lib64', '/usr'];
+const DEVICES = ['null', 'zero', 'random', 'urandom'];
+
+// Build the root in the new namespaces, report on fd 3 that it is ready, then run the
+// program: sh -c SCRIPT sandbox ROOT BOX KEEP CMD ARGS... The shell stays PID 1 of the namespace
+// (PID 1 ignores SIGXCPU and SIGXFSZ), and everything left in it is killed when it exits.
+// The program works on a copy of BOX; only the regular file KEEP (if given) is copied back.
+const SETUP_SCRIPT = `set -e
+root="$1"; box="$2"; keep="$3"; shift 3
+mount -t tmpfs -o size=1m,mode=755 sandbox "$root"
+for path in ${SYSTEM_PATHS.join(' ')}; do
+  if [ -L "$path" ]; then
+    ln -s "$(readlink "$path")" "$root$path"
+  elif [ -d "$path" ]; then
+    mkdir "$root$path"
+    mount --rbind "$path" "$root$path"
+    mount -o remount,bind,ro,nosuid "$root$path"
+  fi
+done
+mkdir "$root/dev" "$root/box" "$root/tmp"
+for device in ${DEVICES.join(' ')}; do
+  touch "$root/dev/$device"
+  mount --bind "/dev/$device" "$root/dev/$device"
+done
+mount -t tmpfs -o size=${TMPFS_SIZE},nr_inodes=${TMPFS_FILES},mode=755,uid=${SANDBOX_UID},gid=${SANDBOX_GID},nosuid,nodev sandbox "$root/box"
+cp -a "$box/." "$root/box/"
+mount -t tmpfs -o size=${TMPFS_SIZE},nr_inodes=${TMPFS_FILES},mode=1777,nosuid,nodev sandbox "$root/tmp"
+mount -o remount,bind,ro "$root"
+echo ready >&3
+exec 3>&-
+set +e
+chroot "$root" /bin/sh -c 'cd /box && exec "$@"' sandbox "$@"
+status=$?
+if [ -n "$keep" ] && [ -f "$root/box/$keep" ] && [ ! -L "$root/box/$keep" ]; then
+  cp -a "$root/box/$keep" "$box/$keep"
+fi
+exit $status`;
+
+const PATH = '/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin';
+
+// Run one command on a copy of <dir>/box and collect its output; keep names a file
+// to copy back into <dir>/box afterwards.
+// Resolves { stdout, stderr, exitCode, signal, timedOut, outputExceeded, durationMs }.
+const runProcess = (command, dir, { stdin = '', timeLimitMs, addressSpaceMb, keep = '' }) => new Promise((resolve, reject) => {
+  const memoryLimit = String(addressSpaceMb * 1024 * 1024);
+  const cpuSeconds = String(Math.ceil(timeLimitMs / 1000) + 1);
+
+  const started = Date.now();
+  const child = spawn('unshare', [
+    '--mount', '--net', '--pid', '--ipc', '--uts', '--fork', '--kill-child',
+    '/bin/sh', '-c', SETUP_SCRIPT, 'sandbox', path.join(dir, 'root'), path.join(dir, 'box'), keep,
+    'setpriv', `--reuid=${SANDBOX_UID}`, `--regid=${SANDBOX_GID}`, '--clear-groups',
+    '--no-new-privs', '--inh-caps=-all', '--bounding-set=-all',
+    'prlimit', `--as=${memoryLimit}`, `--cpu=${cpuSeconds}`, `--fsize=${MAX_FILE_BYTES}`,
+    `--nproc=${MAX_PROCESSES}`, '--core=0', '--',
+    ...command
+  ], {
+    env: { PATH, HOME: '/box', TMPDIR: '/tmp', LANG: 'C.UTF-8' },
+    // Own process group, so the whole group can be killed at once; killing unshare
+    // takes the namespace with it
+    detached: true,
+    stdio: ['pipe', 'pipe', 'pipe', 'pipe']
+  });
+
+  let stdout = '';
+  let stderr = '';
+  let ready = false;
+  let timedOut = false;
+  let outputExceeded = false;
+
+  const kill = () => {
+    try {
+      process.kill(-child.pid, 'SIGKILL');
+    } catch (error) {
+      // Already gone
+    }
+  };
+
+  const timer = setTimeout(() => {
+    timedOut = true;
+    kill();
+  }, timeLimitMs);
+
+  const collect = (stream) => (chunk) => {
+    if (stream === 'stdout') {
+      stdout += chunk;
+    } else {
+      stderr += chunk;
+    }
+    if (stdout.length + stderr.length > MAX_OUTPUT_BYTES) {
+      outputExceeded = true;
+      kill();
+    }
+  };
+
+  child.stdout.setEncoding('utf8');
+  child.stderr.setEncoding('utf8');
+  child.stdout.on('data', collect('stdout'));
+  child.stderr.on('data', collect('stderr'));
+  child.stdio[3].on('data', () => {
+    ready = true;
+  });
+
+  // Programs that exit without reading their input close the pipe early
+  child.stdin.on('error', () => {});
+  child.stdin.end(stdin);
+
+  child.on('error', (error) => {
+    clearTimeout(timer);
+    reject(error);
+  });
+
+  child.on('close', (exitCode, signal) => {
+    clearTimeout(timer);
+    if (!ready) {
+      return reject(new Error(`Could not set up the sandbox: ${stderr.trim() || signal || exitCode}`));
+    }
+
+    // The shell in the namespace reports a program killed by a signal as 128 + its number
+    const signalName = signal || (exitCode > 128
+      ? Object.keys(os.constants.signals).find(name => os.constants.signals[name] === exitCode - 128) || null
+      : null);
+    resolve({
+      stdout: stdout.slice(0, MAX_OUTPUT_BYTES),
+      stderr: stderr.slice(0, MAX_OUTPUT_BYTES),
+      exitCode: signalName ? null : exitCode,
+      signal: signalName,
+      timedOut,
+      outputExceeded,
+      durationMs: Date.now() - started
+    });
+  });
+});
+
+const cleanupProgram = (dir) => fs.rm(dir, { recursive: true, force: true });
+
+// A fresh directory with an empty box (owned by the sandbox user) and a root mount point
+const createProgramDir = async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'autograde-'));
+  await fs.mkdir(path.join(dir, 'box'));
+  await fs.mkdir(path.join(dir, 'root'));
+  await fs.chown(path.join(dir, 'box'), parseInt(SANDBOX_UID, 10), parseInt(SANDBOX_GID, 10));
+  return dir;
+};
+
+// Write the source into a fresh directory and compile it if the language needs that.
+// Returns { dir, compileError } - the caller removes dir with cleanupProgram.
+const prepareProgram = async (language, source) => {
+  const config = LANGUAGES[language];
+  const dir = await createProgramDir();
+
+  try {
+    // The program's files belong to the sandbox user
+    const box = path.join(dir, 'box');
+    await fs.writeFile(path.join(box, config.file), source);
+    await fs.chown(path.join(box, config.file), parseInt(SANDBOX_UID, 10), parseInt(SANDBOX_GID, 10));
+
+    if (config.compile) {
+      const result = await runProcess(config.compile, dir, {
+        timeLimitMs: COMPILE_TIME_LIMIT_MS,
+        addressSpaceMb: config.addressSpaceMb(COMPILE_MEMORY_LIMIT_MB),
+        keep: config.output
+      });
+      if (result.exitCode !== 0) {
+        return { dir, compileError: result.timedOut ? 'Compilation timed out' : result.stderr };
+      }
+    }
+  } catch (error) {
+    await cleanupProgram(dir);
+    throw error;
+  }
+
+  return { dir, compileError: null };
+};
+
+// Run a trivial command in the sandbox, so a server that cannot set it up (missing
+// privileges or tools) says so at startup rather than on every autograde run
+const checkSandbox = async () => {
+  const dir = await createProgramDir();
+  try {
+    const result = await runProcess(['true'], dir, { timeLimitMs: 10000, addressSpaceMb: 256 });
+    if (result.exitCode !== 0) {
+      throw new Error(`Could not run a program in the sandbox: ${result.stderr.trim() || result.signal || result.exitCode}`);
+    }
+  } finally {
+    await cleanupProgram(dir);
+  }
+};
+
+
+// Run a prepared program on one input. Resolves the raw process result plus a status:
+// 'ok', 'time_limit', 'memory_limit', 'output_limit' or 'runtime_error'.
+const runProgram = async (language, dir, stdin, { timeLimitMs, memoryLimitMb }) => {
+  const config = LANGUAGES[language];
+  const result = await runProcess(config.run(memoryLimitMb), dir, {
+    stdin,
+    timeLimitMs,
+    addressSpaceMb: config.addressSpaceMb(memoryLimitMb)
+  });
+
+  let status = 'ok';
+  if (result.timedOut || result.signal === 'SIGXCPU') {
+    status = 'time_limit';
+  } else if (result.outputExceeded || result.signal === 'SIGXFSZ') {
+    status = 'output_limit';
+  } else if (/MemoryError|std::bad_alloc|heap out of memory|allocation failed|Cannot allocate memory/.test(result.stderr)) {
+    status = 'memory_limit';
+  } else if (result.exitCode !== 0) {
+    status = 'runtime_error';
+  }
+
+  return { ...result, status };
+};
+
+// Compare program output with the expected output, ignoring trailing whitespace
+// on each line and trailing blank lines
+const normalizeOutput = (text) => String(text || '')
+  .replace(/\r\n/g, '\n')
+  .split('\n')
+  .map(line => line.replace(/\s+$/, ''))
+  .join('\n')
+  .replace(/\n+$/, '');
+
+const outputMatches = (actual, expected) => normalizeOutput(actual) === normalizeOutput(expected);
+
+module.exports = {
+  LANGUAGES,
+  prepareProgram,
+  cleanupProgram,
+  runProgram,
+  outputMatches,
+  checkSandbox
+};
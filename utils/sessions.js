@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const dotenv = require('dotenv');
+const { redisClient } = require('../config/redis');
+
+dotenv.config();
+
+const JWT_SECRET = process.env.JWT_SECRET;
+
+// Access tokens are short-lived; the refresh token keeps the session alive
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60; // 15 minutes
+const REFRESH_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60; // 7 days
+
+const sessionKey = (jti) => `session:${jti}`;
+const userSessionsKey = (userId) => `user_sessions:${userId}`;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const secretsMatch = (secret, expectedHash) => {
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  const expected = Buffer.from(expectedHash, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+// Sign an access token bound to a session through its jti claim
+const signAccessToken = (user, jti) => jwt.sign(
+  {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    jti
+  },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+);
+
+// Refresh tokens are "<jti>.<secret>"; only a hash of the secret is stored
+const generateRefreshToken = (jti) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  return { refreshToken: `${jti}.${secret}`, refreshHash: hashSecret(secret) };
+};
+
+const parseRefreshToken = (refreshToken) => {
+  const [jti, secret] = String(refreshToken || '').split('.');
+  return jti && secret ? { jti, secret } : null;
+};
+
+const saveSession = async (session) => {
+  await redisClient.set(sessionKey(session.jti), JSON.stringify(session), {
+    EX: REFRESH_TOKEN_TTL_SECONDS
+  });
+};
+
+const getSession = async (jti) => {
+  if (!jti) {
+    return null;
+  }
+  const raw = await redisClient.get(sessionKey(jti));
+  return raw ? JSON.parse(raw) : null;
+};
+
+// Start a new session for a device and return its first token pair
+const createSession = async (user, { userAgent, ip } = {}) => {
+  const jti = crypto.randomBytes(16).toString('hex');
+  const { refreshToken, refreshHash } = generateRefreshToken(jti);
+  const now = new Date().toISOString();
+
+  await saveSession({
+    jti,
+    user_id: user.id,
+    user_agent: userAgent || null,
+    ip: ip || null,
+    created_at: now,
+    last_used_at: now,
+    refresh_hash: refreshHash
+  });
+  await redisClient.sAdd(userSessionsKey(user.id), jti);
+  await redisClient.expire(userSessionsKey(user.id), REFRESH_TOKEN_TTL_SECONDS);
+
+  return {
+    jti,
+    accessToken: signAccessToken(user, jti),
+    refreshToken
+  };
+};
+
+const revokeSession = async (userId, jti) => {
+  await redisClient.del(sessionKey(jti));
+  await redisClient.sRem(userSessionsKey(userId), jti);
+};
+
+// Revoke every session of a user, optionally keeping one (e.g. the current device)
+const revokeAllSessions = async (userId, { exceptJti } = {}) => {
+  const jtis = await redisClient.sMembers(userSessionsKey(userId));
+  const revoked = jtis.filter(jti => jti !== exceptJti);
+
+  for (const jti of revoked) {
+    await revokeSession(userId, jti);
+  }
+
+  return revoked.length;
+};
+
+// List the user's live sessions, dropping index entries whose session already expired
+const listSessions = async (userId) => {
+  const jtis = await redisClient.sMembers(userSessionsKey(userId));
+  const sessions = [];
+
+  for (const jti of jtis) {
+    const session = await getSession(jti);
+    if (!session) {
+      await redisClient.sRem(userSessionsKey(userId), jti);
+      continue;
+    }
+
+    const { refresh_hash, ...publicFields } = session;
+    sessions.push(publicFields);
+  }
+
+  return sessions.sort((a, b) => b.last_used_at.localeCompare(a.last_used_at));
+};
+
+// Exchange a refresh token for a new token pair. loadUser fetches the current user row
+// so role changes apply on the next refresh. Presenting an already-rotated refresh token
+// is treated as theft and revokes the whole session.
+const rotateRefreshToken = async (refreshToken, loadUser, { userAgent, ip } = {}) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return null;
+  }
+
+  const session = await getSession(parsed.jti);
+  if (!session) {
+    return null;
+  }
+
+  if (!secretsMatch(parsed.secret, session.refresh_hash)) {
+    await revokeSession(session.user_id, session.jti);
+    return null;
+  }
+
+  const user = await loadUser(session.user_id);
+  if (!user) {
+    await revokeSession(session.user_id, session.jti);
+    return null;
+  }
+
+  const { refreshToken: nextRefreshToken, refreshHash } = generateRefreshToken(session.jti);
+  await saveSession({
+    ...session,
+    user_agent: userAgent || session.user_agent,
+    ip: ip || session.ip,
+    last_used_at: new Date().toISOString(),
+    refresh_hash: refreshHash
+  });
+  await redisClient.expire(userSessionsKey(user.id), REFRESH_TOKEN_TTL_SECONDS);
+
+  return {
+    user,
+    jti: session.jti,
+    accessToken: signAccessToken(user, session.jti),
+    refreshToken: nextRefreshToken
+  };
+};
+
+module.exports = {
+  JWT_SECRET,
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_SECONDS,
+  createSession,
+  getSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  rotateRefreshToken
+};
@@ -0,0 +1,240 @@
+const axios = require('axios');
+const db = require('../db');
+const { fingerprintDocuments, compareFingerprints } = require('./winnowing');
+const { getVersionFiles } = require('./submissions');
+const { enqueueJob, claimJob, renewLease, unclaimedJobIds } = require('./jobQueue');
+
+const MAX_FILE_BYTES = 1024 * 1024;
+
+// Pairs below this similarity (percent) are left out of reports
+const MIN_SIMILARITY = 10;
+const MAX_PAIRS = 500;
+
+// With this many submissions or more, fingerprints that more than half of them share
+// are treated as starter code or boilerplate and ignored
+const COMMON_CODE_MIN_SUBMISSIONS = 5;
+
+// The lease of a running report is renewed after every this many pair comparisons
+const COMPARISONS_PER_RENEWAL = 1000;
+
+// Text documents of a submission version: its text content plus every uploaded file
+// that downloads as text (binary files and failed downloads are skipped)
+const loadDocuments = async (version) => {
+  const documents = [{ name: 'content', text: version.content || '' }];
+
+  for (const file of await getVersionFiles(db, version.id)) {
+    try {
+      const response = await axios.get(file.file_url, {
+        responseType: 'arraybuffer',
+        maxContentLength: MAX_FILE_BYTES
+      });
+      const buffer = Buffer.from(response.data);
+      if (!buffer.includes(0)) {
+        documents.push({ name: file.file_name, text: buffer.toString('utf8') });
+      }
+    } catch (error) {
+      console.error(`Error downloading submission file ${file.id} for similarity:`, error.message);
+    }
+  }
+
+  return documents;
+};
+
+// Compare the current versions of all submissions of a claimed report's assignment.
+// Stops without storing anything once another worker has taken the report over.
+const compareSubmissions = async (report) => {
+  const reportId = report.id;
+  const holdLease = () => renewLease('similarity_reports', reportId, report.lease_token);
+
+  const submissionsResult = await db.query(`
+    SELECT s.id as submission_id, v.id, v.content
+    FROM submissions s
+    JOIN submission_versions v ON s.current_version_id = v.id
+    WHERE s.assignment_id = $1
+    ORDER BY s.id
+  `, [report.assignment_id]);
+
+  const submissions = [];
+  for (const version of submissionsResult.rows) {
+    if (!(await holdLease())) {
+      return;
+    }
+    submissions.push({ ...version, fingerprints: fingerprintDocuments(await loadDocuments(version)) });
+  }
+
+  // Which submissions each fingerprint occurs in
+  const occurrences = new Map();
+  submissions.forEach((submission, index) => {
+    for (const hash of new Set(submission.fingerprints.map(fp => fp.hash))) {
+      if (!occurrences.has(hash)) {
+        occurrences.set(hash, []);
+      }
+      occurrences.get(hash).push(index);
+    }
+  });
+
+  const ignored = new Set();
+  if (submissions.length >= COMMON_CODE_MIN_SUBMISSIONS) {
+    for (const [hash, indexes] of occurrences) {
+      if (indexes.length > submissions.length / 2) {
+        ignored.add(hash);
+      }
+    }
+  }
+
+  // Only pairs sharing at least one fingerprint need a full comparison
+  const candidates = new Set();
+  for (const [hash, indexes] of occurrences) {
+    if (ignored.has(hash)) {
+      continue;
+    }
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        candidates.add(`${indexes[i]}:${indexes[j]}`);
+      }
+    }
+  }
+
+  const pairs = [];
+  let compared = 0;
+  for (const candidate of candidates) {
+    if (++compared % COMPARISONS_PER_RENEWAL === 0 && !(await holdLease())) {
+      return;
+    }
+    const [i, j] = candidate.split(':').map(Number);
+    const comparison = compareFingerprints(submissions[i].fingerprints, submissions[j].fingerprints, ignored);
+    if (comparison.similarity >= MIN_SIMILARITY) {
+      pairs.push({ a: submissions[i], b: submissions[j], ...comparison });
+    }
+  }
+  pairs.sort((x, y) => y.similarity - x.similarity);
+  const reported = pairs.slice(0, MAX_PAIRS);
+
+  // Store the pairs and complete the report together
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const completed = await client.query(`
+      UPDATE similarity_reports
+      SET status = 'completed', submission_count = $2, pair_count = $3, finished_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND lease_token = $4 AND status = 'running'
+    `, [reportId, submissions.length, reported.length, report.lease_token]);
+    if (completed.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return;
+    }
+
+    await client.query('DELETE FROM similarity_pairs WHERE report_id = $1', [reportId]);
+    for (const pair of reported) {
+      await client.query(`
+        INSERT INTO similarity_pairs (report_id, submission_a_id, submission_b_id, version_a_id, version_b_id,
+          similarity, coverage_a, coverage_b, shared_fingerprints, regions)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      `, [
+        reportId, pair.a.submission_id, pair.b.submission_id, pair.a.id, pair.b.id,
+        pair.similarity, pair.coverage_a, pair.coverage_b, pair.shared, JSON.stringify(pair.regions)
+      ]);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Claim a queued report (or one whose worker went away) and run it
+const executeReport = async (reportId) => {
+  const report = await claimJob('similarity_reports', reportId);
+  if (!report) {
+    return;
+  }
+  try {
+    await compareSubmissions(report);
+  } catch (error) {
+    await db.query(`
+      UPDATE similarity_reports SET status = 'error', error = 'Similarity check failed', finished_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND lease_token = $2 AND status = 'running'
+    `, [reportId, report.lease_token]).catch(() => {});
+    throw error;
+  }
+};
+
+const enqueueReport = (reportId) => {
+  enqueueJob(`similarity report ${reportId}`, () => executeReport(reportId));
+};
+
+// Queue a report for an assignment, or return the one that is already waiting or running
+const requestReport = async (assignmentId, userId) => {
+  const pendingResult = await db.query(
+    `SELECT * FROM similarity_reports WHERE assignment_id = $1 AND status IN ('queued', 'running') ORDER BY id DESC LIMIT 1`,
+    [assignmentId]
+  );
+  if (pendingResult.rows.length > 0) {
+    return pendingResult.rows[0];
+  }
+
+  const result = await db.query(
+    'INSERT INTO similarity_reports (assignment_id, requested_by) VALUES ($1, $2) RETURNING *',
+    [assignmentId, userId]
+  );
+  enqueueReport(result.rows[0].id);
+  return result.rows[0];
+};
+
+// Pick up reports that are still queued, or whose worker stopped before finishing them
+const resumePendingReports = async () => {
+  const reportIds = await unclaimedJobIds('similarity_reports');
+  reportIds.forEach(reportId => enqueueReport(reportId));
+};
+
+// The latest report of an assignment with its pairs ranked by similarity, or null.
+// stale is set when a submission changed after the report was requested.
+const getLatestReport = async (assignmentId, { minSimilarity = MIN_SIMILARITY, limit = 100 } = {}) => {
+  const reportResult = await db.query(`
+    SELECT r.*, u.username as requested_by_name,
+      EXISTS (
+        SELECT 1
+        FROM submissions s
+        JOIN submission_versions v ON s.current_version_id = v.id
+        WHERE s.assignment_id = r.assignment_id AND v.submitted_at > r.created_at
+      ) as stale
+    FROM similarity_reports r
+    LEFT JOIN users u ON r.requested_by = u.id
+    WHERE r.assignment_id = $1
+    ORDER BY r.id DESC
+    LIMIT 1
+  `, [assignmentId]);
+  if (reportResult.rows.length === 0) {
+    return null;
+  }
+  const report = reportResult.rows[0];
+
+  const pairsResult = await db.query(`
+    SELECT p.id, p.similarity, p.coverage_a, p.coverage_b, p.shared_fingerprints, p.regions,
+      json_build_object('submission_id', sa.id, 'user_id', ua.id, 'username', ua.username, 'version_number', va.version_number) as a,
+      json_build_object('submission_id', sb.id, 'user_id', ub.id, 'username', ub.username, 'version_number', vb.version_number) as b
+    FROM similarity_pairs p
+    JOIN submissions sa ON p.submission_a_id = sa.id
+    JOIN users ua ON sa.user_id = ua.id
+    LEFT JOIN submission_versions va ON p.version_a_id = va.id
+    JOIN submissions sb ON p.submission_b_id = sb.id
+    JOIN users ub ON sb.user_id = ub.id
+    LEFT JOIN submission_versions vb ON p.version_b_id = vb.id
+    WHERE p.report_id = $1 AND p.similarity >= $2
+    ORDER BY p.similarity DESC, p.id ASC
+    LIMIT $3
+  `, [report.id, minSimilarity, limit]);
+
+  report.pairs = pairsResult.rows;
+  return report;
+};
+
+module.exports = {
+  requestReport,
+  resumePendingReports,
+  getLatestReport
+};
@@ -0,0 +1,120 @@
+// Submission versions: every submit (or file removal) stores an immutable version,
+// and submissions.current_version_id points at the latest one.
+// submission_members lists the students a submission belongs to: the submitter, or for
+// group assignments the members of the group.
+
+// The submission a student belongs to for an assignment, otherwise the submission of
+// their group (groupId) for group work; null when there is none yet
+const findSubmission = async (client, assignmentId, userId, groupId = null) => {
+  const result = await client.query(`
+    SELECT s.*
+    FROM submissions s
+    LEFT JOIN submission_members m ON m.submission_id = s.id AND m.user_id = $2
+    WHERE s.assignment_id = $1 AND (m.id IS NOT NULL OR s.group_id = $3::int)
+    ORDER BY m.id IS NULL
+    LIMIT 1
+  `, [assignmentId, userId, groupId]);
+  return result.rows[0] || null;
+};
+
+// Get or create the submission of a student (or of their group, when groupId is given)
+// for an assignment, locked for the rest of the caller's transaction so version numbers
+// are assigned one at a time. The student and the current members of the submission's
+// group who have no submission of their own become members of it.
+const lockSubmission = async (client, assignmentId, userId, groupId = null) => {
+  let submission = await findSubmission(client, assignmentId, userId, groupId);
+
+  if (submission) {
+    submission = { ...submission, created: false };
+  } else if (groupId) {
+    const result = await client.query(`
+      INSERT INTO submissions (assignment_id, user_id, group_id)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (assignment_id, group_id) WHERE group_id IS NOT NULL
+      DO UPDATE SET assignment_id = EXCLUDED.assignment_id
+      RETURNING *, (xmax = 0) as created
+    `, [assignmentId, userId, groupId]);
+    submission = result.rows[0];
+  } else {
+    const result = await client.query(`
+      INSERT INTO submissions (assignment_id, user_id)
+      VALUES ($1, $2)
+      ON CONFLICT (assignment_id, user_id) DO UPDATE SET assignment_id = EXCLUDED.assignment_id
+      RETURNING *, (xmax = 0) as created
+    `, [assignmentId, userId]);
+    submission = result.rows[0];
+  }
+
+  await client.query('SELECT id FROM submissions WHERE id = $1 FOR UPDATE', [submission.id]);
+
+  await client.query(`
+    INSERT INTO submission_members (submission_id, assignment_id, user_id)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (assignment_id, user_id) DO NOTHING
+  `, [submission.id, assignmentId, userId]);
+
+  if (submission.group_id) {
+    await client.query(`
+      INSERT INTO submission_members (submission_id, assignment_id, user_id)
+      SELECT $1, $2, gm.user_id
+      FROM class_group_members gm
+      WHERE gm.group_id = $3
+      ON CONFLICT (assignment_id, user_id) DO NOTHING
+    `, [submission.id, assignmentId, submission.group_id]);
+  }
+
+  return submission;
+};
+
+// Store a new version inside the caller's transaction.
+// keepFileIds are ids of files in the current version that carry over;
+// uploads are { file, url } pairs of newly uploaded multer files;
+// lateness is the result of evaluateLateness for the time of this submit.
+const createVersion = async (client, submission, { content, keepFileIds = [], uploads = [], userId, lateness = {} }) => {
+  const versionResult = await client.query(`
+    INSERT INTO submission_versions (submission_id, version_number, content, is_late, late_days, penalty_percent, submitted_by)
+    VALUES ($1, (SELECT COALESCE(MAX(version_number), 0) + 1 FROM submission_versions WHERE submission_id = $1), $2, $3, $4, $5, $6)
+    RETURNING *
+  `, [submission.id, content, lateness.is_late || false, lateness.late_days || 0, lateness.penalty_percent || 0, userId]);
+  const version = versionResult.rows[0];
+
+  if (submission.current_version_id && keepFileIds.length > 0) {
+    await client.query(`
+      INSERT INTO submission_files (submission_id, version_id, file_name, file_url, file_type, file_size, created_by, created_at)
+      SELECT submission_id, $1, file_name, file_url, file_type, file_size, created_by, created_at
+      FROM submission_files
+      WHERE version_id = $2 AND id = ANY($3::int[])
+      ORDER BY id
+    `, [version.id, submission.current_version_id, keepFileIds]);
+  }
+
+  for (const { file, url } of uploads) {
+    await client.query(
+      'INSERT INTO submission_files (submission_id, version_id, file_name, file_url, file_type, file_size, created_by) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+      [submission.id, version.id, file.originalname, url, file.mimetype, file.size, userId]
+    );
+  }
+
+  await client.query(
+    'UPDATE submissions SET content = $1, current_version_id = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+    [content, version.id, submission.id]
+  );
+
+  return version;
+};
+
+// Files of a version in upload order
+const getVersionFiles = async (db, versionId) => {
+  const result = await db.query(
+    'SELECT * FROM submission_files WHERE version_id = $1 ORDER BY id',
+    [versionId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  findSubmission,
+  lockSubmission,
+  createVersion,
+  getVersionFiles
+};
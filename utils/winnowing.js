@@ -0,0 +1,141 @@
+// Document fingerprinting by winnowing (Schleimer, Wilkerson & Aiken, 2003).
+// Texts are split into tokens, every run of K tokens is hashed, and from each window
+// of WINDOW consecutive hashes the smallest is kept. Copied passages of at least
+// K + WINDOW - 1 tokens are guaranteed to share a fingerprint, whatever their layout.
+
+const K = 5;
+const WINDOW = 4;
+
+// Identifiers/words, numbers, and single punctuation characters; whitespace is ignored
+const TOKEN_PATTERN = /[A-Za-z_$][\w$]*|\d+(?:\.\d+)?|[^\s\w]/g;
+
+// Most matched regions reported per pair
+const MAX_REGIONS = 20;
+
+// Lowercase tokens of a text with the line each one is on
+const tokenize = (text) => {
+  const tokens = [];
+  String(text || '').replace(/\r\n/g, '\n').split('\n').forEach((line, index) => {
+    for (const match of line.matchAll(TOKEN_PATTERN)) {
+      tokens.push({ token: match[0].toLowerCase(), line: index + 1 });
+    }
+  });
+  return tokens;
+};
+
+// 32-bit FNV-1a
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Fingerprints of one document: [{ hash, document, start_line, end_line }] in text order
+const fingerprintDocument = (name, text) => {
+  const tokens = tokenize(text);
+  if (tokens.length < K) {
+    return [];
+  }
+
+  const grams = [];
+  for (let i = 0; i + K <= tokens.length; i++) {
+    grams.push({
+      hash: hashString(tokens.slice(i, i + K).map(t => t.token).join('\u0001')),
+      start_line: tokens[i].line,
+      end_line: tokens[i + K - 1].line
+    });
+  }
+
+  const fingerprints = [];
+  const windowSize = Math.min(WINDOW, grams.length);
+  let lastPicked = -1;
+  for (let start = 0; start + windowSize <= grams.length; start++) {
+    // Rightmost minimum, so a run of equal hashes yields one fingerprint
+    let picked = start;
+    for (let i = start + 1; i < start + windowSize; i++) {
+      if (grams[i].hash <= grams[picked].hash) {
+        picked = i;
+      }
+    }
+    if (picked !== lastPicked) {
+      fingerprints.push({ ...grams[picked], document: name });
+      lastPicked = picked;
+    }
+  }
+
+  return fingerprints;
+};
+
+// Fingerprints of a set of documents ([{ name, text }]) as one list
+const fingerprintDocuments = (documents) => documents.flatMap(doc => fingerprintDocument(doc.name, doc.text));
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Compare two fingerprint lists. ignored holds hashes that do not count (e.g. starter code).
+// Returns { shared, similarity, coverage_a, coverage_b, regions } with percentages;
+// regions are merged line ranges of matching fingerprints, largest first.
+const compareFingerprints = (a, b, ignored = new Set()) => {
+  const hashesA = new Set(a.map(fp => fp.hash).filter(hash => !ignored.has(hash)));
+  const hashesB = new Set(b.map(fp => fp.hash).filter(hash => !ignored.has(hash)));
+
+  const shared = new Set([...hashesA].filter(hash => hashesB.has(hash)));
+  if (shared.size === 0) {
+    return { shared: 0, similarity: 0, coverage_a: 0, coverage_b: 0, regions: [] };
+  }
+
+  // First place each shared hash appears in b
+  const firstInB = new Map();
+  for (const fp of b) {
+    if (shared.has(fp.hash) && !firstInB.has(fp.hash)) {
+      firstInB.set(fp.hash, fp);
+    }
+  }
+
+  const regions = [];
+  let current = null;
+  for (const fp of a) {
+    if (!shared.has(fp.hash)) {
+      continue;
+    }
+    const other = firstInB.get(fp.hash);
+    const continuesRegion = current
+      && current.a.document === fp.document
+      && current.b.document === other.document
+      && fp.start_line <= current.a.end_line + 1
+      && other.start_line >= current.b.start_line - 1
+      && other.start_line <= current.b.end_line + 1;
+
+    if (continuesRegion) {
+      current.a.end_line = Math.max(current.a.end_line, fp.end_line);
+      current.b.start_line = Math.min(current.b.start_line, other.start_line);
+      current.b.end_line = Math.max(current.b.end_line, other.end_line);
+      current.fingerprints++;
+    } else {
+      current = {
+        a: { document: fp.document, start_line: fp.start_line, end_line: fp.end_line },
+        b: { document: other.document, start_line: other.start_line, end_line: other.end_line },
+        fingerprints: 1
+      };
+      regions.push(current);
+    }
+  }
+
+  regions.sort((x, y) => y.fingerprints - x.fingerprints);
+
+  return {
+    shared: shared.size,
+    similarity: round2((2 * shared.size / (hashesA.size + hashesB.size)) * 100),
+    coverage_a: round2((shared.size / hashesA.size) * 100),
+    coverage_b: round2((shared.size / hashesB.size) * 100),
+    regions: regions.slice(0, MAX_REGIONS)
+  };
+};
+
+module.exports = {
+  tokenize,
+  fingerprintDocuments,
+  compareFingerprints
+};